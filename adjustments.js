@@ -0,0 +1,110 @@
+/**
+ * LRID expert score adjustments.
+ *
+ * When the approval decision is ADJUST, non-null values in
+ * approval.adjustments.dimension_scores_override replace the engine's
+ * dimension scores. OI/HSRI are recomputed from the adjusted dimensions with
+ * the scoring.v1.json formulas, and every band is re-classified. Norm
+ * comparisons are left as the engine produced them.
+ *
+ * The draft is never modified: the payload carries the adjusted scoring as
+ * final_scoring and the before/after values plus justification as
+ * score_adjustments.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { computeIndices } = require("./scoring_engine");
+const { classify, riskMax } = require("./bands");
+
+function readJson(p) {
+  return JSON.parse(fs.readFileSync(p, "utf8"));
+}
+
+// Null means "keep the engine's score"; anything else must be a score on the 1-5 scale.
+function overridesOf(approval) {
+  const raw = approval?.adjustments?.dimension_scores_override || {};
+  const set = Object.entries(raw).filter(([, v]) => v !== null && v !== undefined);
+  const invalid = set.filter(([, v]) => typeof v !== "number" || !Number.isFinite(v) || v < 1 || v > 5);
+  if (invalid.length) {
+    throw new Error(`Override must be a number from 1 to 5: ${invalid.map(([d, v]) => `${d}=${JSON.stringify(v)}`).join(", ")}`);
+  }
+  return Object.fromEntries(set);
+}
+
+/**
+ * Returns { final_scoring, score_adjustments }. score_adjustments is null when
+ * nothing was overridden. Throws when overrides lack a justification
+ * (adjustments.justification, falling back to decision.operator_notes).
+ */
+function applyScoreAdjustments(draftScoring, approval, { scoring } = {}) {
+  const base = draftScoring || {};
+  const overrides = approval?.decision?.status === "ADJUST" ? overridesOf(approval) : {};
+  const dims = Object.keys(overrides);
+  if (!dims.length) return { final_scoring: { ...base, adjusted_dimensions: [] }, score_adjustments: null };
+
+  const unknown = dims.filter((d) => !(d in (base.dimension_scores || {})));
+  if (unknown.length) throw new Error(`Override for unknown dimension(s): ${unknown.join(", ")}`);
+
+  const justification = String(approval.adjustments?.justification || approval.decision?.operator_notes || "").trim();
+  if (!justification) throw new Error("Score overrides need a justification (adjustments.justification or decision notes)");
+
+  const cfg = scoring || readJson(path.join(__dirname, "schemas", "scoring.v1.json"));
+  const normGroup = base.norms?.status === "APPLIED" ? base.norms.group : null;
+  const bandCfg = cfg.bands || {};
+
+  const dimension_scores = { ...base.dimension_scores, ...overrides };
+  const { aggregate_scores } = computeIndices(cfg, dimension_scores);
+
+  const dimension_bands = {};
+  const aggregate_bands = {};
+  const band_details = { norm_group: normGroup, dimensions: {}, indices: {}, risk_zone_max: {} };
+  for (const [d, score] of Object.entries(dimension_scores)) {
+    const band = classify(bandCfg, score, { kind: "dimension", key: d, normGroup });
+    dimension_bands[d] = band?.label ?? null;
+    band_details.dimensions[d] = band;
+    band_details.risk_zone_max[d] = riskMax(bandCfg, { kind: "dimension", key: d, normGroup });
+  }
+  for (const [k, score] of Object.entries(aggregate_scores)) {
+    const band = classify(bandCfg, score, { kind: "index", key: k, normGroup });
+    aggregate_bands[k] = band?.label ?? null;
+    band_details.indices[k] = band;
+  }
+
+  const change = (before, after, beforeBand, afterBand) => ({
+    original: before ?? null,
+    adjusted: after ?? null,
+    original_band: beforeBand ?? null,
+    adjusted_band: afterBand ?? null
+  });
+  const dimensions = {};
+  for (const d of dims) {
+    dimensions[d] = change(base.dimension_scores[d], dimension_scores[d], base.dimension_bands?.[d], dimension_bands[d]);
+  }
+  const indices = {};
+  for (const k of Object.keys(aggregate_scores)) {
+    indices[k] = change(base.aggregate_scores?.[k], aggregate_scores[k], base.aggregate_bands?.[k], aggregate_bands[k]);
+  }
+
+  return {
+    final_scoring: {
+      ...base,
+      dimension_scores,
+      dimension_bands,
+      aggregate_scores,
+      aggregate_bands,
+      band_details,
+      adjusted_dimensions: dims
+    },
+    score_adjustments: {
+      decision: "ADJUST",
+      justification,
+      adjusted_by: approval.meta?.expert_name || "",
+      adjusted_at: approval.audit?.decision_at || new Date().toISOString(),
+      dimensions,
+      indices
+    }
+  };
+}
+
+module.exports = { applyScoreAdjustments };
@@ -1,8 +1,7 @@
 const fs = require("fs");
 const path = require("path");
-const { execSync } = require("child_process");
-
-const DATA_DIR = path.join(__dirname, "data");
+const { DATA_DIR } = require("./storage");
+const { loadDraft, ensureApproval } = require("./pipeline");
 
 function fail(msg) {
   console.error("✖ " + msg);
@@ -11,7 +10,7 @@ function fail(msg) {
 
 function findLatestDraft() {
   if (!fs.existsSync(DATA_DIR)) {
-    fail("data/ directory not found");
+    fail(`data directory not found: ${DATA_DIR}`);
   }
 
   const drafts = fs
@@ -24,7 +23,7 @@ function findLatestDraft() {
     .sort((a, b) => b.time - a.time);
 
   if (drafts.length === 0) {
-    fail("No draft_*.json files found in data/");
+    fail(`No draft_*.json files found in ${DATA_DIR}`);
   }
 
   return drafts[0].file;
@@ -34,15 +33,13 @@ try {
   console.log("LRID™ Auto-Detect Approval");
 
   const latestDraft = findLatestDraft();
-  const fullPath = `data/${latestDraft}`;
+  const fullPath = path.join(DATA_DIR, latestDraft);
 
   console.log("✔ Latest draft detected:");
   console.log("  →", fullPath);
 
-  const cmd = `node approve_case.js ${fullPath} --auto`;
-  console.log("▶ Running:", cmd);
-
-  const output = execSync(cmd, { stdio: "inherit" });
+  const { path: approvalPath, created } = ensureApproval(loadDraft(fullPath));
+  console.log(created ? "✔ Created approval template:" : "✔ Approval already exists:", approvalPath);
 
   console.log("✔ Approval template ready.");
 } catch (e) {
@@ -0,0 +1,50 @@
+/**
+ * LRID band configuration (scoring.v1.json -> "bands").
+ *
+ *   bands.schemes.<name>.bands[]   ordered { id, label, max, description, risk? };
+ *                                  the last band has max null (open-ended)
+ *   bands.default_scheme           used when nothing more specific is set
+ *   bands.dimensions.<DIM>         scheme name for one dimension
+ *   bands.indices.<KEY>            scheme name for one aggregate index (OI, HSRI)
+ *   bands.norm_groups.<group>      { dimensions, indices } overrides for a norm group
+ *
+ * This is the only place band cut-offs and labels come from; drafts store the
+ * resolved label plus band details so review and reports never re-derive them.
+ */
+
+function schemeNameFor(config, { kind, key, normGroup }) {
+  const section = kind === "index" ? "indices" : "dimensions";
+  const upper = String(key).toUpperCase();
+  const byGroup = normGroup && config.norm_groups?.[normGroup]?.[section]?.[upper];
+  return byGroup || config[section]?.[upper] || config.default_scheme;
+}
+
+/**
+ * Returns { scheme, id, label, description, max, risk } for a score, or null
+ * when the score is missing. Throws if the configured scheme does not exist.
+ */
+function classify(config, score, target) {
+  if (typeof score !== "number" || !Number.isFinite(score)) return null;
+  const name = schemeNameFor(config, target);
+  const scheme = config.schemes?.[name];
+  if (!scheme) throw new Error(`Unknown band scheme "${name}" for ${target.kind} ${target.key}`);
+
+  const band = scheme.bands.find((b) => b.max === null || b.max === undefined || score <= b.max);
+  return {
+    scheme: name,
+    id: band.id,
+    label: band.label,
+    description: band.description || "",
+    max: band.max ?? null,
+    risk: Boolean(band.risk)
+  };
+}
+
+/** Upper bound of the risk band for a target (used by explainability). */
+function riskMax(config, target) {
+  const scheme = config.schemes?.[schemeNameFor(config, target)];
+  const risk = scheme?.bands.find((b) => b.risk);
+  return risk ? risk.max : null;
+}
+
+module.exports = { classify, riskMax, schemeNameFor };
@@ -1,125 +1,420 @@
 /**
- * Build LRID instrument JSON from CSV question bank.
+ * Generate the LRID question artifacts from one authored source.
  *
- * Input:  schemas/questions.v1.csv
- * Output: schemas/instrument.v1.json
+ * Input:  schemas/question_bank.v1.json
+ * Output: config/questions.lrid.v1.json    intake form + session API (IDs "DI-01",
+ *                                          option scores, conditions on option index)
+ *         schemas/instrument.v1.json       question_bank (IDs "DI_01", lettered options);
+ *                                          rule sections are kept from the existing file
+ *         schemas/question_map.v1.json     intake ID / option index -> instrument ID / letter
+ *         schemas/scoring.v1.json          multiple_choice_scores and reverse_scored_question_ids
+ *                                          only; the rest of the file stays hand-authored
+ *
+ * Source questions use instrument IDs and letters; intake IDs replace "_" with "-".
+ * Options may carry `legacy_score`, the score early session exports wrote
+ * instead of the option index (used to decode them, never to score).
+ *
+ * The build fails, writing nothing, when the source or the generated artifacts
+ * do not agree with each other or with the hand-authored rules: an option
+ * without a score, a consistency rule or red-flag rule referencing an unknown
+ * question or option, a condition on a later question, ...
  *
  * Usage:
- *   node build_instrument.js
+ *   node build_instrument.js           validate and write
+ *   node build_instrument.js --check   validate the files on disk; exit 1 when
+ *                                      they differ from what would be generated
  */
 
 const fs = require("fs");
 const path = require("path");
+const { checkFlow, conditionRefs } = require("./question_flow");
+const { RULE_TYPES } = require("./consistency");
 
-function parseCsvSimple(csvText) {
-  // Minimal CSV parser supporting quoted fields with commas.
-  const rows = [];
-  let row = [];
-  let cur = "";
-  let inQuotes = false;
+const ROOT = __dirname;
+const FILES = {
+  source: path.join(ROOT, "schemas", "question_bank.v1.json"),
+  intake: path.join(ROOT, "config", "questions.lrid.v1.json"),
+  instrument: path.join(ROOT, "schemas", "instrument.v1.json"),
+  questionMap: path.join(ROOT, "schemas", "question_map.v1.json"),
+  scoring: path.join(ROOT, "schemas", "scoring.v1.json"),
+  consistency: path.join(ROOT, "schemas", "consistency.v1.json")
+};
 
-  for (let i = 0; i < csvText.length; i++) {
-    const ch = csvText[i];
-    const next = csvText[i + 1];
+const TYPES = {
+  multiple_choice: "single_choice",
+  likert_5: "scale",
+  open_text: "open_text"
+};
+const LIKERT = { min: 1, max: 5 };
 
-    if (ch === '"' && next === '"') {
-      cur += '"';
-      i++;
-      continue;
+function readJson(p) {
+  return JSON.parse(fs.readFileSync(p, "utf8"));
+}
+
+// JSON with arrays of plain values on one line, as question_map.v1.json is written.
+function inlineArrays(data) {
+  return JSON.stringify(data, null, 2).replace(/\[\n\s+([^[\]{}]*?)\n\s+\]/g, (_, items) => `[${items.split(/,\n\s+/).join(", ")}]`);
+}
+
+function intakeId(id) {
+  return id.replace(/_/g, "-");
+}
+
+// ---------------------------------------------------------------------------
+// Source checks
+
+function checkSource(src, scoring) {
+  const errors = [];
+  const dims = new Set((src.dimensions || []).map((d) => d.id));
+  const seen = new Set();
+
+  for (const q of src.questions || []) {
+    const where = q.id || "(question without id)";
+    if (!q.id) errors.push("Question without id");
+    else if (seen.has(q.id)) errors.push(`${where}: duplicate id`);
+    seen.add(q.id);
+    if (!dims.has(q.dimension)) errors.push(`${where}: unknown dimension ${q.dimension}`);
+    if (!TYPES[q.type]) errors.push(`${where}: unknown type ${q.type}`);
+    if (!q.text) errors.push(`${where}: no text`);
+
+    if (q.type === "multiple_choice") {
+      const opts = q.options || [];
+      if (opts.length < 2) errors.push(`${where}: multiple choice needs at least two options`);
+      const values = new Set();
+      for (const o of opts) {
+        if (!o.value) errors.push(`${where}: option "${o.label}" has no value`);
+        else if (values.has(o.value)) errors.push(`${where}: duplicate option ${o.value}`);
+        values.add(o.value);
+        if (!o.label) errors.push(`${where}: option ${o.value} has no label`);
+        if (typeof o.score !== "number" || !Number.isFinite(o.score)) errors.push(`${where}: option ${o.value} has no score`);
+      }
+    } else if (q.options) {
+      errors.push(`${where}: ${q.type} questions take no options`);
     }
-    if (ch === '"') {
-      inQuotes = !inQuotes;
-      continue;
+    if (q.reverse_scored && q.type !== "likert_5") errors.push(`${where}: only likert_5 questions can be reverse scored`);
+  }
+
+  errors.push(...checkFlow(src.questions || []));
+  const byId = Object.fromEntries((src.questions || []).map((q) => [q.id, q]));
+  for (const q of src.questions || []) {
+    for (const c of leafConditions(q.show_if)) errors.push(...checkOptionValues(`${q.id} show_if`, c, byId));
+    if (q.follow_up_of && !byId[q.follow_up_of]) errors.push(`${q.id}: follow_up_of unknown question ${q.follow_up_of}`);
+  }
+
+  const weighted = Object.keys(scoring.dimension_weights || {});
+  for (const d of weighted) {
+    if (!(src.questions || []).some((q) => q.dimension === d && q.type !== "open_text")) errors.push(`Dimension ${d} has no scored question`);
+  }
+  for (const d of dims) if (weighted.length && !weighted.includes(d)) errors.push(`Dimension ${d} has no weight in scoring.v1.json`);
+
+  return errors;
+}
+
+function leafConditions(cond) {
+  if (!cond) return [];
+  if (Array.isArray(cond.all)) return cond.all.flatMap(leafConditions);
+  if (Array.isArray(cond.any)) return cond.any.flatMap(leafConditions);
+  if (cond.not) return leafConditions(cond.not);
+  return [cond];
+}
+
+// Letters in equals / in must exist on the multiple-choice question.
+function checkOptionValues(where, cond, byId) {
+  const q = byId[cond.question || cond.question_id];
+  if (!q || q.type !== "multiple_choice") return [];
+  const letters = q.options.map((o) => o.value);
+  const used = [...(cond.equals !== undefined ? [cond.equals] : []), ...(Array.isArray(cond.in) ? cond.in : [])];
+  return used.filter((v) => !letters.includes(v)).map((v) => `${where}: ${q.id} has no option ${v}`);
+}
+
+// ---------------------------------------------------------------------------
+// Generation
+
+// Canonical conditions (instrument IDs, letters) -> intake (intake IDs, option index).
+function intakeCondition(cond, byId) {
+  if (!cond) return cond;
+  if (Array.isArray(cond.all)) return { all: cond.all.map((c) => intakeCondition(c, byId)) };
+  if (Array.isArray(cond.any)) return { any: cond.any.map((c) => intakeCondition(c, byId)) };
+  if (cond.not) return { not: intakeCondition(cond.not, byId) };
+  const out = { ...cond, question: intakeId(cond.question) };
+  const q = byId[cond.question];
+  const optionIndex = (v) => q.options.findIndex((o) => o.value === v);
+  if (q?.type === "multiple_choice") {
+    if (Array.isArray(cond.in)) out.in = cond.in.map(optionIndex);
+    if (cond.equals !== undefined) out.equals = optionIndex(cond.equals);
+  }
+  return out;
+}
+
+function branchesFor(q, byId, mapCondition) {
+  return q.branch ? q.branch.map((b) => ({ if: mapCondition(b.if, byId), skip_to: b.skip_to })) : undefined;
+}
+
+function buildIntake(src) {
+  const byId = Object.fromEntries(src.questions.map((q) => [q.id, q]));
+  const toIntake = (q) => {
+    const out = { id: intakeId(q.id), type: TYPES[q.type] };
+    if (q.follow_up_of) out.follow_up_of = intakeId(q.follow_up_of);
+    if (q.show_if) out.show_if = intakeCondition(q.show_if, byId);
+    const branch = branchesFor(q, byId, intakeCondition);
+    if (branch) out.branch = branch.map((b) => ({ ...b, skip_to: intakeId(b.skip_to) }));
+    out.text = q.text;
+    if (q.observer_text) out.observer_text = q.observer_text;
+    if (q.time_limit_seconds) out.time_limit_seconds = q.time_limit_seconds;
+    if (q.type === "multiple_choice") out.options = q.options.map((o) => ({ label: o.label, score: o.score }));
+    if (q.type === "likert_5") out.scale = { ...LIKERT };
+    if (q.min_chars) out.min_chars = q.min_chars;
+    return out;
+  };
+  return {
+    meta: src.intake_meta || {},
+    dimensions: src.dimensions.map((d) => ({
+      id: d.id,
+      name: d.name,
+      questions: src.questions.filter((q) => q.dimension === d.id).map(toIntake)
+    }))
+  };
+}
+
+function buildInstrument(src, previous) {
+  const byId = Object.fromEntries(src.questions.map((q) => [q.id, q]));
+  const question_bank = src.questions.map((q) => {
+    const out = {
+      question_id: q.id,
+      dimension: q.dimension,
+      type: q.type,
+      required: q.required !== false,
+      reverse_scored: q.reverse_scored === true
+    };
+    if (q.follow_up_of) out.follow_up_of = q.follow_up_of;
+    if (q.show_if) out.show_if = q.show_if;
+    const branch = branchesFor(q, byId, (c) => c);
+    if (branch) out.branch = branch;
+    out.text = { en: q.text, pl: q.text_pl || "" };
+    if (q.min_chars) out.min_chars = q.min_chars;
+    if (q.type === "multiple_choice") out.options = q.options.map((o) => ({ value: o.value, label_en: o.label }));
+    return out;
+  });
+
+  return {
+    instrument_id: src.instrument_id,
+    instrument_version: src.instrument_version,
+    // Conditional follow-ups are not expected of every respondent.
+    expected_questions: question_bank.filter((q) => !q.show_if).length,
+    min_expected_seconds: previous?.min_expected_seconds ?? 900,
+    response_quality: previous?.response_quality || {},
+    question_bank,
+    // Rule sections are authored directly in the JSON, so keep them across rebuilds.
+    red_flag_settings: previous?.red_flag_settings || {},
+    red_flag_rules: previous?.red_flag_rules || []
+  };
+}
+
+function buildQuestionMap(src, previous) {
+  const questions = {};
+  for (const q of src.questions) {
+    const entry = { question_id: q.id };
+    if (q.type === "multiple_choice") {
+      entry.options = q.options.map((o) => o.value);
+      if (q.options.some((o) => o.legacy_score !== undefined)) entry.legacy_option_scores = q.options.map((o) => o.legacy_score ?? o.score);
     }
-    if (ch === "," && !inQuotes) {
-      row.push(cur);
-      cur = "";
+    questions[intakeId(q.id)] = entry;
+  }
+  return {
+    map_id: previous?.map_id || "intake_v1_to_instrument_v1",
+    source: { config: "config/questions.lrid.v1.json", version: src.intake_meta?.version || "" },
+    target: { instrument_id: src.instrument_id, instrument_version: src.instrument_version },
+    notes:
+      "Intake option index i maps to options[i]. Question types come from schemas/instrument.v1.json; answers whose kind does not fit the instrument type are reported as unmapped. legacy_option_scores[i] is the score early session exports stored for option i.",
+    generated_from: "schemas/question_bank.v1.json",
+    questions
+  };
+}
+
+function scoringSections(src) {
+  const multiple_choice_scores = {};
+  for (const q of src.questions.filter((x) => x.type === "multiple_choice")) {
+    multiple_choice_scores[q.id] = Object.fromEntries(q.options.map((o) => [o.value, o.score]));
+  }
+  return {
+    reverse_scored_question_ids: src.questions.filter((q) => q.reverse_scored).map((q) => q.id),
+    multiple_choice_scores
+  };
+}
+
+// scoring.v1.json is hand-formatted: only the generated sections are replaced, in place.
+function spliceSection(text, key, rendered) {
+  const start = text.indexOf(`\n  "${key}": `);
+  if (start < 0) throw new Error(`scoring.v1.json has no "${key}" section`);
+  const open = start + `\n  "${key}": `.length;
+  const pairs = { "{": "}", "[": "]" };
+  let depth = 0;
+  let end = open;
+  for (; end < text.length; end++) {
+    if (text[end] === text[open]) depth++;
+    else if (text[end] === pairs[text[open]] && --depth === 0) break;
+  }
+  return text.slice(0, open) + rendered + text.slice(end + 1);
+}
+
+function renderScoring(text, sections) {
+  const ids = sections.reverse_scored_question_ids.map((id) => `    "${id}"`).join(",\n");
+  const mc = Object.entries(sections.multiple_choice_scores)
+    .map(([id, map]) => `    "${id}": { ${Object.entries(map).map(([k, v]) => `"${k}": ${v}`).join(", ")} }`)
+    .join(",\n");
+  let out = spliceSection(text, "reverse_scored_question_ids", ids ? `[\n${ids}\n  ]` : "[]");
+  out = spliceSection(out, "multiple_choice_scores", `{\n${mc}\n  }`);
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// Cross-checks between the artifacts and the hand-authored rules
+
+function crossCheck({ intake, instrument, questionMap, scoring, consistency }) {
+  const errors = [];
+  const bank = Object.fromEntries((instrument.question_bank || []).map((q) => [q.question_id, q]));
+  const intakeQs = (intake.dimensions || []).flatMap((d) => (d.questions || []).map((q) => ({ ...q, dimension_id: d.id })));
+  const mcScores = scoring.multiple_choice_scores || {};
+
+  for (const q of intakeQs) {
+    const m = questionMap.questions?.[q.id];
+    const b = m && bank[m.question_id];
+    if (!m) {
+      errors.push(`Intake ${q.id}: not in question_map`);
       continue;
     }
-    if ((ch === "\n" || ch === "\r") && !inQuotes) {
-      if (ch === "\r" && next === "\n") i++;
-      row.push(cur);
-      cur = "";
-      if (row.some(cell => cell.trim() !== "")) rows.push(row);
-      row = [];
+    if (!b) {
+      errors.push(`Intake ${q.id}: maps to ${m.question_id}, which is not in the instrument`);
       continue;
     }
-    cur += ch;
+    if (TYPES[b.type] !== q.type) errors.push(`Intake ${q.id}: type ${q.type} does not fit instrument ${b.type}`);
+    if (b.dimension !== q.dimension_id) errors.push(`Intake ${q.id}: dimension ${q.dimension_id}, instrument says ${b.dimension}`);
+    if (b.type !== "multiple_choice") continue;
+
+    const letters = (b.options || []).map((o) => o.value);
+    if ((q.options || []).length !== letters.length) errors.push(`Intake ${q.id}: ${(q.options || []).length} options, instrument has ${letters.length}`);
+    (q.options || []).forEach((o, i) => {
+      const letter = m.options?.[i];
+      if (!letter || !letters.includes(letter)) errors.push(`Intake ${q.id} option ${i}: no instrument option mapped`);
+      else if (mcScores[b.question_id]?.[letter] === undefined) errors.push(`${b.question_id} option ${letter} has no score`);
+      else if (mcScores[b.question_id][letter] !== o.score) {
+        errors.push(`Intake ${q.id} option ${i}: score ${o.score}, scoring.v1.json has ${mcScores[b.question_id][letter]} for ${letter}`);
+      }
+    });
   }
-  row.push(cur);
-  if (row.some(cell => cell.trim() !== "")) rows.push(row);
-
-  const header = rows.shift().map(h => h.trim());
-  return rows.map(r => {
-    const obj = {};
-    header.forEach((h, idx) => obj[h] = (r[idx] ?? "").trim());
-    return obj;
-  });
-}
 
-function toBool(s) {
-  return String(s).toLowerCase() === "true";
+  for (const b of Object.values(bank)) {
+    if (b.type === "multiple_choice") {
+      for (const o of b.options || []) {
+        if (mcScores[b.question_id]?.[o.value] === undefined) errors.push(`${b.question_id} option ${o.value} has no score`);
+      }
+    }
+    if (!Object.values(questionMap.questions || {}).some((m) => m.question_id === b.question_id)) {
+      errors.push(`${b.question_id}: not asked by the intake (no question_map entry)`);
+    }
+  }
+  for (const id of Object.keys(mcScores)) if (bank[id]?.type !== "multiple_choice") errors.push(`scoring.v1.json scores unknown multiple-choice question ${id}`);
+  for (const id of scoring.reverse_scored_question_ids || []) if (bank[id]?.type !== "likert_5") errors.push(`scoring.v1.json reverse-scores unknown likert question ${id}`);
+
+  errors.push(...checkRules(bank, consistency, instrument.red_flag_rules));
+  return [...new Set(errors)];
 }
-function toIntOrNull(s) {
-  if (!s) return null;
-  const n = Number(s);
-  return Number.isFinite(n) ? n : null;
+
+/** Consistency and red-flag rules against a question bank keyed by instrument ID. */
+function checkRules(bank, consistency, redFlagRules) {
+  const errors = [];
+  const known = (id) => !!bank[id];
+  for (const rule of consistency.consistency_checks || []) {
+    const logic = rule.logic || {};
+    if (!RULE_TYPES.includes(logic.type)) errors.push(`Consistency rule ${rule.cc_id}: unknown rule type ${logic.type}`);
+    const conds = [...(logic.if || []), ...(logic.and || []), ...(logic.when ? [logic.when] : [])].flatMap(leafConditions);
+    const ids = [...(logic.question_ids || []), ...conds.map((c) => c.question_id)];
+    for (const id of ids.filter((x) => !known(x))) errors.push(`Consistency rule ${rule.cc_id}: unknown question ${id}`);
+    for (const c of conds.filter((x) => known(x.question_id))) {
+      const q = bank[c.question_id];
+      errors.push(...checkOptionValues(`Consistency rule ${rule.cc_id}`, c, { [q.question_id]: { ...q, id: q.question_id } }));
+    }
+  }
+  for (const rule of redFlagRules || []) {
+    for (const id of rule.trigger?.open_text_question_ids || []) {
+      if (!known(id)) errors.push(`Red-flag rule ${rule.rf_id}: unknown question ${id}`);
+      else if (bank[id].type !== "open_text") errors.push(`Red-flag rule ${rule.rf_id}: ${id} is not an open-text question`);
+    }
+  }
+  for (const q of Object.values(bank)) {
+    for (const ref of conditionRefs(q.show_if)) if (!known(ref)) errors.push(`${q.question_id}: show_if refers to unknown question ${ref}`);
+  }
+  return errors;
 }
-function safeJsonOrNull(s) {
-  if (!s) return null;
-  try { return JSON.parse(s); } catch { return null; }
+
+// ---------------------------------------------------------------------------
+
+function generate() {
+  const src = readJson(FILES.source);
+  const scoringText = fs.readFileSync(FILES.scoring, "utf8");
+  const scoring = JSON.parse(scoringText);
+  const consistency = readJson(FILES.consistency);
+  const previousInstrument = fs.existsSync(FILES.instrument) ? readJson(FILES.instrument) : null;
+  const previousMap = fs.existsSync(FILES.questionMap) ? readJson(FILES.questionMap) : null;
+
+  const sourceBank = Object.fromEntries((src.questions || []).map((q) => [q.id, { ...q, question_id: q.id }]));
+  const sourceErrors = [...checkSource(src, scoring), ...checkRules(sourceBank, consistency, previousInstrument?.red_flag_rules)];
+  if (sourceErrors.length) return { errors: [...new Set(sourceErrors)] };
+
+  const sections = scoringSections(src);
+  const artifacts = {
+    intake: buildIntake(src),
+    instrument: buildInstrument(src, previousInstrument),
+    questionMap: buildQuestionMap(src, previousMap),
+    scoring: { ...scoring, ...sections },
+    consistency
+  };
+  const outputs = {
+    intake: JSON.stringify(artifacts.intake, null, 2) + "\n",
+    instrument: JSON.stringify(artifacts.instrument, null, 2) + "\n",
+    questionMap: inlineArrays(artifacts.questionMap) + "\n",
+    scoring: renderScoring(scoringText, sections)
+  };
+  return { errors: crossCheck(artifacts), outputs, counts: { questions: src.questions.length, dimensions: src.dimensions.length } };
 }
 
 function main() {
-  const root = __dirname;
-  const csvPath = path.join(root, "schemas", "questions.v1.csv");
-  const outPath = path.join(root, "schemas", "instrument.v1.json");
+  const check = process.argv.includes("--check");
+  const { errors, outputs, counts } = generate();
 
-  if (!fs.existsSync(csvPath)) {
-    console.error("Missing:", csvPath);
+  if (errors.length) {
+    console.error(`✖ Question bank build failed (${errors.length} problem(s)):`);
+    for (const e of errors) console.error(`   - ${e}`);
     process.exit(1);
   }
 
-  const csvText = fs.readFileSync(csvPath, "utf8");
-  const rows = parseCsvSimple(csvText);
-
-  const question_bank = rows.map(r => {
-    const options = safeJsonOrNull(r.options_json);
-    const q = {
-      question_id: r.question_id,
-      dimension: r.dimension,
-      type: r.type,
-      required: toBool(r.required),
-      reverse_scored: toBool(r.reverse_scored),
-      text: {
-        en: r.text_en || "",
-        pl: r.text_pl || ""
-      }
+  if (check) {
+    const onDisk = {
+      intake: readJson(FILES.intake),
+      instrument: readJson(FILES.instrument),
+      questionMap: readJson(FILES.questionMap),
+      scoring: readJson(FILES.scoring),
+      consistency: readJson(FILES.consistency)
     };
-    const minChars = toIntOrNull(r.min_chars);
-    if (minChars) q.min_chars = minChars;
-    if (options) q.options = options;
-    return q;
-  });
-
-  // Basic expected count = required + optional total
-  const expected_questions = question_bank.length;
-
-  const instrument = {
-    instrument_id: "LRID",
-    instrument_version: "1.0",
-    expected_questions,
-    min_expected_seconds: 900,
-    bands: { risk_zone_max: 2.79, mixed_max: 3.30 },
-    question_bank,
-    // placeholders you will extend later:
-    consistency_sets: [],
-    red_flag_rules: []
-  };
+    const problems = crossCheck(onDisk);
+    const stale = Object.keys(outputs).filter((k) => fs.readFileSync(FILES[k], "utf8") !== outputs[k]);
+    for (const p of problems) console.error(`   - ${p}`);
+    for (const k of stale) console.error(`   - ${path.relative(ROOT, FILES[k])} differs from the generated version`);
+    if (problems.length || stale.length) {
+      console.error("✖ Question artifacts are out of date: run node build_instrument.js");
+      process.exit(1);
+    }
+    console.log(`✔ Question artifacts match schemas/question_bank.v1.json (${counts.questions} questions)`);
+    return;
+  }
 
-  fs.writeFileSync(outPath, JSON.stringify(instrument, null, 2), "utf8");
-  console.log("✔ Built:", path.relative(root, outPath));
-  console.log("Questions:", expected_questions);
+  for (const [k, text] of Object.entries(outputs)) {
+    fs.writeFileSync(FILES[k], text, "utf8");
+    console.log("✔ Built:", path.relative(ROOT, FILES[k]));
+  }
+  console.log(`Questions: ${counts.questions} in ${counts.dimensions} dimensions`);
 }
 
-main();
+if (require.main === module) main();
+
+module.exports = { checkSource, checkRules, buildIntake, buildInstrument, buildQuestionMap, crossCheck };
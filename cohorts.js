@@ -0,0 +1,330 @@
+/**
+ * LRID cohort reporting.
+ *
+ * Groups cases by organization (respondent.organization, compared trimmed and
+ * case-insensitive) or by an explicit cohort tag (DATA_DIR/cohort_registry.json)
+ * and summarises the group:
+ *
+ *   dimensions / indices    n, mean, SD and quartiles of the final scores
+ *   band_proportions        share of members per band label
+ *   consistency             most common consistency-check mismatches
+ *   red_flags               most common red-flag hits
+ *
+ * Each member counts once: when a subject (subjects.js) has several cases in
+ * the group, only the latest is used. Groups below
+ * scoring.v1.json "cohorts".min_group_size are not reported at all (not even
+ * their size) so no individual can be singled out; neither is any single
+ * statistic or band share computed over fewer members than that.
+ *
+ * Every released membership is kept in the registry ("releases"). A group whose
+ * membership differs from one already released (any group, or the same group at
+ * an earlier time) by fewer than min_group_size people is suppressed, since
+ * subtracting the two reports would reveal those people. Only an explicit
+ * release (the cohort PDF) is recorded; viewing a report is a preview that
+ * applies the same checks but writes nothing.
+ *
+ * Usage:
+ *   node cohorts.js tag <case_id> <cohort>
+ *   node cohorts.js list
+ *   node cohorts.js report <organization|cohort> <key> [--pdf]
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { describe } = require("./norms");
+const subjects = require("./subjects");
+
+const REGISTRY_FILE = "cohort_registry.json";
+const GROUP_BY = ["organization", "cohort"];
+
+function readJson(p) {
+  return JSON.parse(fs.readFileSync(p, "utf8"));
+}
+
+function readJsonIf(p) {
+  try {
+    return fs.existsSync(p) ? readJson(p) : null;
+  } catch {
+    return null;
+  }
+}
+
+function writeJson(p, data) {
+  const tmp = `${p}.${process.pid}.${Date.now()}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2), "utf8");
+  fs.renameSync(tmp, p);
+}
+
+function round(n, dp = 2) {
+  return typeof n === "number" && Number.isFinite(n) ? Number(n.toFixed(dp)) : null;
+}
+
+function groupKey(value) {
+  return String(value || "").trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+function settings(scoring) {
+  const cfg = (scoring || readJson(path.join(__dirname, "schemas", "scoring.v1.json"))).cohorts || {};
+  return { minGroupSize: Number(cfg.min_group_size ?? 5), topHits: Number(cfg.top_hits ?? 5) };
+}
+
+// ---------------------------------------------------------------------------
+// Cohort tags
+
+function loadRegistry(dataDir) {
+  const registry = readJsonIf(path.join(dataDir, REGISTRY_FILE)) || {};
+  return { cohorts: {}, releases: [], ...registry };
+}
+
+function tagCase(dataDir, caseId, cohort) {
+  const key = groupKey(cohort);
+  if (!key) throw new Error("Cohort tag must not be empty");
+  const registry = loadRegistry(dataDir);
+  const entry = (registry.cohorts[key] = Object.hasOwn(registry.cohorts, key) ? registry.cohorts[key] : { cohort: String(cohort).trim(), created_at: new Date().toISOString(), cases: [] });
+  const added = !entry.cases.includes(caseId);
+  if (added) {
+    entry.cases.push(caseId);
+    writeJson(path.join(dataDir, REGISTRY_FILE), registry);
+  }
+  return { cohort: key, added };
+}
+
+// ---------------------------------------------------------------------------
+// Case summaries
+
+/** Final scores and hits of one case: the payload when finalized, else the draft. */
+function loadCaseSummary(dataDir, file) {
+  const doc = readJsonIf(path.join(dataDir, file));
+  if (!doc) return null;
+  const isPayload = file.startsWith("payload_");
+  const draft = isPayload ? doc.draft || {} : doc;
+  const s = (isPayload && doc.final_scoring) || draft.draft_scoring;
+  if (!s?.dimension_scores) return null;
+  return {
+    case_id: (isPayload ? doc.case_id : draft.meta?.case_id) || file.replace(/^(payload|draft)_/, "").slice(0, -5),
+    source: isPayload ? "payload" : "draft",
+    organization: draft.meta?.respondent_org || doc.meta?.organization || "",
+    generated_at: draft.meta?.generated_at || "",
+    dimension_scores: s.dimension_scores,
+    dimension_bands: s.dimension_bands || {},
+    aggregate_scores: s.aggregate_scores || {},
+    aggregate_bands: s.aggregate_bands || {},
+    consistency: (draft.consistency_checks?.items || []).filter((c) => c.result === "MISMATCH"),
+    red_flags: draft.red_flags?.items || []
+  };
+}
+
+function loadCaseSummaries(dataDir) {
+  if (!fs.existsSync(dataDir)) return [];
+  const files = fs.readdirSync(dataDir).filter((f) => /^(payload|draft)_.+\.json$/.test(f));
+  const byCase = {};
+  for (const f of files) {
+    const c = loadCaseSummary(dataDir, f);
+    if (c && (!byCase[c.case_id] || c.source === "payload")) byCase[c.case_id] = c;
+  }
+  return Object.values(byCase);
+}
+
+/** Keeps the latest case per subject; cases without a subject count as their own person. */
+function onePerSubject(cases, dataDir) {
+  const registry = subjects.loadRegistry(dataDir);
+  const latest = {};
+  for (const c of cases) {
+    const person = subjects.subjectOfCase(registry, c.case_id)?.subject_id || `case:${c.case_id}`;
+    if (!latest[person] || String(c.generated_at) > String(latest[person].generated_at)) latest[person] = { ...c, person };
+  }
+  return Object.values(latest);
+}
+
+function membersOf(by, key, { dataDir, cases } = {}) {
+  const all = cases || loadCaseSummaries(dataDir);
+  const k = groupKey(key);
+  if (by === "organization") return onePerSubject(all.filter((c) => groupKey(c.organization) === k), dataDir);
+  const cohorts = loadRegistry(dataDir).cohorts;
+  const tagged = new Set(Object.hasOwn(cohorts, k) ? cohorts[k].cases : []);
+  return onePerSubject(all.filter((c) => tagged.has(c.case_id)), dataDir);
+}
+
+// ---------------------------------------------------------------------------
+// Aggregation
+
+// Statistics over fewer than minN scores are withheld, whatever the group size.
+function distribution(values, minN) {
+  const d = describe(values);
+  if (d.n < minN) return { suppressed: true };
+  return { n: d.n, mean: round(d.mean), sd: round(d.sd), p25: round(d.percentiles.p25), median: round(d.percentiles.p50), p75: round(d.percentiles.p75) };
+}
+
+function proportions(labels, minN) {
+  const known = labels.filter((l) => l);
+  if (known.length < minN) return null;
+  const counts = {};
+  for (const l of known) counts[l] = (counts[l] || 0) + 1;
+  const out = {};
+  for (const [l, n] of Object.entries(counts).sort((a, b) => b[1] - a[1])) out[l] = round(n / known.length);
+  return out;
+}
+
+function topHits(members, field, idKey, top) {
+  const hits = {};
+  for (const c of members) {
+    for (const id of new Set(c[field].map((h) => h[idKey]))) {
+      const h = c[field].find((x) => x[idKey] === id);
+      hits[id] = hits[id] || { [idKey]: id, title: h.description || h.title || "", severity: h.severity || null, cases: 0 };
+      hits[id].cases++;
+    }
+  }
+  return Object.values(hits)
+    .sort((a, b) => b.cases - a.cases || String(a[idKey]).localeCompare(String(b[idKey])))
+    .slice(0, top)
+    .map((h) => ({ ...h, share: round(h.cases / members.length) }));
+}
+
+function labelOf(by, key, members, dataDir) {
+  const cohorts = loadRegistry(dataDir).cohorts;
+  if (by === "cohort") return Object.hasOwn(cohorts, groupKey(key)) ? cohorts[groupKey(key)].cohort : key;
+  const names = {};
+  for (const c of members) names[c.organization.trim()] = (names[c.organization.trim()] || 0) + 1;
+  return Object.entries(names).sort((a, b) => b[1] - a[1])[0]?.[0] || key;
+}
+
+// ---------------------------------------------------------------------------
+// Releases (differencing protection)
+
+/** An earlier release whose membership differs from `people` by 1..minGroupSize-1 persons. */
+function differencingConflict(registry, people, minGroupSize) {
+  const now = new Set(people);
+  for (const r of registry.releases) {
+    const before = new Set(r.members);
+    const diff = [...now].filter((p) => !before.has(p)).length + [...before].filter((p) => !now.has(p)).length;
+    if (diff > 0 && diff < minGroupSize) return r;
+  }
+  return null;
+}
+
+function recordRelease(dataDir, by, key, people) {
+  const registry = loadRegistry(dataDir);
+  const members = [...people].sort();
+  const same = (r) => r.members.length === members.length && r.members.every((p, i) => p === members[i]);
+  if (registry.releases.some(same)) return;
+  registry.releases.push({ group_by: by, key, members, released_at: new Date().toISOString() });
+  writeJson(path.join(dataDir, REGISTRY_FILE), registry);
+}
+
+/**
+ * Aggregate report for one organization or cohort. Returns null for an
+ * unknown group; status SUPPRESSED (nothing else) when it is too small.
+ * With `release` the reported membership is recorded in the registry;
+ * without it the report is a preview and nothing is persisted.
+ */
+function cohortReport(by, key, { dataDir, scoring, release = false } = {}) {
+  if (!GROUP_BY.includes(by)) throw new Error(`Group by must be one of ${GROUP_BY.join(", ")}`);
+  const { minGroupSize, topHits: top } = settings(scoring);
+  const members = membersOf(by, key, { dataDir });
+  const known = by === "cohort" ? Object.hasOwn(loadRegistry(dataDir).cohorts, groupKey(key)) : members.length > 0;
+  if (!known) return null;
+
+  const base = { group_by: by, key: groupKey(key), label: labelOf(by, key, members, dataDir), min_group_size: minGroupSize, generated_at: new Date().toISOString() };
+  if (members.length < minGroupSize) {
+    return { ...base, status: "SUPPRESSED", note: `Fewer than ${minGroupSize} members; nothing is reported for this group.` };
+  }
+  const people = members.map((c) => c.person);
+  const conflict = differencingConflict(loadRegistry(dataDir), people, minGroupSize);
+  if (conflict) {
+    return {
+      ...base,
+      status: "SUPPRESSED",
+      note: `Membership differs from the already reported ${conflict.group_by} "${conflict.key}" by fewer than ${minGroupSize} people; nothing is reported for this group.`
+    };
+  }
+
+  const dims = [...new Set(members.flatMap((c) => Object.keys(c.dimension_scores)))];
+  const idx = [...new Set(members.flatMap((c) => Object.keys(c.aggregate_scores)))];
+  const dimensions = {};
+  const indices = {};
+  const band_proportions = { dimensions: {}, indices: {} };
+  for (const d of dims) {
+    dimensions[d] = distribution(members.map((c) => c.dimension_scores[d]), minGroupSize);
+    band_proportions.dimensions[d] = proportions(members.map((c) => c.dimension_bands[d]), minGroupSize);
+  }
+  for (const k of idx) {
+    indices[k] = distribution(members.map((c) => c.aggregate_scores[k]), minGroupSize);
+    band_proportions.indices[k] = proportions(members.map((c) => c.aggregate_bands[k]), minGroupSize);
+  }
+  if (release) recordRelease(dataDir, by, base.key, people);
+
+  return {
+    ...base,
+    status: "REPORTED",
+    released: release,
+    n: members.length,
+    finalized: members.filter((c) => c.source === "payload").length,
+    dimensions,
+    indices,
+    band_proportions,
+    consistency: topHits(members, "consistency", "cc_id", top),
+    red_flags: topHits(members, "red_flags", "rf_id", top)
+  };
+}
+
+/** Organizations and cohort tags with whether each is large enough to report. */
+function listCohorts({ dataDir, scoring } = {}) {
+  const { minGroupSize } = settings(scoring);
+  const cases = loadCaseSummaries(dataDir);
+  const registry = loadRegistry(dataDir);
+  const entry = (by, key) => {
+    const members = membersOf(by, key, { dataDir, cases });
+    const reportable = members.length >= minGroupSize && !differencingConflict(registry, members.map((c) => c.person), minGroupSize);
+    return { group_by: by, key, label: labelOf(by, key, members, dataDir), reportable };
+  };
+  const orgs = [...new Set(cases.map((c) => groupKey(c.organization)).filter(Boolean))].sort();
+  return {
+    min_group_size: minGroupSize,
+    organizations: orgs.map((k) => entry("organization", k)),
+    cohorts: Object.keys(registry.cohorts).sort().map((k) => entry("cohort", k))
+  };
+}
+
+async function main() {
+  const storage = require("./storage");
+  const [cmd, ...args] = process.argv.slice(2);
+
+  try {
+    if (cmd === "tag" && args.length >= 2) {
+      const r = tagCase(storage.DATA_DIR, args[0], args[1]);
+      console.log(`✔ ${args[0]} -> cohort "${r.cohort}"${r.added ? "" : " (already tagged)"}`);
+      return;
+    }
+    if (cmd === "list") {
+      const list = listCohorts({ dataDir: storage.DATA_DIR });
+      for (const g of [...list.organizations, ...list.cohorts]) {
+        console.log(`${g.group_by}\t${g.key}\t${g.reportable ? "reportable" : `below ${list.min_group_size}`}`);
+      }
+      return;
+    }
+    if (cmd === "report" && args.length >= 2) {
+      if (args.includes("--pdf")) {
+        const { renderCohortReport } = require("./pipeline");
+        const { outPath } = await renderCohortReport(args[0], args[1]);
+        console.log("OUT_FOLDER:", outPath);
+        return;
+      }
+      const report = cohortReport(args[0], args[1], { dataDir: storage.DATA_DIR });
+      if (!report) throw new Error(`Unknown ${args[0]} "${args[1]}"`);
+      console.log(JSON.stringify(report, null, 2));
+      return;
+    }
+  } catch (e) {
+    console.error(`✖ ${e.message}`);
+    process.exit(1);
+  }
+
+  console.error("Usage: node cohorts.js tag <case_id> <cohort> | list | report <organization|cohort> <key> [--pdf]");
+  process.exit(1);
+}
+
+// Exported before main() runs: report --pdf loads pipeline.js, which requires
+// this module back.
+module.exports = { GROUP_BY, groupKey, tagCase, cohortReport, listCohorts, loadCaseSummaries, differencingConflict };
+
+if (require.main === module) main();
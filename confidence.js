@@ -0,0 +1,77 @@
+/**
+ * LRID confidence model (consistency.v1.json -> confidence_adjustments).
+ *
+ * score = base_confidence + sum of factor contributions (all <= 0), floored.
+ * Factors and their weights:
+ *
+ *   consistency        per_cc_hit_penalty[severity] per MISMATCH
+ *   completeness       completeness_weight * share of required questions missing
+ *   response_quality   response_quality_penalty[flag] per raised flag
+ *   open_text          open_text_penalty_per_item per answer below min_chars
+ *   red_flags          red_flag_penalty[severity] * red_flag_status_factor[status]
+ *
+ * Levels: >= levels.high -> HIGH, >= levels.medium -> MEDIUM, else LOW.
+ * Every factor is returned in `drivers` (also at 0) so a reviewer can see
+ * what did and did not move the score.
+ */
+
+function round2(n) {
+  return Number(n.toFixed(2));
+}
+
+function computeConfidence(inputs, cfg = {}) {
+  const { hits = [], completeness, quality, openText = [], redFlags = [] } = inputs;
+
+  const base = Number(cfg.base_confidence ?? 0.85);
+  const floor = Number(cfg.floor ?? 0.55);
+  const levels = cfg.levels || { high: 0.8, medium: 0.65 };
+
+  const ccPenalty = cfg.per_cc_hit_penalty || { LOW: 0.03, MEDIUM: 0.06, HIGH: 0.10 };
+  const qualityPenalty = cfg.response_quality_penalty || {};
+  const rfPenalty = cfg.red_flag_penalty || { LOW: 0.01, MEDIUM: 0.03, HIGH: 0.05 };
+  const rfStatus = cfg.red_flag_status_factor || { LIKELY: 0.5, PRESENT: 1 };
+
+  const drivers = [];
+  const add = (factor, contribution, detail) => drivers.push({ factor, contribution: -round2(contribution) || 0, detail });
+
+  add(
+    "consistency",
+    hits.reduce((sum, h) => sum + Number(ccPenalty[h.severity] ?? 0.06), 0),
+    hits.length ? hits.map(h => `${h.cc_id} (${h.severity})`).join(", ") : "no mismatches"
+  );
+
+  const expected = completeness?.expected_questions || 0;
+  const missing = completeness?.missing_question_ids?.length || 0;
+  add(
+    "completeness",
+    expected ? Number(cfg.completeness_weight ?? 0.2) * (missing / expected) : 0,
+    missing ? `${missing} of ${expected} required answers missing` : "all required answers present"
+  );
+
+  const raised = Object.entries(quality?.flags || {}).filter(([, on]) => on).map(([flag]) => flag);
+  add(
+    "response_quality",
+    raised.reduce((sum, flag) => sum + Number(qualityPenalty[flag] ?? 0), 0),
+    raised.length ? raised.join(", ").replace(/_/g, " ") : "no flags"
+  );
+
+  add(
+    "open_text",
+    openText.length * Number(cfg.open_text_penalty_per_item ?? 0.02),
+    openText.length ? `short answers: ${openText.map(o => o.question_id).join(", ")}` : "adequate"
+  );
+
+  add(
+    "red_flags",
+    redFlags.reduce((sum, f) => sum + Number(rfPenalty[f.severity] ?? 0) * Number(rfStatus[f.status] ?? 0), 0),
+    redFlags.length ? redFlags.map(f => `${f.rf_id} ${f.status} (${f.severity})`).join(", ") : "none"
+  );
+
+  const raw = base + drivers.reduce((sum, d) => sum + d.contribution, 0);
+  const score = Math.max(floor, round2(raw));
+  const level = score >= Number(levels.high) ? "HIGH" : score >= Number(levels.medium) ? "MEDIUM" : "LOW";
+
+  return { score, level, base, floor, floored: raw < floor, drivers };
+}
+
+module.exports = { computeConfidence };
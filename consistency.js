@@ -0,0 +1,186 @@
+/**
+ * LRID consistency-rule evaluator (schemas/consistency.v1.json).
+ *
+ * Rule types (rule.logic.type):
+ *
+ *   contradiction_pair  { if: [cond], and: [cond] }          hit when every condition holds
+ *   condition           { when: cond }                       hit when `when` holds
+ *   mirror              { question_ids: [a, b], tolerance }  hit when |score a - score b| > tolerance
+ *   reverse_pair        { question_ids: [a, b], max_delta }  b is the reverse-coded twin of a:
+ *                                                            hit when |raw a - (min + max - raw b)| > max_delta
+ *   item_set            { question_ids: [...], max_spread, min_answered }
+ *                                                            hit when max - min score > max_spread
+ *
+ * Conditions:
+ *   { question_id, equals | in | gte_likert | lte_likert | between: [lo, hi]
+ *                  | score_gte | score_lte | score_between: [lo, hi] }
+ *   { all: [cond] }  { any: [cond] }  { not: cond }
+ *
+ * `*_likert` / `between` look at the raw response, `score_*` at the item score
+ * (after reverse coding and multiple-choice mapping). Conditions are
+ * three-valued: a missing answer is "unknown" rather than false, so `not` on
+ * an unanswered item never produces a hit. A rule that ends up unknown is
+ * reported as NOT_EVALUATED. A rule of any other type is a configuration
+ * error and throws.
+ */
+
+const UNKNOWN = null;
+
+const RULE_TYPES = ["contradiction_pair", "condition", "mirror", "reverse_pair", "item_set"];
+
+function num(v) {
+  const n = Number(v);
+  return v === null || v === undefined || v === "" || !Number.isFinite(n) ? null : n;
+}
+
+function inRange(n, range) {
+  return Array.isArray(range) && n !== null && n >= Number(range[0]) && n <= Number(range[1]);
+}
+
+/** Returns true | false | null (unknown); `seen` collects leaves that held. */
+function evalCondition(cond, ctx, seen) {
+  if (!cond || typeof cond !== "object") throw new Error("Invalid consistency condition");
+
+  if (Array.isArray(cond.all)) {
+    const vals = cond.all.map(c => evalCondition(c, ctx, seen));
+    if (vals.includes(false)) return false;
+    return vals.includes(UNKNOWN) ? UNKNOWN : true;
+  }
+  if (Array.isArray(cond.any)) {
+    const vals = cond.any.map(c => evalCondition(c, ctx, seen));
+    if (vals.includes(true)) return true;
+    return vals.includes(UNKNOWN) ? UNKNOWN : false;
+  }
+  if (cond.not !== undefined) {
+    const v = evalCondition(cond.not, ctx, new Set());
+    return v === UNKNOWN ? UNKNOWN : !v;
+  }
+
+  const answer = ctx.answers[cond.question_id];
+  if (!answer || answer.response === "" || answer.response === null || answer.response === undefined) return UNKNOWN;
+
+  const r = answer.response;
+  const raw = num(r);
+  const score = num(ctx.scores[cond.question_id]);
+  let ok;
+
+  if (cond.equals !== undefined) ok = String(r) === String(cond.equals);
+  else if (cond.in !== undefined) ok = Array.isArray(cond.in) && cond.in.map(String).includes(String(r));
+  else if (cond.gte_likert !== undefined) ok = raw !== null && raw >= Number(cond.gte_likert);
+  else if (cond.lte_likert !== undefined) ok = raw !== null && raw <= Number(cond.lte_likert);
+  else if (cond.between !== undefined) ok = inRange(raw, cond.between);
+  else if (cond.score_gte !== undefined) ok = score !== null && score >= Number(cond.score_gte);
+  else if (cond.score_lte !== undefined) ok = score !== null && score <= Number(cond.score_lte);
+  else if (cond.score_between !== undefined) ok = inRange(score, cond.score_between);
+  else throw new Error(`Unknown consistency predicate on ${cond.question_id}`);
+
+  if (ok) seen.add(cond.question_id);
+  return ok;
+}
+
+/** Every question ID referenced by a rule, in order of appearance. */
+function referencedIds(logic) {
+  const ids = [];
+  const walk = (c) => {
+    if (!c || typeof c !== "object") return;
+    if (Array.isArray(c)) return c.forEach(walk);
+    if (c.question_id) ids.push(c.question_id);
+    ["all", "any", "if", "and"].forEach(k => walk(c[k]));
+    walk(c.not);
+    walk(c.when);
+  };
+  walk(logic);
+  ids.push(...(logic.question_ids || []));
+  return [...new Set(ids)];
+}
+
+function evalRule(logic, ctx) {
+  switch (logic.type) {
+    case "contradiction_pair":
+    case "condition": {
+      const seen = new Set();
+      const conds = logic.type === "condition" ? [logic.when] : [...(logic.if || []), ...(logic.and || [])];
+      const result = evalCondition({ all: conds }, ctx, seen);
+      return { hit: result, matched: [...seen] };
+    }
+
+    case "mirror":
+    case "reverse_pair": {
+      const [a, b] = logic.question_ids || [];
+      const useRaw = logic.type === "reverse_pair";
+      const va = num(useRaw ? ctx.answers[a]?.response : ctx.scores[a]);
+      const vb = num(useRaw ? ctx.answers[b]?.response : ctx.scores[b]);
+      if (va === null || vb === null) return { hit: UNKNOWN, matched: [] };
+
+      const delta = useRaw ? Math.abs(va - (ctx.scaleMin + ctx.scaleMax - vb)) : Math.abs(va - vb);
+      const limit = Number(useRaw ? logic.max_delta ?? 1 : logic.tolerance ?? 1);
+      return { hit: delta > limit, matched: [a, b], delta };
+    }
+
+    case "item_set": {
+      const ids = logic.question_ids || [];
+      const present = ids.filter(id => num(ctx.scores[id]) !== null);
+      if (present.length < Number(logic.min_answered ?? ids.length)) return { hit: UNKNOWN, matched: [] };
+
+      const vals = present.map(id => num(ctx.scores[id]));
+      const spread = Math.max(...vals) - Math.min(...vals);
+      return { hit: spread > Number(logic.max_spread ?? 2), matched: present, delta: spread };
+    }
+
+    default:
+      throw new Error(`Unknown consistency rule type: ${logic.type}`);
+  }
+}
+
+/**
+ * answers: canonical answers by question_id; scores: item score by question_id.
+ * Returns { checks, hits }; every rule appears in `checks`, hits also in `hits`.
+ */
+function evaluateConsistency(rules, { answers, scores, scaleMin = 1, scaleMax = 5 }) {
+  const ctx = { answers, scores, scaleMin, scaleMax };
+  const checks = [];
+  const hits = [];
+
+  for (const rule of rules || []) {
+    const logic = rule.logic || {};
+    const question_ids = referencedIds(logic);
+    const { hit, matched, delta } = evalRule(logic, ctx);
+
+    const values = {};
+    const itemScores = {};
+    for (const id of question_ids) {
+      if (ctx.answers[id]) values[id] = ctx.answers[id].response;
+      if (num(ctx.scores[id]) !== null) itemScores[id] = ctx.scores[id];
+    }
+
+    const check = {
+      cc_id: rule.cc_id,
+      title: rule.title,
+      severity: rule.severity,
+      question_ids,
+      result: hit === UNKNOWN ? "NOT_EVALUATED" : hit ? "MISMATCH" : "OK",
+      message: logic.message,
+      evidence: {
+        question_ids: hit ? matched : question_ids,
+        values,
+        scores: itemScores
+      }
+    };
+    if (delta !== undefined) check.evidence.delta = Number(delta.toFixed(2));
+    checks.push(check);
+
+    if (hit) {
+      hits.push({
+        cc_id: rule.cc_id,
+        title: rule.title,
+        severity: rule.severity,
+        message: logic.message,
+        evidence: check.evidence
+      });
+    }
+  }
+
+  return { checks, hits };
+}
+
+module.exports = { RULE_TYPES, evaluateConsistency, evalCondition };
@@ -0,0 +1,204 @@
+/**
+ * LRID draft engine.
+ *
+ * Builds a draft assessment (schemas/draft_assessment.schema.json) from
+ * responses of any supported shape, using scoring_engine.runScoring for item
+ * scores, dimension means and consistency hits.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { runScoring } = require("./scoring_engine");
+const { explainScoring } = require("./explainability");
+
+const ENGINE = "lrid-draft-engine";
+const ENGINE_VERSION = "0.2.0";
+
+function readJson(p) {
+  return JSON.parse(fs.readFileSync(p, "utf8"));
+}
+
+function round2(n) {
+  return typeof n === "number" && Number.isFinite(n) ? Number(n.toFixed(2)) : null;
+}
+
+function titleCaseLevel(level) {
+  const l = String(level || "").toLowerCase();
+  return l ? l[0].toUpperCase() + l.slice(1) : "Low";
+}
+
+function buildValidation(responses, scoringResult) {
+  const hard_errors = [];
+  const soft_warnings = [];
+
+  const completeness = scoringResult.completeness;
+  const missing = completeness.missing_question_ids;
+
+  if (!responses.answers.length) hard_errors.push("No answers could be mapped onto the instrument.");
+  if (missing.length) soft_warnings.push(`Missing answers: ${missing.join(", ")}`);
+  if (completeness.flow_disagreements?.length) {
+    soft_warnings.push(`Recorded question flow disagrees with the instrument conditions: ${completeness.flow_disagreements.join(", ")}`);
+  }
+
+  for (const x of scoringResult.scoring.insufficient_dimensions || []) {
+    soft_warnings.push(`Dimension ${x.dimension} insufficient: ${x.reason}`);
+  }
+
+  for (const w of scoringResult.red_flags.warnings || []) soft_warnings.push(`Red-flag rule ${w}`);
+
+  for (const u of scoringResult.normalization.unmapped || []) {
+    soft_warnings.push(`Answer ${u.source_question_id} not scored: ${u.reason}`);
+  }
+
+  for (const o of scoringResult.short_open_text) {
+    soft_warnings.push(`Open-text length low for ${o.question_id} (recommended ≥ ${o.min_chars} chars)`);
+  }
+
+  for (const m of responses.meta?.migrations || []) {
+    const dropped = m.dropped.length ? `; dropped ${m.dropped.map(d => d.question_id).join(", ")}` : "";
+    soft_warnings.push(`Responses migrated from instrument ${m.path.join(" -> ")}${dropped}`);
+  }
+
+  const quality = scoringResult.quality;
+  soft_warnings.push(...quality.notes);
+
+  return {
+    status: hard_errors.length ? "FAIL" : soft_warnings.length ? "WARN" : "PASS",
+    hard_errors,
+    soft_warnings,
+    completeness,
+    timing_checks: quality.timing,
+    pattern_checks: quality.patterns
+  };
+}
+
+function buildConsistency(scoringResult) {
+  const items = (scoringResult.consistency.checks || []).map(c => ({
+    cc_id: c.cc_id,
+    description: c.title || "",
+    result: c.result,
+    severity: c.severity || "MEDIUM",
+    evidence: {
+      ...c.evidence,
+      observations: c.result === "MISMATCH" ? c.message || "" : ""
+    }
+  }));
+  return {
+    status: items.some(i => i.result === "MISMATCH") ? "ATTENTION" : "OK",
+    items
+  };
+}
+
+function buildHandoff(validation, confidence, consistency, redFlags) {
+  const reasons = [];
+  if (validation.status === "FAIL") reasons.push("validation failed");
+  if (validation.completeness.missing_question_ids.length) reasons.push("incomplete answers");
+  if (confidence.level !== "High") reasons.push(`${confidence.level.toLowerCase()} confidence`);
+  if (consistency.items.some(i => i.result === "MISMATCH" && i.severity === "HIGH")) reasons.push("high-severity consistency deviations");
+  if (redFlags.high_stakes.status === "ON") reasons.push("high-stakes triggers present");
+
+  const action = validation.status === "FAIL" ? "DEBRIEF" : reasons.length ? "REVIEW" : "APPROVE";
+  return {
+    recommended_expert_action: action,
+    recommended_reason: reasons.length
+      ? `Expert review required: ${reasons.join(", ")}.`
+      : "Complete, consistent responses with high confidence.",
+    auto_generate_payload_allowed: action === "APPROVE"
+  };
+}
+
+/**
+ * Builds a schema-complete draft. Accepts any responses shape that
+ * normalize_responses.js understands. opts.norms and opts.observers (360
+ * observer submissions) are passed to runScoring.
+ */
+function buildDraft(rawResponses, opts = {}) {
+  const root = __dirname;
+  const instrument = readJson(path.join(root, "schemas", "instrument.v1.json"));
+
+  const result = runScoring({ responses: rawResponses, norms: opts.norms, observers: opts.observers });
+  const responses = result.responses;
+
+  // Dimensions as scored: scoring.v1.json "dimension_weights".
+  const dimension_scores = {};
+  const dimension_bands = {};
+  for (const d of Object.keys(result.scoring.dimension_scores)) {
+    dimension_scores[d] = round2(result.scoring.dimension_scores[d]);
+    dimension_bands[d] = result.scoring.bands.dimensions[d]?.label ?? null;
+  }
+  const aggregate_scores = { ...result.scoring.aggregate_scores };
+  const aggregate_bands = {};
+  for (const k of Object.keys(aggregate_scores)) aggregate_bands[k] = result.scoring.bands.indices[k]?.label ?? null;
+  const insufficient = result.scoring.insufficient_dimensions || [];
+
+  const validation = buildValidation(responses, result);
+  const consistency_checks = buildConsistency(result);
+  const red_flags = {
+    high_stakes: result.red_flags.high_stakes,
+    items: result.red_flags.items
+  };
+
+  const conf = result.consistency.confidence;
+  const moved = conf.drivers.filter(d => d.contribution < 0);
+  const confidence = {
+    level: titleCaseLevel(conf.level),
+    score: conf.score,
+    drivers: conf.drivers,
+    notes: moved.length
+      ? `Base ${conf.base}; reduced by ${moved.map(d => d.factor.replace(/_/g, " ")).join(", ")}${conf.floored ? ` (floored at ${conf.floor})` : ""}.`
+      : `Base ${conf.base}; no reducing factors.`
+  };
+
+  return {
+    meta: {
+      case_id: responses.meta.case_id,
+      instrument_id: instrument.instrument_id,
+      instrument_version: instrument.instrument_version,
+      generated_at: new Date().toISOString(),
+      generated_by: { engine: ENGINE, engine_version: ENGINE_VERSION },
+      provenance: result.provenance,
+      respondent_name: responses.respondent?.subject_name || "",
+      respondent_email: responses.respondent?.email || "",
+      respondent_org: responses.respondent?.organization || ""
+    },
+
+    validation,
+    confidence,
+    consistency_checks,
+    red_flags,
+
+    draft_scoring: {
+      dimension_scores,
+      dimension_bands,
+      aggregate_scores,
+      aggregate_bands,
+      band_details: result.scoring.bands,
+      insufficient_dimensions: insufficient,
+      norms: result.scoring.norms,
+      scoring_notes: [
+        "Rule-based scoring (mean of scored items per dimension; indices per scoring.v1.json formulas).",
+        ...insufficient.map(x => `${x.dimension} not scored: ${x.reason}.`)
+      ].join(" ")
+    },
+
+    // Self-other gaps per dimension from 360 observers (status NONE without observers).
+    multi_rater: result.multi_rater,
+
+    draft_narrative: {
+      executive_thesis_sentence: "",
+      top_assets: [],
+      top_risks: [],
+      actions_30_days: [],
+      hr_role_fit_summary: "",
+      academic_profile_statement: "",
+      academic_tradeoffs: "",
+      academic_cc_overview: ""
+    },
+
+    explainability: explainScoring(result),
+
+    handoff: buildHandoff(validation, confidence, consistency_checks, red_flags)
+  };
+}
+
+module.exports = { ENGINE, ENGINE_VERSION, buildDraft };
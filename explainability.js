@@ -0,0 +1,98 @@
+/**
+ * LRID per-item explainability.
+ *
+ * Turns runScoring() output into explainability.dimension_drivers[] for the
+ * draft: for every scored item, how it was scored (reverse coding, option map),
+ * how much it contributes to its dimension mean and to each aggregate index,
+ * and whether it pulled the dimension into the Risk Zone.
+ *
+ *   contribution_to_dimension = score / n            (sums to the dimension mean)
+ *   impact                    = (score - midpoint) / n  (sign = pushes up / down)
+ *   contribution_to_indices   = contribution_to_dimension * d(index)/d(dimension)
+ *
+ * An item "pulls into risk" when its dimension is in the Risk Zone and the item
+ * scores below risk_zone_max; it is "decisive" when dropping it alone would
+ * lift the dimension out of the Risk Zone.
+ */
+
+function round(n, dp = 2) {
+  return typeof n === "number" && Number.isFinite(n) ? Number(n.toFixed(dp)) : null;
+}
+
+function describeScoring(item) {
+  const rule = item.scoring_rule || {};
+  if (rule.method === "likert_5") {
+    return rule.reverse_scored
+      ? `Likert ${item.response} reverse-scored (${rule.formula}) to ${item.score}`
+      : `Likert ${item.response} scored as-is`;
+  }
+  if (rule.method === "multiple_choice_map") {
+    const map = rule.option_map || {};
+    const table = Object.entries(map).map(([k, v]) => `${k}=${v}`).join(", ");
+    return `Option ${item.response} mapped to ${item.score ?? "no score"} (${table || "no map"})`;
+  }
+  return "Not scored";
+}
+
+/**
+ * result: runScoring() output (risk thresholds come from result.scoring.bands);
+ * scaleMid: neutral point of the item scale (3 for 1-5).
+ */
+function explainScoring(result, scaleMid = 3) {
+  const { scored_items, dimension_scores, aggregate_indices, bands } = result.scoring;
+  const dimension_drivers = [];
+
+  for (const [dimension, mean] of Object.entries(dimension_scores)) {
+    const items = scored_items.filter(x => x.dimension === dimension && typeof x.score === "number");
+    const n = items.length;
+    const riskZoneMax = bands.risk_zone_max[dimension];
+    const inRisk = Boolean(bands.dimensions[dimension]?.risk);
+
+    const drivers = items.map(item => {
+      const share = n ? item.score / n : 0;
+      const contribution_to_indices = {};
+      for (const [key, idx] of Object.entries(aggregate_indices || {})) {
+        const s = idx.sensitivity?.[dimension];
+        if (s) contribution_to_indices[key] = round(share * s, 3);
+      }
+
+      const pulls = inRisk && item.score < riskZoneMax;
+      const others = items.filter(x => x !== item);
+      const withoutIt = others.length ? others.reduce((a, x) => a + x.score, 0) / others.length : null;
+
+      const driver = {
+        type: "item",
+        rule_id: item.question_id,
+        question_id: item.question_id,
+        response: item.response,
+        score: item.score,
+        scoring: { ...item.scoring_rule, explanation: describeScoring(item) },
+        contribution_to_dimension: round(share, 3),
+        impact: round(n ? (item.score - scaleMid) / n : 0, 3),
+        contribution_to_indices,
+        pulls_into_risk_zone: pulls,
+        evidence: {
+          question_ids: [item.question_id],
+          observations: describeScoring(item)
+        }
+      };
+      if (pulls) driver.decisive = withoutIt !== null && withoutIt > riskZoneMax;
+      return driver;
+    });
+
+    drivers.sort((a, b) => a.impact - b.impact);
+
+    dimension_drivers.push({
+      dimension,
+      score: round(mean),
+      in_risk_zone: inRisk,
+      items_scored: n,
+      risk_pullers: drivers.filter(d => d.pulls_into_risk_zone).map(d => d.question_id),
+      drivers
+    });
+  }
+
+  return { dimension_drivers };
+}
+
+module.exports = { explainScoring };
@@ -0,0 +1,138 @@
+/**
+ * Safe evaluator for aggregate-index formulas declared in scoring.v1.json
+ * (aggregate_indices.<KEY>.formula), e.g.
+ *
+ *   "mean(DI, RP, AC)"
+ *   "weighted_mean(DI, MA, PR, ED)"
+ *   "clamp(max(DI, ED), 1, 5)"
+ *
+ * Grammar: expr := NUMBER | DIMENSION | fn "(" expr ("," expr)* ")"; NUMBER
+ * may be negative ("clamp(x, -1, 5)").
+ * No eval/Function — formulas are parsed into a small tree and walked.
+ *
+ * scoring.v1.json dimension_weights apply inside weighted_mean only; mean,
+ * min and max treat every dimension alike.
+ *
+ * Dimension values may be null (no score / insufficient items). mean,
+ * weighted_mean, min and max skip nulls and return null when nothing is left;
+ * clamp passes null through.
+ */
+
+const FUNCTIONS = {
+  mean: { minArgs: 1 },
+  weighted_mean: { minArgs: 1 },
+  min: { minArgs: 1 },
+  max: { minArgs: 1 },
+  clamp: { minArgs: 3, maxArgs: 3 }
+};
+
+function tokenize(src) {
+  const tokens = [];
+  const re = /\s*(?:(-?\d+(?:\.\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|([(),]))/y;
+  let pos = 0;
+  const text = String(src);
+  while (pos < text.length) {
+    if (/^\s*$/.test(text.slice(pos))) break;
+    re.lastIndex = pos;
+    const m = re.exec(text);
+    if (!m) throw new Error(`Unexpected character at ${pos} in "${text}"`);
+    if (m[1] !== undefined) tokens.push({ kind: "num", value: Number(m[1]) });
+    else if (m[2] !== undefined) tokens.push({ kind: "ident", value: m[2] });
+    else tokens.push({ kind: "punct", value: m[3] });
+    pos = re.lastIndex;
+  }
+  return tokens;
+}
+
+/**
+ * Parses a formula into a tree. `dimensions` lists allowed identifiers;
+ * unknown functions or dimensions are rejected here, not at evaluation time.
+ */
+function parseFormula(src, dimensions) {
+  const tokens = tokenize(src);
+  let i = 0;
+  const peek = () => tokens[i];
+  const expect = (value) => {
+    const t = tokens[i++];
+    if (!t || t.value !== value) throw new Error(`Expected "${value}" in "${src}"`);
+  };
+
+  function expr() {
+    const t = tokens[i++];
+    if (!t) throw new Error(`Unexpected end of formula "${src}"`);
+    if (t.kind === "num") return { kind: "num", value: t.value };
+    if (t.kind !== "ident") throw new Error(`Unexpected "${t.value}" in "${src}"`);
+
+    if (peek() && peek().value === "(") {
+      const fn = FUNCTIONS[t.value];
+      if (!fn) throw new Error(`Unknown function "${t.value}" in "${src}"`);
+      expect("(");
+      const args = [expr()];
+      while (peek() && peek().value === ",") {
+        i++;
+        args.push(expr());
+      }
+      expect(")");
+      if (args.length < fn.minArgs || (fn.maxArgs && args.length > fn.maxArgs)) {
+        throw new Error(`Wrong number of arguments for ${t.value}() in "${src}"`);
+      }
+      if (t.value === "weighted_mean" && args.some(a => a.kind !== "dim")) {
+        throw new Error(`weighted_mean() takes dimension codes only in "${src}"`);
+      }
+      if (t.value === "clamp" && (args[1].kind !== "num" || args[2].kind !== "num")) {
+        throw new Error(`clamp() bounds must be numbers in "${src}"`);
+      }
+      return { kind: "call", fn: t.value, args };
+    }
+
+    if (!dimensions.includes(t.value)) throw new Error(`Unknown dimension "${t.value}" in "${src}"`);
+    return { kind: "dim", value: t.value };
+  }
+
+  const tree = expr();
+  if (i < tokens.length) throw new Error(`Unexpected "${tokens[i].value}" in "${src}"`);
+  return tree;
+}
+
+function isNum(n) {
+  return typeof n === "number" && Number.isFinite(n);
+}
+
+/** Dimension codes referenced anywhere in the tree. */
+function dimensionsOf(tree) {
+  if (tree.kind === "dim") return [tree.value];
+  if (tree.kind === "call") return [...new Set(tree.args.flatMap(dimensionsOf))];
+  return [];
+}
+
+function evaluate(tree, scores, weights = {}) {
+  if (tree.kind === "num") return tree.value;
+  if (tree.kind === "dim") return isNum(scores[tree.value]) ? scores[tree.value] : null;
+
+  if (tree.fn === "weighted_mean") {
+    let sum = 0;
+    let wsum = 0;
+    for (const a of tree.args) {
+      const v = evaluate(a, scores);
+      const w = Number(weights[a.value] ?? 1);
+      if (!isNum(v) || !(w > 0)) continue;
+      sum += v * w;
+      wsum += w;
+    }
+    return wsum ? sum / wsum : null;
+  }
+
+  const vals = tree.args.map(a => evaluate(a, scores, weights));
+  if (tree.fn === "clamp") {
+    const [v, lo, hi] = vals;
+    return isNum(v) ? Math.max(lo, Math.min(hi, v)) : null;
+  }
+
+  const present = vals.filter(isNum);
+  if (!present.length) return null;
+  if (tree.fn === "mean") return present.reduce((a, b) => a + b, 0) / present.length;
+  if (tree.fn === "min") return Math.min(...present);
+  return Math.max(...present);
+}
+
+module.exports = { FUNCTIONS, parseFormula, evaluate, dimensionsOf };
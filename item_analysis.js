@@ -0,0 +1,235 @@
+/**
+ * LRID psychometric item analysis.
+ *
+ * Scores every responses file in DATA_DIR and reports, per dimension:
+ *  - Cronbach's alpha and alpha-if-item-deleted (listwise complete cases)
+ *  - corrected item-total correlations (item vs. sum of the other items)
+ *  - item means and SDs
+ *  - option endorsement frequencies for multiple-choice items
+ *
+ * Items are flagged when their multiple_choice_scores map gives every option
+ * the same score (no information), when observed scores do not vary, when the
+ * item-total correlation is below 0.2, or when deleting them raises alpha.
+ *
+ * Usage:
+ *   node item_analysis.js [--out <dir>]
+ * Writes item_analysis_<stamp>.json and .html (default: OUT_DIR).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { runScoring } = require("./scoring_engine");
+
+const MIN_ITEM_TOTAL_R = 0.2;
+
+function readJson(p) {
+  return JSON.parse(fs.readFileSync(p, "utf8"));
+}
+
+function round(n, dp = 3) {
+  return typeof n === "number" && Number.isFinite(n) ? Number(n.toFixed(dp)) : null;
+}
+
+function mean(xs) {
+  return xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null;
+}
+
+// Sample variance (n - 1).
+function variance(xs) {
+  if (xs.length < 2) return null;
+  const m = mean(xs);
+  return xs.reduce((a, b) => a + (b - m) ** 2, 0) / (xs.length - 1);
+}
+
+function correlation(xs, ys) {
+  if (xs.length < 3) return null;
+  const mx = mean(xs);
+  const my = mean(ys);
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < xs.length; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  }
+  return sxx && syy ? sxy / Math.sqrt(sxx * syy) : null;
+}
+
+/** rows: arrays of item scores (complete cases), one column per item. */
+function cronbachAlpha(rows) {
+  const k = rows[0]?.length || 0;
+  if (k < 2 || rows.length < 2) return null;
+  const itemVars = [];
+  for (let j = 0; j < k; j++) itemVars.push(variance(rows.map((r) => r[j])));
+  const totalVar = variance(rows.map((r) => r.reduce((a, b) => a + b, 0)));
+  if (!totalVar) return null;
+  return (k / (k - 1)) * (1 - itemVars.reduce((a, b) => a + b, 0) / totalVar);
+}
+
+/** Scored cases: [{ case_id, items: { question_id: { response, score } } }]. */
+function loadCases(dataDir) {
+  const files = fs.existsSync(dataDir)
+    ? fs.readdirSync(dataDir).filter((f) => f.startsWith("responses_") && f.endsWith(".json"))
+    : [];
+  const cases = [];
+  const skipped = [];
+  const seen = new Set();
+
+  for (const f of files) {
+    try {
+      const result = runScoring({ responsesPath: path.join(dataDir, f), norms: false });
+      const caseId = result.responses.meta.case_id;
+      if (seen.has(caseId)) continue;
+      seen.add(caseId);
+      const items = {};
+      for (const x of result.scoring.scored_items) items[x.question_id] = { response: x.response, score: x.score };
+      cases.push({ case_id: caseId, items });
+    } catch (e) {
+      skipped.push({ file: f, reason: e.message });
+    }
+  }
+  return { cases, skipped };
+}
+
+function analyzeItems(cases, instrument, scoring) {
+  const mcScores = scoring.multiple_choice_scores || {};
+  const bank = (instrument.question_bank || []).filter((q) => q.type !== "open_text");
+  const dims = [...new Set(bank.map((q) => q.dimension))];
+  const dimensions = {};
+  const flagged = [];
+
+  for (const d of dims) {
+    const qs = bank.filter((q) => q.dimension === d);
+    const complete = cases.filter((c) => qs.every((q) => typeof c.items[q.question_id]?.score === "number"));
+    const rows = complete.map((c) => qs.map((q) => c.items[q.question_id].score));
+    const alpha = cronbachAlpha(rows);
+
+    const items = qs.map((q, j) => {
+      const scores = cases.map((c) => c.items[q.question_id]?.score).filter((s) => typeof s === "number");
+      const sdv = variance(scores);
+      const rest = rows.map((r) => r.reduce((a, b) => a + b, 0) - r[j]);
+      const itemTotal = correlation(rows.map((r) => r[j]), rest);
+      const alphaIfDeleted = qs.length > 2 ? cronbachAlpha(rows.map((r) => r.filter((_, i) => i !== j))) : null;
+
+      const out = {
+        question_id: q.question_id,
+        type: q.type,
+        n: scores.length,
+        mean: round(mean(scores)),
+        sd: sdv === null ? null : round(Math.sqrt(sdv)),
+        item_total_r: round(itemTotal),
+        alpha_if_deleted: round(alphaIfDeleted),
+        flags: []
+      };
+
+      if (q.type === "multiple_choice") {
+        const map = mcScores[q.question_id] || {};
+        const letters = (q.options || []).map((o) => o.value);
+        const answered = cases.map((c) => c.items[q.question_id]?.response).filter((r) => r !== undefined);
+        out.options = letters.map((letter) => {
+          const count = answered.filter((r) => String(r) === letter).length;
+          return { option: letter, score: map[letter] ?? null, count, share: answered.length ? round(count / answered.length) : null };
+        });
+        const distinct = new Set(Object.values(map).map(Number));
+        if (Object.keys(map).length && distinct.size <= 1) out.flags.push("NO_INFORMATION_MAP");
+      }
+      if (scores.length > 1 && sdv === 0) out.flags.push("ZERO_VARIANCE");
+      if (itemTotal !== null && itemTotal < MIN_ITEM_TOTAL_R) out.flags.push("LOW_ITEM_TOTAL");
+      if (alpha !== null && alphaIfDeleted !== null && alphaIfDeleted > alpha) out.flags.push("ALPHA_IMPROVES_IF_DELETED");
+
+      if (out.flags.length) flagged.push({ question_id: q.question_id, dimension: d, flags: out.flags });
+      return out;
+    });
+
+    dimensions[d] = { items_count: qs.length, complete_cases: rows.length, alpha: round(alpha), items };
+  }
+
+  return { dimensions, flagged };
+}
+
+function escapeHtml(str) {
+  return String(str ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
+
+function fmt(n) {
+  return n === null || n === undefined ? "—" : String(n);
+}
+
+function renderHtml(report) {
+  const sections = Object.entries(report.dimensions).map(([d, dim]) => {
+    const rows = dim.items.map((it) => {
+      const opts = (it.options || []).map((o) => `${o.option}=${fmt(o.score)}: ${o.count}`).join(", ");
+      return `<tr class="${it.flags.length ? "flag" : ""}"><td>${escapeHtml(it.question_id)}</td><td>${it.n}</td><td>${fmt(it.mean)}</td><td>${fmt(it.sd)}</td><td>${fmt(it.item_total_r)}</td><td>${fmt(it.alpha_if_deleted)}</td><td>${escapeHtml(opts || "—")}</td><td>${escapeHtml(it.flags.join(", "))}</td></tr>`;
+    });
+    return `<h2>${escapeHtml(d)} <small>α = ${fmt(dim.alpha)} (${dim.complete_cases} complete cases, ${dim.items_count} items)</small></h2>
+<table><thead><tr><th>Item</th><th>n</th><th>Mean</th><th>SD</th><th>Item-total r</th><th>α if deleted</th><th>Options (score: count)</th><th>Flags</th></tr></thead>
+<tbody>${rows.join("")}</tbody></table>`;
+  });
+
+  const flagged = report.flagged.length
+    ? `<ul>${report.flagged.map((f) => `<li><b>${escapeHtml(f.question_id)}</b> (${escapeHtml(f.dimension)}): ${escapeHtml(f.flags.join(", "))}</li>`).join("")}</ul>`
+    : "<p>None.</p>";
+
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><title>LRID item analysis</title>
+<style>
+body{font-family:system-ui,sans-serif;margin:24px;color:#222}
+table{border-collapse:collapse;margin-bottom:24px;width:100%}
+th,td{border:1px solid #ddd;padding:4px 8px;font-size:13px;text-align:left}
+th{background:#f4f4f4}
+tr.flag td{background:#fff4e5}
+small{color:#666;font-weight:normal}
+</style></head><body>
+<h1>LRID item analysis</h1>
+<p>Generated ${escapeHtml(report.generated_at)} · ${report.cases} cases · instrument ${escapeHtml(report.instrument_version)}</p>
+<h2>Flagged items</h2>${flagged}
+${sections.join("\n")}
+</body></html>
+`;
+}
+
+function main() {
+  const storage = require("./storage");
+  const args = process.argv.slice(2);
+  const outIdx = args.indexOf("--out");
+  const outDir = outIdx >= 0 && args[outIdx + 1] ? path.resolve(args[outIdx + 1]) : storage.OUT_DIR;
+
+  const instrument = readJson(path.join(__dirname, "schemas", "instrument.v1.json"));
+  const scoring = readJson(path.join(__dirname, "schemas", "scoring.v1.json"));
+
+  const { cases, skipped } = loadCases(storage.DATA_DIR);
+  if (!cases.length) {
+    console.error("✖ No scorable responses in", storage.DATA_DIR);
+    process.exit(1);
+  }
+
+  const report = {
+    generated_at: new Date().toISOString(),
+    instrument_version: instrument.instrument_version,
+    cases: cases.length,
+    skipped_files: skipped,
+    ...analyzeItems(cases, instrument, scoring)
+  };
+
+  storage.ensureDir(outDir);
+  const stamp = report.generated_at.replace(/[-:]/g, "").slice(0, 15);
+  const jsonPath = path.join(outDir, `item_analysis_${stamp}.json`);
+  const htmlPath = path.join(outDir, `item_analysis_${stamp}.html`);
+  fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2), "utf8");
+  fs.writeFileSync(htmlPath, renderHtml(report), "utf8");
+
+  console.log(`✔ Item analysis: ${cases.length} cases`);
+  console.log("JSON:", jsonPath);
+  console.log("HTML:", htmlPath);
+  for (const f of report.flagged) console.log(`   ! ${f.question_id}: ${f.flags.join(", ")}`);
+  for (const s of skipped) console.log(`   - ${s.file} skipped: ${s.reason}`);
+}
+
+if (require.main === module) main();
+
+module.exports = { cronbachAlpha, analyzeItems, loadCases, renderHtml };
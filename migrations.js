@@ -0,0 +1,231 @@
+/**
+ * LRID instrument version migrations.
+ *
+ * Mapping files live in schemas/migrations/*.map.json:
+ *
+ *   from_version / to_version
+ *   question_id_map                      { "<from id>": "<to id>" }; ids not listed
+ *                                        are carried over unchanged
+ *   dropped_question_ids                 from-version ids with no successor
+ *   scale_changes.likert_5_to_likert_7   from-version ids whose 1-5 scale became 1-7
+ *
+ * Maps are chained (1.0 -> 2.0 -> 3.0) and may be walked backwards; a reverse
+ * step inverts the id map and the rescale, but cannot restore dropped items.
+ * Likert values are rescaled linearly (1 stays 1, the top stays the top) and
+ * rounded to 2 dp; the original id and value are kept on the answer.
+ *
+ * Every migration is appended to responses.meta.migrations[] with its path,
+ * dropped items, renamed ids and rescaled ids.
+ *
+ * Usage:
+ *   node migrations.js migrate <responses_json> --to <version> [--out <file>]
+ *   node migrations.js compare <responses_a_json> <responses_b_json>
+ *   node migrations.js list
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const MIGRATIONS_DIR = path.join(__dirname, "schemas", "migrations");
+
+const SCALES = {
+  likert_5_to_likert_7: { from: { type: "likert_5", max: 5 }, to: { type: "likert_7", max: 7 } }
+};
+
+function readJson(p) {
+  return JSON.parse(fs.readFileSync(p, "utf8"));
+}
+
+function loadMigrationMaps(dir = MIGRATIONS_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter((f) => f.endsWith(".map.json"))
+    .sort()
+    .map((f) => ({ file: f, ...readJson(path.join(dir, f)) }));
+}
+
+/** One step as applied to answers: { from, to, file, direction, rename, dropped, rescale[] }. */
+function forwardStep(map) {
+  const rescale = Object.entries(map.scale_changes || {}).map(([kind, ids]) => {
+    if (!SCALES[kind]) throw new Error(`${map.file}: unknown scale change "${kind}"`);
+    return { ...SCALES[kind], kind, ids: new Set(ids) };
+  });
+  return {
+    from: map.from_version,
+    to: map.to_version,
+    file: map.file,
+    direction: "forward",
+    rename: { ...(map.question_id_map || {}) },
+    dropped: new Set(map.dropped_question_ids || []),
+    rescale
+  };
+}
+
+function reverseStep(map) {
+  const fwd = forwardStep(map);
+  const rename = {};
+  for (const [from, to] of Object.entries(fwd.rename)) rename[to] = from;
+  return {
+    from: fwd.to,
+    to: fwd.from,
+    file: fwd.file,
+    direction: "reverse",
+    rename,
+    // Items dropped going forward never exist in the newer version.
+    dropped: new Set(),
+    rescale: fwd.rescale.map((r) => ({
+      kind: r.kind,
+      from: r.to,
+      to: r.from,
+      ids: new Set([...r.ids].map((id) => fwd.rename[id] || id))
+    }))
+  };
+}
+
+/** Shortest chain of steps from one version to another; null when there is none. */
+function planMigration(fromVersion, toVersion, maps = loadMigrationMaps()) {
+  if (fromVersion === toVersion) return [];
+  const edges = maps.flatMap((m) => [forwardStep(m), reverseStep(m)]);
+  const queue = [[fromVersion, []]];
+  const seen = new Set([fromVersion]);
+  while (queue.length) {
+    const [version, steps] = queue.shift();
+    for (const step of edges.filter((e) => e.from === version)) {
+      if (seen.has(step.to)) continue;
+      const next = [...steps, step];
+      if (step.to === toVersion) return next;
+      seen.add(step.to);
+      queue.push([step.to, next]);
+    }
+  }
+  return null;
+}
+
+function rescaleValue(value, fromMax, toMax) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return value;
+  return Number((1 + ((n - 1) * (toMax - 1)) / (fromMax - 1)).toFixed(2));
+}
+
+function applyStep(answers, step, record) {
+  const out = [];
+  for (const a of answers) {
+    if (step.dropped.has(a.question_id)) {
+      record.dropped.push({ question_id: a.question_id, response: a.response, version: step.from });
+      continue;
+    }
+    const next = { ...a };
+    const scale = step.rescale.find((r) => r.ids.has(a.question_id) && a.type === r.from.type);
+    if (scale) {
+      next.type = scale.to.type;
+      next.response = rescaleValue(a.response, scale.from.max, scale.to.max);
+      record.rescaled.push({ question_id: a.question_id, from: a.response, to: next.response, scale: `${scale.from.type}->${scale.to.type}` });
+    }
+    const renamed = step.rename[a.question_id];
+    if (renamed && renamed !== a.question_id) {
+      next.question_id = renamed;
+      record.renamed.push({ from: a.question_id, to: renamed });
+    }
+    if (!next.migrated_from && (scale || next.question_id !== a.question_id)) {
+      next.migrated_from = { question_id: a.question_id, response: a.response, instrument_version: step.from };
+    }
+    out.push(next);
+  }
+  return out;
+}
+
+/**
+ * Converts canonical responses to another instrument version.
+ * Returns a new responses object; throws when no migration path exists.
+ */
+function migrateResponses(responses, toVersion, { maps } = {}) {
+  const fromVersion = responses.meta?.instrument_version;
+  if (!fromVersion) throw new Error("Responses have no meta.instrument_version");
+  if (fromVersion === toVersion) return responses;
+
+  const steps = planMigration(fromVersion, toVersion, maps || loadMigrationMaps());
+  if (!steps) throw new Error(`No migration path from instrument ${fromVersion} to ${toVersion}`);
+
+  const record = {
+    from_version: fromVersion,
+    to_version: toVersion,
+    path: [fromVersion, ...steps.map((s) => s.to)],
+    steps: steps.map((s) => ({ from: s.from, to: s.to, map: s.file, direction: s.direction })),
+    dropped: [],
+    renamed: [],
+    rescaled: [],
+    migrated_at: new Date().toISOString()
+  };
+
+  let answers = responses.answers || [];
+  let flow = responses.question_flow;
+  for (const step of steps) {
+    answers = applyStep(answers, step, record);
+    if (flow) flow = flow.filter((f) => !step.dropped.has(f.question_id)).map((f) => ({ ...f, question_id: step.rename[f.question_id] || f.question_id }));
+  }
+
+  return {
+    ...responses,
+    meta: {
+      ...responses.meta,
+      instrument_version: toVersion,
+      migrations: [...(responses.meta.migrations || []), record]
+    },
+    answers,
+    ...(flow ? { question_flow: flow } : {})
+  };
+}
+
+function argValue(args, name) {
+  const i = args.indexOf(name);
+  return i >= 0 ? args[i + 1] : undefined;
+}
+
+function main() {
+  const { normalizeResponses } = require("./normalize_responses");
+  const [cmd, ...args] = process.argv.slice(2);
+  const resolve = (p) => (path.isAbsolute(p) ? p : path.join(process.cwd(), p));
+  const canonical = (p) => {
+    const res = normalizeResponses(readJson(resolve(p)));
+    if (res.errors.length) throw new Error(`${p}: ${res.errors.map((e) => `${e.field} ${e.message}`).join("; ")}`);
+    return res.responses;
+  };
+
+  try {
+    if (cmd === "list") {
+      for (const m of loadMigrationMaps()) console.log(`${m.file}\t${m.from_version} -> ${m.to_version}`);
+      return;
+    }
+
+    if (cmd === "migrate" && args[0] && argValue(args, "--to")) {
+      const migrated = migrateResponses(canonical(args[0]), argValue(args, "--to"));
+      const rec = migrated.meta.migrations?.[migrated.meta.migrations.length - 1];
+      const out = argValue(args, "--out");
+      if (out) fs.writeFileSync(resolve(out), JSON.stringify(migrated, null, 2), "utf8");
+      else console.log(JSON.stringify(migrated, null, 2));
+      if (rec) {
+        console.error(`✔ ${migrated.meta.case_id}: ${rec.path.join(" -> ")} (${rec.renamed.length} renamed, ${rec.rescaled.length} rescaled, ${rec.dropped.length} dropped)`);
+      }
+      return;
+    }
+
+    if (cmd === "compare" && args.length >= 2) {
+      const { compareCases } = require("./scoring_engine");
+      console.log(JSON.stringify(compareCases(canonical(args[0]), canonical(args[1])), null, 2));
+      return;
+    }
+  } catch (e) {
+    console.error(`✖ ${e.message}`);
+    process.exit(1);
+  }
+
+  console.error("Usage: node migrations.js migrate <responses_json> --to <version> [--out <file>] | compare <a_json> <b_json> | list");
+  process.exit(1);
+}
+
+// Exported before main() runs: the compare command loads scoring_engine.js,
+// which requires this module back.
+module.exports = { MIGRATIONS_DIR, loadMigrationMaps, planMigration, migrateResponses, rescaleValue };
+
+if (require.main === module) main();
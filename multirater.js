@@ -0,0 +1,162 @@
+/**
+ * LRID multi-rater (360) summary.
+ *
+ * Observers (peers, direct reports, manager) answer observer-phrased versions
+ * of the questions (config/questions.lrid.v1.json "observer_text"). For each
+ * dimension this computes:
+ *
+ *   self       the subject's mean over the items observers rated
+ *   groups     per rater group: mean of the raters' dimension means, reported
+ *              only when the group reaches min_raters (anonymity); within a
+ *              reported group each dimension also needs min_raters raters who
+ *              answered it, else that dimension is null
+ *   others     all raters of pooled groups together (others_min_raters, per
+ *              dimension likewise);
+ *              groups with pooled:false (the manager) are shown on their own
+ *              so their answers cannot be subtracted out of the pool; when
+ *              any pooled group is suppressed, the other pooled groups are
+ *              withheld as well, for the same reason
+ *   gap        self - others; >= gap_threshold is a BLIND_SPOT (self rates
+ *              higher than others see), <= -gap_threshold a HIDDEN_STRENGTH
+ *
+ * Settings: scoring.v1.json "multi_rater". A min_raters below 2 is raised to 2:
+ * a group mean over one rater is that rater's answers. Individual rater
+ * answers never leave this module.
+ */
+
+const MIN_RATERS_FLOOR = 2;
+
+function mean(xs) {
+  return xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null;
+}
+
+function round(n) {
+  return typeof n === "number" && Number.isFinite(n) ? Number(n.toFixed(2)) : null;
+}
+
+function dimensionMeans(items, dims, onlyIds) {
+  const out = {};
+  for (const d of dims) {
+    const scores = items
+      .filter(x => x.dimension === d && typeof x.score === "number" && (!onlyIds || onlyIds.has(x.question_id)))
+      .map(x => x.score);
+    out[d] = mean(scores);
+  }
+  return out;
+}
+
+// A dimension mean over fewer than minRaters raters is withheld: group size
+// alone does not protect a dimension only one of them answered.
+function poolMeans(raters, dims, minRaters, label, notes) {
+  const out = {};
+  for (const d of dims) {
+    const values = raters.map(r => r.means[d]).filter(v => v !== null);
+    out[d] = values.length >= minRaters ? round(mean(values)) : null;
+    if (values.length && values.length < minRaters) notes.push(`${label} ${d}: ${values.length} rater(s) answered, below the anonymity minimum of ${minRaters}; not reported`);
+  }
+  return out;
+}
+
+function flagOf(gap, threshold) {
+  if (gap === null) return "INSUFFICIENT_RATERS";
+  if (gap >= threshold) return "BLIND_SPOT";
+  if (gap <= -threshold) return "HIDDEN_STRENGTH";
+  return "ALIGNED";
+}
+
+/**
+ * selfItems: the subject's scored_items; raters: scoreObservers() output;
+ * cfg: scoring.v1.json "multi_rater"; dims: dimension codes.
+ */
+function summarizeRaters(selfItems, raters, cfg = {}, dims) {
+  if (!raters || !raters.length) return { status: "NONE" };
+
+  const groupsCfg = cfg.rater_groups || {};
+  const threshold = Number(cfg.gap_threshold ?? 0.75);
+  const othersMin = Math.max(MIN_RATERS_FLOOR, Number(cfg.others_min_raters ?? 3));
+  const notes = [];
+
+  const valid = [];
+  for (const r of raters) {
+    if (r.error) notes.push(`Observer response ignored: ${r.error}`);
+    else if (!Object.hasOwn(groupsCfg, r.group)) notes.push(`Observer response ignored: unknown rater group "${r.group}"`);
+    else valid.push(r);
+  }
+
+  // Compare like with like: self and observers over the items observers rated.
+  const rated = new Set(valid.flatMap(r => r.items.filter(x => typeof x.score === "number").map(x => x.question_id)));
+  for (const r of valid) r.means = dimensionMeans(r.items, dims, rated);
+  const self = dimensionMeans(selfItems, dims, rated);
+
+  const groups = {};
+  for (const [key, g] of Object.entries(groupsCfg)) {
+    const members = valid.filter(r => r.group === key);
+    const minRaters = Math.max(MIN_RATERS_FLOOR, Number(g.min_raters ?? 3));
+    const reported = members.length >= minRaters;
+    groups[key] = {
+      label: g.label || key,
+      n: members.length,
+      min_raters: minRaters,
+      reported,
+      dimensions: reported ? poolMeans(members, dims, minRaters, g.label || key, notes) : null
+    };
+    if (members.length && !reported) notes.push(`${g.label || key}: ${members.length} rater(s), below the anonymity minimum of ${minRaters}; pooled into others only`);
+  }
+
+  // A suppressed group could be recovered as pool minus the reported groups,
+  // so the pooled breakdown is withheld whenever any pooled group is suppressed.
+  const pooledKeys = Object.keys(groups).filter(k => groupsCfg[k].pooled !== false);
+  if (pooledKeys.some(k => groups[k].n && !groups[k].reported)) {
+    for (const k of pooledKeys.filter(k => groups[k].reported)) {
+      groups[k].reported = false;
+      groups[k].dimensions = null;
+      notes.push(`${groups[k].label}: withheld so that smaller groups cannot be derived from the others pool`);
+    }
+  }
+  // The same per dimension: one group's withheld dimension must not be derivable either.
+  for (const d of dims) {
+    const answered = k => valid.some(r => r.group === k && r.means[d] !== null);
+    if (!pooledKeys.some(k => groups[k].reported && answered(k) && groups[k].dimensions[d] === null)) continue;
+    for (const k of pooledKeys.filter(k => groups[k].reported && groups[k].dimensions[d] !== null)) {
+      groups[k].dimensions[d] = null;
+      notes.push(`${groups[k].label} ${d}: withheld so that smaller groups cannot be derived from the others pool`);
+    }
+  }
+
+  const pooled = valid.filter(r => groupsCfg[r.group].pooled !== false);
+  const othersReported = pooled.length >= othersMin;
+  const others = {
+    n: pooled.length,
+    min_raters: othersMin,
+    reported: othersReported,
+    dimensions: othersReported ? poolMeans(pooled, dims, othersMin, "Others", notes) : null
+  };
+  if (!othersReported) notes.push(`Others: ${pooled.length} pooled rater(s), at least ${othersMin} needed for self-other gaps`);
+
+  const gaps = {};
+  for (const d of dims) {
+    const s = round(self[d]);
+    const o = others.dimensions?.[d] ?? null;
+    const gap = s !== null && o !== null ? round(s - o) : null;
+    const by_group = {};
+    for (const [key, g] of Object.entries(groups)) {
+      const v = g.dimensions?.[d] ?? null;
+      if (v !== null && s !== null) by_group[key] = round(s - v);
+    }
+    gaps[d] = { self: s, others: o, gap, flag: flagOf(gap, threshold), by_group };
+  }
+
+  return {
+    status: "APPLIED",
+    raters_total: valid.length,
+    items_compared: [...rated].sort(),
+    gap_threshold: threshold,
+    groups,
+    others,
+    gaps,
+    blind_spots: dims.filter(d => gaps[d].flag === "BLIND_SPOT"),
+    notes
+  };
+}
+
+module.exports = { summarizeRaters };
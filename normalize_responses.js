@@ -0,0 +1,370 @@
+/**
+ * LRID answer normalization.
+ *
+ * Converts every known responses shape into the canonical format described by
+ * schemas/responses.schema.json (question_id "DI_01", instrument types, letter
+ * responses for multiple choice):
+ *
+ *  - "intake"    web/intake.js submissions and session exports
+ *                (answers[].question_id "DI-01", value = option index / 1-5 / text)
+ *  - "legacy"    older session exports, where value is the option score
+ *                (decoded with the map's legacy_option_scores where scores changed since)
+ *  - "session"   raw sessions/sess_*.json (responses[].questionId / valueScore)
+ *  - "canonical" already normalized files (passed through and re-validated)
+ *
+ * Question IDs and option letters come from schemas/question_map.v1.json;
+ * question types from schemas/instrument.v1.json. Anything that cannot be
+ * mapped is reported in `normalization.unmapped` instead of being guessed.
+ * A recorded question_flow (shown / skipped questions) is carried over with
+ * canonical ids. An answer is dropped only when its question is recorded as
+ * skipped and the instrument's own conditions skip it too; any other
+ * disagreement is kept and reported as a warning.
+ *
+ * Usage:
+ *   node normalize_responses.js data/responses_<case_id>.json [...]
+ *   node normalize_responses.js --all
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { validate, loadSchema } = require("./schema_validate");
+const { resolveFlow } = require("./question_flow");
+
+function readJson(p) {
+  return JSON.parse(fs.readFileSync(p, "utf8"));
+}
+
+function loadDefaults() {
+  return {
+    instrument: readJson(path.join(__dirname, "schemas", "instrument.v1.json")),
+    questionMap: readJson(path.join(__dirname, "schemas", "question_map.v1.json")),
+    intakeConfig: readJson(path.join(__dirname, "config", "questions.lrid.v1.json"))
+  };
+}
+
+function intakeQuestionsById(intakeConfig, questionMap) {
+  const byId = {};
+  (intakeConfig.dimensions || []).forEach((dim) => {
+    (dim.questions || []).forEach((q) => {
+      byId[q.id] = { ...q, dimension_id: dim.id, legacy_option_scores: questionMap?.questions?.[q.id]?.legacy_option_scores };
+    });
+  });
+  return byId;
+}
+
+const INTAKE_QUESTION_ID = /^[A-Z]{2}-\d{2}$/;
+const INTAKE_TYPES = new Set(["single_choice", "scale", "open_text"]);
+
+/**
+ * How intake-shaped choice answers were recorded. A value that can only be an
+ * option index (0, or any value no option scores) or only an option score
+ * (past the last option index) decides it; null when every value fits both
+ * or the answers contradict each other.
+ */
+function choiceEncoding(answers, intakeById) {
+  const seen = new Set();
+  for (const a of answers) {
+    const src = intakeById[a.question_id];
+    const v = Number(a.value);
+    if (a.type !== "single_choice" || !src || a.value === "" || !Number.isInteger(v)) continue;
+    const scores = src.legacy_option_scores || (src.options || []).map((o) => o.score);
+    const asIndex = v >= 0 && v < (src.options || []).length;
+    const asScore = scores.some((sc) => Number(sc) === v);
+    if (asIndex !== asScore) seen.add(asIndex ? "option_index" : "option_score");
+  }
+  return seen.size === 1 ? [...seen][0] : null;
+}
+
+/**
+ * Format from the answers themselves: canonical answers carry `response`,
+ * intake-shaped ones `value` with intake ids ("DI-01") and types. Intake
+ * submissions and current session exports record option indexes, early session
+ * exports ("legacy") option scores; when the values do not tell them apart the
+ * current intake encoding is assumed.
+ */
+function detectFormat(input, intakeById) {
+  if (!input || typeof input !== "object") return null;
+  if (typeof input.sessionId === "string" && Array.isArray(input.responses)) return "session";
+  if (!Array.isArray(input.answers)) return null;
+  const answers = input.answers.filter(Boolean);
+  if (answers.every((a) => a.response !== undefined && a.value === undefined)) return "canonical";
+  const intakeShaped = answers.some((a) => a.value !== undefined && (INTAKE_QUESTION_ID.test(a.question_id) || INTAKE_TYPES.has(a.type)));
+  if (!intakeShaped) return null;
+  if (!intakeById) {
+    const { intakeConfig, questionMap } = loadDefaults();
+    intakeById = intakeQuestionsById(intakeConfig, questionMap);
+  }
+  return choiceEncoding(answers, intakeById) === "option_score" ? "legacy" : "intake";
+}
+
+function secondsBetween(a, b) {
+  const t0 = Date.parse(a);
+  const t1 = Date.parse(b);
+  if (!Number.isFinite(t0) || !Number.isFinite(t1) || t1 < t0) return null;
+  return Math.round((t1 - t0) / 1000);
+}
+
+function kindOfIntakeType(type) {
+  if (type === "single_choice") return "choice";
+  if (type === "scale") return "scale";
+  if (type === "open_text") return "text";
+  return null;
+}
+
+/**
+ * Source answers are first reduced to a common intermediate:
+ *   { sourceId, kind: "choice"|"scale"|"text", optionIndex?, ambiguousOptions?, value?, text?, score?, label?, timeMs }
+ */
+function intermediateFromIntake(input, encoding, intakeById) {
+  return (input.answers || []).map((a) => {
+    const src = intakeById[a.question_id];
+    const kind = kindOfIntakeType(a.type) || kindOfIntakeType(src?.type);
+    const out = { sourceId: a.question_id, kind, timeMs: a.time_ms ?? null };
+    const raw = a.value;
+
+    if (raw === undefined || raw === null || String(raw).trim() === "") return { ...out, empty: true };
+
+    if (kind === "text") out.text = String(raw).trim();
+    else if (kind === "scale") out.value = Number(raw);
+    else if (kind === "choice") {
+      if (encoding === "option_score") {
+        out.score = Number(raw);
+        Object.assign(out, optionFromScore(src, out.score));
+      } else {
+        out.optionIndex = Number(raw);
+      }
+    }
+    return out;
+  });
+}
+
+function intermediateFromSession(session, intakeById) {
+  return (session.responses || []).map((r) => {
+    const src = intakeById[r.questionId];
+    const out = { sourceId: r.questionId, timeMs: r.timeMs ?? null };
+
+    if (typeof r.text === "string") return { ...out, kind: "text", text: r.text.trim() };
+    if (src?.type === "scale") return { ...out, kind: "scale", value: Number(r.valueScore) };
+
+    out.kind = "choice";
+    if (typeof r.optionIndex === "number") out.optionIndex = r.optionIndex;
+    else {
+      const byLabel = (src?.options || []).findIndex((o) => o.label === r.optionLabel);
+      if (byLabel >= 0) out.optionIndex = byLabel;
+      else Object.assign(out, { score: Number(r.valueScore) }, optionFromScore(src, Number(r.valueScore)));
+    }
+    return out;
+  });
+}
+
+// Stored scores are the ones the intake used when the answer was recorded.
+// A score shared by several options cannot be decoded and is left unresolved.
+function optionFromScore(src, score) {
+  const scores = src?.legacy_option_scores || (src?.options || []).map((o) => o.score);
+  const matches = [];
+  scores.forEach((s, i) => {
+    if (Number(s) === score) matches.push(i);
+  });
+  if (matches.length > 1) return { optionIndex: null, ambiguousOptions: matches };
+  return { optionIndex: matches.length ? matches[0] : null };
+}
+
+function toCanonicalAnswer(item, questionMap, bankById) {
+  const mapping = questionMap.questions?.[item.sourceId];
+  const targetId = mapping?.question_id || (bankById[item.sourceId] ? item.sourceId : null);
+  const fail = (reason) => ({ unmapped: { source_question_id: item.sourceId, question_id: targetId, reason } });
+
+  if (!targetId) return fail("Unknown question id (no entry in question map)");
+  const q = bankById[targetId];
+  if (!q) return fail(`Question ${targetId} is not in instrument ${questionMap.target?.instrument_version || ""}`.trim());
+
+  const answer = { question_id: targetId, dimension: q.dimension, type: q.type, prompt_ref: item.sourceId };
+  if (item.timeMs !== null && item.timeMs !== undefined) answer.time_ms = item.timeMs;
+
+  if (q.type === "likert_5" && item.kind === "scale") {
+    if (!Number.isInteger(item.value) || item.value < 1 || item.value > 5) return fail(`Scale value out of range: ${item.value}`);
+    return { answer: { ...answer, response: item.value } };
+  }
+
+  if (q.type === "multiple_choice" && item.kind === "choice") {
+    if (item.ambiguousOptions) return fail("ambiguous score");
+    const letters = mapping?.options || (q.options || []).map((o) => o.value);
+    const letter = Number.isInteger(item.optionIndex) ? letters[item.optionIndex] : undefined;
+    if (!letter) return fail(`Option could not be resolved (index ${item.optionIndex ?? "?"}${item.score !== undefined ? `, score ${item.score}` : ""})`);
+    return { answer: { ...answer, response: letter } };
+  }
+
+  if (q.type === "open_text" && item.kind === "text") {
+    return { answer: { ...answer, response: item.text } };
+  }
+
+  return fail(`A ${item.kind || "unknown"} answer cannot fill ${q.type} question ${targetId}`);
+}
+
+function canonicalFlow(flow, questionMap, bankById) {
+  if (!Array.isArray(flow)) return null;
+  return flow
+    .filter((f) => f && (f.status === "shown" || f.status === "skipped"))
+    .map((f) => {
+      const id = questionMap.questions?.[f.question_id]?.question_id || (bankById[f.question_id] ? f.question_id : null);
+      return id ? { question_id: id, prompt_ref: f.question_id, status: f.status, ...(f.reason ? { reason: String(f.reason) } : {}) } : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Returns { responses, report, errors }.
+ * `errors` are schema violations of the canonical output (empty when valid).
+ */
+function normalizeResponses(input, opts = {}) {
+  const defaults = opts.instrument && opts.questionMap && opts.intakeConfig ? opts : { ...loadDefaults(), ...opts };
+  const { instrument, questionMap, intakeConfig } = defaults;
+
+  const intakeById = intakeQuestionsById(intakeConfig, questionMap);
+  const format = detectFormat(input, intakeById);
+  if (!format) {
+    return { responses: null, report: null, errors: [{ field: "(root)", message: "Unrecognised responses format" }] };
+  }
+
+  if (format === "canonical") {
+    const responses = {
+      ...input,
+      normalization: { ...(input.normalization || {}), source_format: input.normalization?.source_format || "canonical" }
+    };
+    const report = { source_format: "canonical", value_encoding: null, mapped: input.answers.length, unmapped: input.normalization?.unmapped || [], warnings: [] };
+    return { responses, report, errors: validate(loadSchema("responses.schema.json"), responses) };
+  }
+
+  const bankById = {};
+  for (const q of instrument.question_bank || []) bankById[q.question_id] = q;
+  const warnings = [];
+
+  let items;
+  let encoding = null;
+  let base;
+  if (format === "session") {
+    items = intermediateFromSession(input, intakeById);
+    base = {
+      caseId: input.caseId || input.sessionId,
+      respondent: input.respondent || { email: input.email || "" },
+      started: input.startedAt,
+      submitted: input.completedAt,
+      sessionId: input.sessionId,
+      channel: "web_session"
+    };
+  } else {
+    encoding = format === "legacy" ? "option_score" : "option_index";
+    const answers = input.answers.filter(Boolean);
+    if (answers.some((a) => a.type === "single_choice" && a.value !== "") && !choiceEncoding(answers, intakeById)) {
+      warnings.push("Choice values fit both option indexes and option scores; read as option indexes");
+    }
+    items = intermediateFromIntake(input, encoding, intakeById);
+    base = {
+      caseId: input.case_id || input.meta?.case_id,
+      respondent: input.respondent || {},
+      started: input.timestamps?.started_at,
+      submitted: input.timestamps?.submitted_at,
+      sessionId: input.raw?.session_id || null,
+      channel: input.raw?.session_id ? "web_session" : "web_form"
+    };
+  }
+
+  const question_flow = format === "session" ? null : canonicalFlow(input.question_flow, questionMap, bankById);
+  const mapped = [];
+  const unmapped = [];
+  for (const item of items) {
+    if (item.empty) continue;
+    const res = toCanonicalAnswer(item, questionMap, bankById);
+    if (res.answer) mapped.push({ item, answer: res.answer });
+    else unmapped.push(res.unmapped);
+  }
+
+  const responseOf = Object.fromEntries(mapped.map((m) => [m.answer.question_id, m.answer.response]));
+  const flow = resolveFlow(instrument.question_bank || [], (id) => responseOf[id] ?? null, { idOf: (q) => q.question_id });
+  const instrumentSkips = new Set(flow.filter((f) => f.status === "skipped").map((f) => f.id));
+  const recordedSkips = new Set((question_flow || []).filter((f) => f.status === "skipped").map((f) => f.question_id));
+  for (const id of recordedSkips) {
+    if (!instrumentSkips.has(id)) warnings.push(`${id}: recorded as skipped, but the instrument conditions show it`);
+  }
+
+  const answers = [];
+  for (const { item, answer } of mapped) {
+    if (recordedSkips.has(answer.question_id) && instrumentSkips.has(answer.question_id)) warnings.push(`${item.sourceId}: answer ignored, question was skipped`);
+    else answers.push(answer);
+  }
+
+  const responses = {
+    meta: {
+      case_id: base.caseId || "UNKNOWN_CASE",
+      instrument_id: instrument.instrument_id,
+      instrument_version: instrument.instrument_version,
+      language: "en",
+      created_at: base.submitted || base.started || new Date().toISOString(),
+      channel: base.channel
+    },
+    respondent: {
+      subject_name: base.respondent.name || base.respondent.subject_name || "",
+      email: base.respondent.email || "",
+      organization: base.respondent.organization || ""
+    },
+    timing: {
+      started_at: base.started || null,
+      submitted_at: base.submitted || null,
+      duration_seconds: secondsBetween(base.started, base.submitted),
+      session_id: base.sessionId
+    },
+    answers,
+    ...(question_flow ? { question_flow } : {}),
+    normalization: {
+      source_format: format,
+      value_encoding: encoding,
+      question_map: questionMap.map_id,
+      unmapped,
+      warnings,
+      normalized_at: new Date().toISOString()
+    }
+  };
+  for (const k of ["role_title", "industry", "country"]) {
+    if (typeof base.respondent[k] === "string") responses.respondent[k] = base.respondent[k];
+  }
+
+  const report = { source_format: format, value_encoding: encoding, mapped: answers.length, unmapped, warnings };
+  return { responses, report, errors: validate(loadSchema("responses.schema.json"), responses) };
+}
+
+function main() {
+  const { DATA_DIR } = require("./storage");
+  const args = process.argv.slice(2);
+  if (!args.length) {
+    console.error("Usage: node normalize_responses.js <responses_json> [...] | --all");
+    process.exit(1);
+  }
+
+  const files = args.includes("--all")
+    ? fs.readdirSync(DATA_DIR).filter((f) => f.startsWith("responses_") && f.endsWith(".json")).map((f) => path.join(DATA_DIR, f))
+    : args.map((a) => (path.isAbsolute(a) ? a : path.join(process.cwd(), a)));
+
+  const defaults = loadDefaults();
+  let failed = 0;
+
+  for (const file of files) {
+    const { responses, report, errors } = normalizeResponses(readJson(file), defaults);
+    if (errors.length) {
+      failed++;
+      console.error(`✖ ${path.basename(file)}: ${errors.map((e) => `${e.field} ${e.message}`).join("; ")}`);
+      continue;
+    }
+
+    const outPath = path.join(DATA_DIR, `canonical_${responses.meta.case_id}.json`.replace(/[^a-zA-Z0-9_.-]/g, "_"));
+    fs.writeFileSync(outPath, JSON.stringify(responses, null, 2), "utf8");
+    console.log(`✔ ${path.basename(file)} [${report.source_format}] -> ${path.basename(outPath)} (${report.mapped} mapped, ${report.unmapped.length} unmapped)`);
+    for (const u of report.unmapped) console.log(`   - ${u.source_question_id}: ${u.reason}`);
+    for (const w of report.warnings) console.log(`   ! ${w}`);
+  }
+
+  if (failed) process.exit(1);
+}
+
+if (require.main === module) main();
+
+module.exports = { detectFormat, normalizeResponses };
@@ -0,0 +1,274 @@
+/**
+ * LRID norms.
+ *
+ * Norm tables summarise scored cases (DATA_DIR/score_*.json) per dimension and
+ * aggregate index: n, mean, SD and percentiles. Tables are versioned files
+ * NORMS_DIR/norms_<version>.json with one entry per norm group:
+ *
+ *   "all"                     every case
+ *   "industry:<value>"        when built with --by industry (likewise role, country)
+ *
+ * Groups smaller than --min-n are left out, "all" included. The scoring engine
+ * compares a case with the selected version/group (scoring.v1.json "norms", or
+ * explicit options) and adds z-scores and percentile ranks; the version it
+ * used is recorded in the score's provenance so a rescore can reuse it.
+ *
+ * Usage:
+ *   node norms.js build [--version <v>] [--by industry,role,country] [--min-n 5]
+ *   node norms.js list
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const SPLIT_FIELDS = {
+  industry: "industry",
+  role: "role_title",
+  country: "country"
+};
+const PERCENTILES = [5, 10, 25, 50, 75, 90, 95];
+
+function readJson(p) {
+  return JSON.parse(fs.readFileSync(p, "utf8"));
+}
+
+function isNum(n) {
+  return typeof n === "number" && Number.isFinite(n);
+}
+
+function round(n, dp = 3) {
+  return isNum(n) ? Number(n.toFixed(dp)) : null;
+}
+
+/** Linear-interpolated quantile of a sorted array, p in 0..100. */
+function quantile(sorted, p) {
+  if (!sorted.length) return null;
+  const pos = (p / 100) * (sorted.length - 1);
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function describe(values) {
+  const sorted = values.filter(isNum).sort((a, b) => a - b);
+  const n = sorted.length;
+  if (!n) return { n: 0 };
+  const mean = sorted.reduce((a, b) => a + b, 0) / n;
+  const sd = n > 1 ? Math.sqrt(sorted.reduce((a, b) => a + (b - mean) ** 2, 0) / (n - 1)) : 0;
+
+  const percentiles = {};
+  for (const p of PERCENTILES) percentiles[`p${p}`] = round(quantile(sorted, p));
+  // Every 5th percentile, used for percentile ranks.
+  const grid = [];
+  for (let p = 0; p <= 100; p += 5) grid.push(round(quantile(sorted, p)));
+
+  return { n, mean: round(mean), sd: round(sd), min: round(sorted[0]), max: round(sorted[n - 1]), percentiles, grid };
+}
+
+/** Score cases as { case_id, respondent, dimension_scores, aggregate_scores }. */
+function loadScoredCases(dataDir) {
+  if (!fs.existsSync(dataDir)) return [];
+  return fs
+    .readdirSync(dataDir)
+    .filter((f) => f.startsWith("score_") && f.endsWith(".json"))
+    .map((f) => {
+      try {
+        const s = readJson(path.join(dataDir, f));
+        if (!s.scoring?.dimension_scores) return null;
+        return {
+          case_id: s.meta?.case_id || s.responses?.meta?.case_id || f.slice(6, -5),
+          respondent: s.responses?.respondent || {},
+          dimension_scores: s.scoring.dimension_scores,
+          aggregate_scores: s.scoring.aggregate_scores || {}
+        };
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+function groupTable(cases) {
+  const dims = [...new Set(cases.flatMap((c) => Object.keys(c.dimension_scores)))];
+  const idx = [...new Set(cases.flatMap((c) => Object.keys(c.aggregate_scores)))];
+  const dimensions = {};
+  const indices = {};
+  for (const d of dims) dimensions[d] = describe(cases.map((c) => c.dimension_scores[d]));
+  for (const k of idx) indices[k] = describe(cases.map((c) => c.aggregate_scores[k]));
+  return { n: cases.length, dimensions, indices };
+}
+
+function groupKey(field, value) {
+  return `${field}:${String(value).trim().toLowerCase()}`;
+}
+
+/**
+ * Builds a norm table object from scored cases.
+ * opts: { version, by: ["industry", ...], minN }
+ */
+function buildNormTable(cases, { version, by = [], minN = 5 } = {}) {
+  const groups = {};
+  const skipped = [];
+  if (cases.length >= minN) groups.all = groupTable(cases);
+  else skipped.push({ group: "all", n: cases.length });
+
+  for (const field of by) {
+    const key = SPLIT_FIELDS[field];
+    if (!key) throw new Error(`Unknown split "${field}" (use ${Object.keys(SPLIT_FIELDS).join(", ")})`);
+    const buckets = {};
+    for (const c of cases) {
+      const v = c.respondent?.[key];
+      if (typeof v !== "string" || !v.trim()) continue;
+      (buckets[groupKey(field, v)] = buckets[groupKey(field, v)] || []).push(c);
+    }
+    for (const [g, list] of Object.entries(buckets)) {
+      if (list.length >= minN) groups[g] = groupTable(list);
+      else skipped.push({ group: g, n: list.length });
+    }
+  }
+
+  return {
+    norm_version: version,
+    built_at: new Date().toISOString(),
+    source: { cases: cases.length },
+    split_by: by,
+    min_group_size: minN,
+    skipped_groups: skipped,
+    groups
+  };
+}
+
+function normFile(dir, version) {
+  return path.join(dir, `norms_${String(version).replace(/[^a-zA-Z0-9_.-]/g, "_")}.json`);
+}
+
+function listNormVersions(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter((f) => /^norms_.+\.json$/.test(f))
+    .map((f) => ({ version: f.slice(6, -5), mtime: fs.statSync(path.join(dir, f)).mtimeMs }))
+    .sort((a, b) => b.mtime - a.mtime)
+    .map((x) => x.version);
+}
+
+/** version "latest" picks the most recently built table; null when none exists. */
+function loadNormTable(dir, version) {
+  const v = version === "latest" ? listNormVersions(dir)[0] : version;
+  if (!v) return null;
+  const p = normFile(dir, v);
+  return fs.existsSync(p) ? readJson(p) : null;
+}
+
+function percentileRank(stats, rawScore) {
+  const grid = stats.grid || [];
+  if (!grid.length || !isNum(rawScore)) return null;
+  const score = round(rawScore);
+  if (score < grid[0]) return 0;
+  if (score > grid[grid.length - 1]) return 100;
+
+  const equal = grid.map((v, i) => (v === score ? i * 5 : null)).filter((p) => p !== null);
+  if (equal.length) return equal.reduce((a, b) => a + b, 0) / equal.length;
+
+  for (let i = 0; i < grid.length - 1; i++) {
+    if (score > grid[i] && score < grid[i + 1]) {
+      return round(i * 5 + (5 * (score - grid[i])) / (grid[i + 1] - grid[i]), 1);
+    }
+  }
+  return null;
+}
+
+function compare(stats, score) {
+  if (!stats || !stats.n || !isNum(score)) return { score: isNum(score) ? round(score, 2) : null, z: null, percentile: null };
+  return {
+    score: round(score, 2),
+    z: stats.sd ? round((score - stats.mean) / stats.sd, 2) : null,
+    percentile: percentileRank(stats, score)
+  };
+}
+
+/**
+ * Compares one case with a norm table.
+ * group: "all", an explicit key ("industry:finance") or a split field
+ * ("industry") resolved from the respondent. Falls back to "all".
+ * version: the requested table version, reported when that table is missing.
+ */
+function applyNorms(table, { version, group = "all", respondent = {}, dimension_scores = {}, aggregate_scores = {} }) {
+  if (!table && version && version !== "latest") return { status: "UNAVAILABLE", norm_version: String(version), reason: `Norm table ${version} not found` };
+  if (!table) return { status: "UNAVAILABLE", reason: "No norm table found" };
+
+  let key = group;
+  if (SPLIT_FIELDS[group]) {
+    const v = respondent[SPLIT_FIELDS[group]];
+    key = typeof v === "string" && v.trim() ? groupKey(group, v) : null;
+  }
+
+  let fallback = null;
+  if (!key || !table.groups[key]) {
+    fallback = key ? `Norm group ${key} not in table; using all` : `Respondent has no ${group}; using all`;
+    key = "all";
+  }
+  if (!table.groups.all && key === "all") {
+    return { status: "UNAVAILABLE", norm_version: table.norm_version, reason: `Norm table has fewer than ${table.min_group_size} cases` };
+  }
+
+  const g = table.groups[key];
+  const dimensions = {};
+  const indices = {};
+  for (const [d, s] of Object.entries(dimension_scores)) dimensions[d] = compare(g.dimensions?.[d], s);
+  for (const [k, s] of Object.entries(aggregate_scores)) indices[k] = compare(g.indices?.[k], s);
+
+  const out = { status: "APPLIED", norm_version: table.norm_version, group: key, n: g.n, dimensions, indices };
+  if (fallback) out.fallback_reason = fallback;
+  return out;
+}
+
+function argValue(args, name, fallback) {
+  const i = args.indexOf(name);
+  return i >= 0 && args[i + 1] !== undefined ? args[i + 1] : fallback;
+}
+
+function main() {
+  const storage = require("./storage");
+  const [cmd, ...args] = process.argv.slice(2);
+
+  if (cmd === "list") {
+    const versions = listNormVersions(storage.NORMS_DIR);
+    if (!versions.length) console.log("No norm tables in", storage.NORMS_DIR);
+    for (const v of versions) {
+      const t = loadNormTable(storage.NORMS_DIR, v);
+      console.log(`${v}\t${t.source.cases} cases\tgroups: ${Object.keys(t.groups).join(", ")}`);
+    }
+    return;
+  }
+
+  if (cmd !== "build") {
+    console.error("Usage: node norms.js build [--version <v>] [--by industry,role,country] [--min-n 5] | list");
+    process.exit(1);
+  }
+
+  const version = argValue(args, "--version", new Date().toISOString().slice(0, 10));
+  const by = argValue(args, "--by", "").split(",").map((s) => s.trim()).filter(Boolean);
+  const minN = Number(argValue(args, "--min-n", 5));
+
+  const cases = loadScoredCases(storage.DATA_DIR);
+  if (!cases.length) {
+    console.error("✖ No scored cases (score_*.json) in", storage.DATA_DIR);
+    process.exit(1);
+  }
+
+  try {
+    const table = buildNormTable(cases, { version, by, minN });
+    const p = normFile(storage.NORMS_DIR, version);
+    fs.writeFileSync(p, JSON.stringify(table, null, 2), "utf8");
+    console.log(`✔ Norms ${version}: ${cases.length} cases, groups ${Object.keys(table.groups).join(", ")} -> ${p}`);
+    for (const s of table.skipped_groups) console.log(`   - ${s.group} skipped (n=${s.n} < ${minN})`);
+  } catch (e) {
+    console.error(`✖ ${e.message}`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) main();
+
+module.exports = { buildNormTable, loadScoredCases, loadNormTable, listNormVersions, applyNorms, percentileRank, describe };
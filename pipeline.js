@@ -0,0 +1,835 @@
+/**
+ * LRID in-process pipeline.
+ *
+ * responses -> score -> draft -> approval -> payload -> PDFs
+ *
+ * Pure steps (buildDraft, createApproval, buildPayload) take and return plain
+ * objects. Steps touching disk take an optional `dirs` object
+ * ({ dataDir, approvalsDir, outDir }) and default to storage.js locations.
+ * Failures are thrown as PipelineError with a machine-readable `code`.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const PDFDocument = require("pdfkit");
+const storage = require("./storage");
+const { runScoring } = require("./scoring_engine");
+const draftEngine = require("./draft_engine");
+const { applyScoreAdjustments } = require("./adjustments");
+const subjects = require("./subjects");
+const cohorts = require("./cohorts");
+const { validate, loadSchema } = require("./schema_validate");
+
+const DEFAULT_EXPERT = "Prof. Robert Karaszewski";
+
+class PipelineError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = "PipelineError";
+    this.code = code;
+    this.details = details || null;
+  }
+}
+
+function readJSON(p) {
+  return JSON.parse(fs.readFileSync(p, "utf8"));
+}
+// Write to a temp file and rename, so concurrent readers never see a half-written file.
+function writeJSON(p, data) {
+  storage.ensureDir(path.dirname(p));
+  const tmp = `${p}.${process.pid}.${Date.now()}.${Math.random().toString(36).slice(2)}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2), "utf8");
+  fs.renameSync(tmp, p);
+}
+function nowIso() {
+  return new Date().toISOString();
+}
+function resolveDirs(dirs) {
+  return {
+    dataDir: dirs?.dataDir || storage.DATA_DIR,
+    approvalsDir: dirs?.approvalsDir || storage.APPROVALS_DIR,
+    outDir: dirs?.outDir || storage.OUT_DIR,
+    normsDir: dirs?.normsDir || storage.NORMS_DIR
+  };
+}
+
+function safeSlug(s) {
+  return String(s || "")
+    .trim()
+    .replace(/\s+/g, "-")
+    .replace(/[^a-zA-Z0-9._-]/g, "_")
+    .slice(0, 120);
+}
+
+function pickFirstString(...vals) {
+  for (const v of vals) {
+    if (typeof v === "string" && v.trim().length > 0) return v.trim();
+  }
+  return null;
+}
+
+// Case ids name files and locks; one that a slug would change is rejected
+// rather than silently mapped onto another case's files.
+function checkCaseId(caseId) {
+  if (safeSlug(caseId) !== caseId) {
+    throw new PipelineError("INVALID_CASE_ID", `Case id must only use letters, digits, ".", "_" and "-": ${JSON.stringify(caseId)}`);
+  }
+  return caseId;
+}
+
+function caseIdOfResponses(responses) {
+  return pickFirstString(responses?.case_id, responses?.meta?.case_id);
+}
+
+function caseIdOfDraft(draft, draftPath) {
+  // Try best-known locations (because drafts evolved in your project)
+  const fromMeta = draft?.meta?.case_id;
+  const fromTop = draft?.case_id || draft?.caseId || draft?.id;
+
+  const fromResponses =
+    draft?.responses?.case_id ||
+    draft?.responses?.meta?.case_id ||
+    draft?.responses?.session_id ||
+    draft?.responses?.meta?.session_id;
+
+  // From filename draft_<id>.json
+  let fromFilename = null;
+  if (draftPath) {
+    const m = path.basename(draftPath).match(/^draft_(.+)\.json$/);
+    if (m && m[1]) fromFilename = m[1];
+  }
+
+  const cid = pickFirstString(fromMeta, fromTop, fromResponses, fromFilename);
+  if (cid) return safeSlug(cid);
+
+  // last resort
+  const stamp = nowIso().replace(/[-:]/g, "").slice(0, 15);
+  return `LRID-${stamp}-NOCASEID`;
+}
+
+function draftFileName(caseId) {
+  return `draft_${caseId}.json`.replace(/[^a-zA-Z0-9_.-]/g, "_");
+}
+
+function payloadFileName(caseId) {
+  return `payload_${safeSlug(caseId)}.json`;
+}
+
+// Per-case serialisation: approval -> payload -> PDFs for one case never interleave.
+const caseLocks = new Map();
+
+function withCaseLock(caseId, fn) {
+  const prev = caseLocks.get(caseId) || Promise.resolve();
+  const run = prev.catch(() => {}).then(fn);
+  const tail = run.catch(() => {});
+  caseLocks.set(caseId, tail);
+  tail.then(() => {
+    if (caseLocks.get(caseId) === tail) caseLocks.delete(caseId);
+  });
+  return run;
+}
+
+// ---------------------------------------------------------------------------
+// Scoring
+
+function observerFilePrefix(caseId) {
+  return `observer_${safeSlug(caseId)}_`;
+}
+
+/** 360 observer submissions stored for a case (DATA_DIR/observer_<case_id>_<rater_id>.json). */
+function loadObservers(caseId, dirs) {
+  const { dataDir } = resolveDirs(dirs);
+  if (!caseId || !fs.existsSync(dataDir)) return [];
+  const prefix = observerFilePrefix(caseId);
+  return fs
+    .readdirSync(dataDir)
+    .filter((f) => f.startsWith(prefix) && f.endsWith(".json"))
+    .sort()
+    .map((f) => readJSON(path.join(dataDir, f)));
+}
+
+function saveObserver(submission, dirs) {
+  const { dataDir } = resolveDirs(dirs);
+  const caseId = caseIdOfResponses(submission);
+  const raterId = submission?.rater?.rater_id;
+  if (!caseId || !raterId) throw new PipelineError("INVALID_OBSERVER", "Observer submission needs case_id and rater.rater_id");
+  const p = path.join(dataDir, `${observerFilePrefix(caseId)}${safeSlug(raterId)}.json`);
+  writeJSON(p, submission);
+  return p;
+}
+
+// Observer invites: one token per observer, issued by the operator for a rater
+// group. Only a hash of the token is stored, and an invite records whether it
+// was used but not which submission it produced, so raters stay anonymous.
+function invitesFile(caseId, dirs) {
+  return path.join(resolveDirs(dirs).dataDir, `invites_${safeSlug(caseId)}.json`);
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+/** Issues `count` single-use invite tokens for a case and rater group; returns the tokens. */
+function createObserverInvites(caseId, group, count, dirs) {
+  const p = invitesFile(caseId, dirs);
+  const doc = fs.existsSync(p) ? readJSON(p) : { case_id: caseId, invites: [] };
+  const tokens = Array.from({ length: count }, () => crypto.randomBytes(24).toString("base64url"));
+  for (const t of tokens) doc.invites.push({ token_sha256: hashToken(t), group, created_at: nowIso(), used: false });
+  writeJSON(p, doc);
+  return tokens;
+}
+
+/**
+ * Saves an observer submission against its invite and marks the invite used.
+ * The rater group comes from the invite, never from the submission.
+ */
+function submitObserver(submission, token, dirs) {
+  const caseId = caseIdOfResponses(submission);
+  if (!token || typeof token !== "string") throw new PipelineError("INVITE_REQUIRED", "Observer submissions need an invite token");
+  const p = invitesFile(caseId, dirs);
+  const doc = fs.existsSync(p) ? readJSON(p) : { invites: [] };
+  const invite = doc.invites.find((i) => i.token_sha256 === hashToken(token));
+  if (!invite) throw new PipelineError("INVITE_INVALID", "Unknown invite token for this case");
+  if (invite.used) throw new PipelineError("INVITE_USED", "This invite has already been used");
+
+  const { invite_token, ...answers } = submission;
+  const saved = saveObserver(
+    { ...answers, respondent: {}, rater: { rater_id: `r_${crypto.randomBytes(8).toString("hex")}`, group: invite.group } },
+    dirs
+  );
+  invite.used = true;
+  writeJSON(p, doc);
+  return saved;
+}
+
+function normOption(dirs, normVersion) {
+  return { dir: resolveDirs(dirs).normsDir, ...(normVersion ? { version: normVersion } : {}) };
+}
+
+/** normVersion pins the norm table (e.g. the one a stored score used) instead of scoring.v1.json "norms". */
+function scoreResponses(responses, { dirs, normVersion } = {}) {
+  return runScoring({
+    responses,
+    norms: normOption(dirs, normVersion),
+    observers: loadObservers(caseIdOfResponses(responses), dirs)
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Draft
+
+/**
+ * Builds the draft with draft_engine.js and checks it against
+ * schemas/draft_assessment.schema.json before anything downstream sees it.
+ */
+function buildDraft(responses, { dirs, normVersion } = {}) {
+  if (!responses || typeof responses !== "object") {
+    throw new PipelineError("INVALID_RESPONSES", "Responses must be an object");
+  }
+
+  let draft;
+  try {
+    draft = draftEngine.buildDraft(responses, {
+      norms: normOption(dirs, normVersion),
+      observers: loadObservers(caseIdOfResponses(responses), dirs)
+    });
+  } catch (e) {
+    throw new PipelineError("INVALID_RESPONSES", e.message);
+  }
+
+  const errors = validate(loadSchema("draft_assessment.schema.json"), draft);
+  if (errors.length) {
+    throw new PipelineError("INVALID_DRAFT", "Draft failed schema validation", errors);
+  }
+  return draft;
+}
+
+// ---------------------------------------------------------------------------
+// Approval + payload
+
+function createApproval(draft, { caseId } = {}) {
+  return {
+    meta: {
+      case_id: caseId || caseIdOfDraft(draft),
+      created_at: nowIso(),
+      expert_name: DEFAULT_EXPERT
+    },
+    decision: {
+      status: "APPROVE",
+      operator_notes: ""
+    },
+    overrides: {
+      executive_summary: "",
+      risk_notes: "",
+      recommendations: ""
+    },
+    adjustments: {
+      dimension_scores_override: Object.fromEntries(Object.keys(draft?.draft_scoring?.dimension_scores || {}).map((d) => [d, null])),
+      justification: ""
+    }
+  };
+}
+
+/** Field errors of an approval: schemas/approval.schema.json plus the case id it must belong to. */
+function validateApproval(approval, caseId) {
+  const errors = validate(loadSchema("approval.schema.json"), approval);
+  if (!errors.length && caseId && approval.meta.case_id !== caseId) {
+    errors.push({ field: "meta.case_id", message: `must match file case id (${caseId})` });
+  }
+  return errors;
+}
+
+function buildPayload(draft, approval, { caseId } = {}) {
+  const status = approval?.decision?.status || "APPROVE";
+  if (status === "DEBRIEF") {
+    throw new PipelineError("DEBRIEF_NO_PAYLOAD", "DEBRIEF selected. No payload generated.");
+  }
+
+  let adjusted;
+  try {
+    adjusted = applyScoreAdjustments(draft?.draft_scoring, approval);
+  } catch (e) {
+    throw new PipelineError("INVALID_ADJUSTMENT", e.message);
+  }
+
+  return {
+    case_id: caseId || caseIdOfDraft(draft),
+    generated_at: nowIso(),
+    decision_status: status,
+    meta: {
+      subject_name: draft?.meta?.respondent_name || draft?.responses?.respondent?.name || "Unknown",
+      subject_email: draft?.meta?.respondent_email || draft?.responses?.respondent?.email || "",
+      organization: draft?.meta?.respondent_org || draft?.responses?.respondent?.organization || "",
+      expert_name: approval?.meta?.expert_name || DEFAULT_EXPERT
+    },
+    // Scores the reports use: the draft's, with expert overrides applied on ADJUST.
+    final_scoring: adjusted.final_scoring,
+    score_adjustments: adjusted.score_adjustments,
+    draft,
+    approval
+  };
+}
+
+// ---------------------------------------------------------------------------
+// PDF reports
+
+function nowStamp() {
+  const d = new Date();
+  const yyyy = d.getFullYear();
+  const mm = String(d.getMonth() + 1).padStart(2, "0");
+  const dd = String(d.getDate()).padStart(2, "0");
+  const hh = String(d.getHours()).padStart(2, "0");
+  const mi = String(d.getMinutes()).padStart(2, "0");
+  const ss = String(d.getSeconds()).padStart(2, "0");
+  return `${yyyy}${mm}${dd}-${hh}${mi}${ss}`;
+}
+
+// Band labels and descriptions come from the draft (resolved from scoring.v1.json);
+// expert-adjusted dimensions are marked with the engine score they replaced.
+function writeScoresSection(doc, scoring, adjustments) {
+  if (!scoring?.dimension_scores) return;
+  const details = scoring.band_details || {};
+  const fmt = (score) => (typeof score === "number" ? score.toFixed(2) : "n/a");
+  const line = (name, score, band, adjusted) => {
+    const mark = adjusted ? ` (expert-adjusted; engine ${fmt(adjusted.original)})` : "";
+    doc.fontSize(10).text(`${name}: ${fmt(score)}${band ? ` — ${band.label}` : ""}${mark}`);
+    if (band?.description) doc.fontSize(8).fillColor("#555555").text(`   ${band.description}`).fillColor("black");
+  };
+
+  doc.fontSize(12).text("Scores", { underline: true });
+  for (const [d, score] of Object.entries(scoring.dimension_scores)) {
+    line(d, score, details.dimensions?.[d], adjustments?.dimensions?.[d]);
+  }
+  doc.moveDown(0.3);
+  for (const [k, score] of Object.entries(scoring.aggregate_scores || {})) line(k.toUpperCase(), score, details.indices?.[k]);
+  if (adjustments) {
+    doc.moveDown(0.3);
+    doc.fontSize(8).fillColor("#555555").text(`Expert adjustment by ${adjustments.adjusted_by || "expert"}: ${adjustments.justification}`).fillColor("black");
+  }
+  doc.moveDown(1);
+}
+
+function writePdf(filePath, title, payload) {
+  return new Promise((resolve, reject) => {
+    storage.ensureDir(path.dirname(filePath));
+
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const stream = fs.createWriteStream(filePath);
+
+    stream.on("finish", resolve);
+    stream.on("error", reject);
+    doc.on("error", reject);
+
+    doc.pipe(stream);
+
+    doc.fontSize(20).text(title);
+    doc.moveDown(0.5);
+
+    doc.fontSize(11).text(`Case ID: ${payload.case_id || "UNKNOWN_CASE"}`);
+    doc.text(`Generated: ${nowIso()}`);
+    doc.moveDown(1);
+
+    const meta = payload.meta || {};
+    doc.fontSize(12).text("Subject", { underline: true });
+    doc.fontSize(10).text(`Name: ${meta.subject_name || "Unknown"}`);
+    doc.fontSize(10).text(`Email: ${meta.subject_email || "-"}`);
+    doc.fontSize(10).text(`Organization: ${meta.organization || "-"}`);
+    doc.moveDown(1);
+
+    doc.fontSize(12).text("Decision", { underline: true });
+    doc.fontSize(10).text(`Status: ${payload.decision_status || "-"}`);
+    doc.moveDown(1);
+
+    writeScoresSection(doc, payload.final_scoring || payload.draft?.draft_scoring, payload.score_adjustments);
+
+    // Show a short snapshot of answers if present
+    const draft = payload.draft || {};
+    const responses = draft.responses || draft; // compatible with different draft shapes
+    const answers = Array.isArray(responses.answers) ? responses.answers : Array.isArray(draft.answers) ? draft.answers : [];
+
+    doc.fontSize(12).text("Captured answers (first 10)", { underline: true });
+    doc.moveDown(0.3);
+
+    answers.slice(0, 10).forEach((a, i) => {
+      const q = a.question || a.q || `Q${i + 1}`;
+      const v = a.value ?? a.answer ?? a.choice ?? "-";
+      doc.fontSize(9).text(`${i + 1}. ${String(q)}`);
+      doc.fontSize(9).text(`   → ${String(v)}`);
+      doc.moveDown(0.2);
+    });
+
+    doc.moveDown(1);
+    doc.fontSize(9).text(
+      "This report is generated via a stable PDF engine (PDFKit) to ensure production reliability on Railway volumes.",
+      { align: "left" }
+    );
+
+    doc.end();
+  });
+}
+
+const REPORTS = [
+  { key: "executive", file: "executive.pdf", title: "LRID™ Executive Report" },
+  { key: "hr", file: "hr.pdf", title: "LRID™ HR Report" },
+  { key: "academic", file: "academic.pdf", title: "LRID™ Academic Report" }
+];
+
+// Retest trend for one subject: baseline -> latest with reliable-change status,
+// then every assessment. Scores inside the reliable-change threshold are
+// reported as "no reliable change", however large the raw delta looks.
+function writeProgressPdf(filePath, trend, { caseId } = {}) {
+  return new Promise((resolve, reject) => {
+    storage.ensureDir(path.dirname(filePath));
+
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const stream = fs.createWriteStream(filePath);
+
+    stream.on("finish", resolve);
+    stream.on("error", reject);
+    doc.on("error", reject);
+
+    doc.pipe(stream);
+
+    const fmt = (v) => (typeof v === "number" ? v.toFixed(2) : "n/a");
+    const signed = (v) => (typeof v === "number" ? `${v >= 0 ? "+" : ""}${v.toFixed(2)}` : "n/a");
+    const STATUS = { IMPROVED: "improved", DECLINED: "declined", NO_RELIABLE_CHANGE: "no reliable change", NOT_AVAILABLE: "n/a" };
+
+    doc.fontSize(20).text("LRID™ Progress Report");
+    doc.moveDown(0.5);
+    doc.fontSize(11).text(`Subject: ${trend.subject_id}`);
+    if (caseId) doc.text(`Case ID: ${caseId}`);
+    doc.text(`Generated: ${nowIso()}`);
+    doc.moveDown(1);
+
+    doc.fontSize(12).text("Assessments", { underline: true });
+    for (const a of trend.assessments) {
+      const idx = Object.entries(a.indices).map(([k, v]) => `${k.toUpperCase()} ${fmt(v)}${a.index_bands[k] ? ` (${a.index_bands[k]})` : ""}`);
+      doc.fontSize(10).text(`${String(a.assessed_at).slice(0, 10)}  ${a.case_id}  ${idx.join("  ")}`);
+    }
+    if (trend.unscored_cases.length) {
+      doc.fontSize(8).fillColor("#555555").text(`Not yet scored: ${trend.unscored_cases.join(", ")}`).fillColor("black");
+    }
+    doc.moveDown(1);
+
+    const change = trend.baseline_to_latest;
+    doc.fontSize(12).text("Change since baseline", { underline: true });
+    if (!change) {
+      doc.fontSize(10).text("Only one scored assessment so far; change is shown from the first retest on.");
+    } else {
+      doc.fontSize(9).fillColor("#555555").text(`${change.from_case} -> ${change.to_case}`).fillColor("black");
+      const line = (name, c) => {
+        const band = c.band_before !== c.band_after ? `  band ${c.band_before || "-"} -> ${c.band_after || "-"}` : "";
+        doc.fontSize(10).text(`${name}: ${fmt(c.before)} -> ${fmt(c.after)} (${signed(c.delta)}; RCI ${fmt(c.rci)}) — ${STATUS[c.status] || c.status}${band}`);
+      };
+      for (const [d, c] of Object.entries(change.dimensions)) line(d, c);
+      doc.moveDown(0.3);
+      for (const [k, c] of Object.entries(change.indices)) line(k.toUpperCase(), c);
+    }
+    doc.moveDown(1);
+
+    doc.fontSize(8).fillColor("#555555").text(
+      `Reliable change index (Jacobson & Truax): a change counts as improvement or decline only when |RCI| >= ${trend.rci.z_critical}. ` +
+        `Standard deviations: ${trend.rci.sd_source}.`
+    ).fillColor("black");
+
+    doc.end();
+  });
+}
+
+/** Trend of the subject this case belongs to, when it has been retested; else null. */
+function progressTrendOf(caseId, dirs) {
+  const { dataDir, normsDir } = resolveDirs(dirs);
+  const subject = subjects.subjectOfCase(subjects.loadRegistry(dataDir), caseId);
+  if (!subject) return null;
+  const trend = subjects.subjectTrend(subject.subject_id, { dataDir, normsDir });
+  return trend && trend.assessments.length > 1 ? trend : null;
+}
+
+/**
+ * Renders all reports for exactly this payload into a fresh folder
+ * case_<case_id>_<stamp>-<random>. The folder is created atomically, so two
+ * renders (same case or not) can never write into the same place.
+ */
+async function renderReports(payload, dirs) {
+  if (!payload || typeof payload !== "object") {
+    throw new PipelineError("INVALID_PAYLOAD", "Payload must be an object");
+  }
+  if (!payload.case_id) {
+    throw new PipelineError("MISSING_CASE_ID", "Payload has no case_id");
+  }
+  const { outDir } = resolveDirs(dirs);
+  storage.ensureDir(outDir);
+
+  const outPath = fs.mkdtempSync(path.join(outDir, `case_${safeSlug(payload.case_id)}_${nowStamp()}-`));
+  const outFolder = path.basename(outPath);
+
+  const files = {};
+  try {
+    for (const r of REPORTS) {
+      files[r.key] = path.join(outPath, r.file);
+      await writePdf(files[r.key], r.title, payload);
+    }
+    const trend = progressTrendOf(payload.case_id, dirs);
+    if (trend) {
+      files.progress = path.join(outPath, "progress.pdf");
+      await writeProgressPdf(files.progress, trend, { caseId: payload.case_id });
+    }
+  } catch (e) {
+    throw new PipelineError("PDF_RENDER_FAILED", `PDF rendering failed: ${e.message}`, { outFolder });
+  }
+
+  return { outFolder, outPath, files };
+}
+
+// Team-level view: distributions, band shares and the most common hits. Only
+// called for groups that passed the minimum group size.
+function writeCohortPdf(filePath, report) {
+  return new Promise((resolve, reject) => {
+    storage.ensureDir(path.dirname(filePath));
+
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const stream = fs.createWriteStream(filePath);
+
+    stream.on("finish", resolve);
+    stream.on("error", reject);
+    doc.on("error", reject);
+
+    doc.pipe(stream);
+
+    const fmt = (v) => (typeof v === "number" ? v.toFixed(2) : "n/a");
+    const pct = (v) => `${Math.round(v * 100)}%`;
+
+    doc.fontSize(20).text("LRID™ Cohort Report");
+    doc.moveDown(0.5);
+    doc.fontSize(11).text(`${report.group_by === "organization" ? "Organization" : "Cohort"}: ${report.label}`);
+    doc.text(`Members: ${report.n} (${report.finalized} finalized)`);
+    doc.text(`Generated: ${nowIso()}`);
+    doc.moveDown(1);
+
+    const section = (title, stats, bands, upper) => {
+      doc.fontSize(12).text(title, { underline: true });
+      for (const [k, d] of Object.entries(stats)) {
+        const name = upper ? k.toUpperCase() : k;
+        if (d.suppressed) {
+          doc.fontSize(10).text(`${name}: not reported (scored for fewer than ${report.min_group_size} members)`);
+          continue;
+        }
+        doc.fontSize(10).text(`${name}: mean ${fmt(d.mean)} (SD ${fmt(d.sd)}), median ${fmt(d.median)}, IQR ${fmt(d.p25)}–${fmt(d.p75)}`);
+        const shares = Object.entries(bands[k] || {}).map(([label, share]) => `${label} ${pct(share)}`);
+        if (shares.length) doc.fontSize(8).fillColor("#555555").text(`   ${shares.join(" · ")}`).fillColor("black");
+      }
+      doc.moveDown(1);
+    };
+    section("Dimensions", report.dimensions, report.band_proportions.dimensions);
+    section("Indices", report.indices, report.band_proportions.indices, true);
+
+    const hits = (title, list, idKey, none) => {
+      doc.fontSize(12).text(title, { underline: true });
+      if (!list.length) doc.fontSize(10).text(none);
+      for (const h of list) {
+        doc.fontSize(10).text(`${h[idKey]} ${h.title}${h.severity ? ` [${h.severity}]` : ""}: ${h.cases} of ${report.n} (${pct(h.share)})`);
+      }
+      doc.moveDown(1);
+    };
+    hits("Most common consistency mismatches", report.consistency, "cc_id", "No consistency mismatches.");
+    hits("Most common red flags", report.red_flags, "rf_id", "No red flags.");
+
+    doc.fontSize(8).fillColor("#555555").text(
+      `Aggregates only. Groups with fewer than ${report.min_group_size} members are not reported; ` +
+        "each person counts once, with their latest assessment."
+    ).fillColor("black");
+
+    doc.end();
+  });
+}
+
+/** Cohort PDF for an organization or cohort tag, in out/cohort_<key>_<stamp>-<random>. */
+async function renderCohortReport(by, key, dirs) {
+  const { dataDir, outDir } = resolveDirs(dirs);
+  let report;
+  try {
+    report = cohorts.cohortReport(by, key, { dataDir, release: true });
+  } catch (e) {
+    throw new PipelineError("INVALID_GROUP", e.message);
+  }
+  if (!report) throw new PipelineError("COHORT_NOT_FOUND", `Unknown ${by} "${key}"`);
+  if (report.status !== "REPORTED") throw new PipelineError("COHORT_TOO_SMALL", report.note);
+  storage.ensureDir(outDir);
+
+  const outPath = fs.mkdtempSync(path.join(outDir, `cohort_${safeSlug(report.key)}_${nowStamp()}-`));
+  const file = path.join(outPath, "cohort.pdf");
+  try {
+    await writeCohortPdf(file, report);
+  } catch (e) {
+    throw new PipelineError("PDF_RENDER_FAILED", `PDF rendering failed: ${e.message}`, { outFolder: path.basename(outPath) });
+  }
+  return { outFolder: path.basename(outPath), outPath, files: { cohort: file }, report };
+}
+
+/** Stand-alone progress report for a subject, in out/subject_<id>_<stamp>-<random>. */
+async function renderProgressReport(subjectId, dirs) {
+  const { dataDir, normsDir, outDir } = resolveDirs(dirs);
+  const trend = subjects.subjectTrend(subjectId, { dataDir, normsDir });
+  if (!trend) throw new PipelineError("SUBJECT_NOT_FOUND", `Unknown subject ${subjectId}`);
+  if (!trend.assessments.length) throw new PipelineError("NO_SCORED_CASES", `Subject ${subjectId} has no scored cases`);
+  storage.ensureDir(outDir);
+
+  const outPath = fs.mkdtempSync(path.join(outDir, `subject_${safeSlug(subjectId)}_${nowStamp()}-`));
+  const file = path.join(outPath, "progress.pdf");
+  try {
+    await writeProgressPdf(file, trend);
+  } catch (e) {
+    throw new PipelineError("PDF_RENDER_FAILED", `PDF rendering failed: ${e.message}`, { outFolder: path.basename(outPath) });
+  }
+  return { outFolder: path.basename(outPath), outPath, files: { progress: file } };
+}
+
+// ---------------------------------------------------------------------------
+// Disk helpers
+
+function loadJSONFile(p, code, label) {
+  if (!p || !fs.existsSync(p)) throw new PipelineError(code, `${label} not found: ${p}`);
+  try {
+    return readJSON(p);
+  } catch (e) {
+    throw new PipelineError("INVALID_JSON", `${label} is not valid JSON: ${e.message}`);
+  }
+}
+
+function loadResponses(responsesPath) {
+  return loadJSONFile(responsesPath, "RESPONSES_NOT_FOUND", "Responses file");
+}
+
+function loadDraft(draftPath) {
+  return loadJSONFile(draftPath, "DRAFT_NOT_FOUND", "Draft");
+}
+
+function saveScore(responses, result, dirs) {
+  const { dataDir } = resolveDirs(dirs);
+  const caseId = caseIdOfResponses(responses) || "UNKNOWN_CASE";
+  const p = path.join(dataDir, `score_${caseId}.json`.replace(/[^a-zA-Z0-9_.-]/g, "_"));
+  writeJSON(p, { meta: responses.meta || { case_id: caseId }, ...result });
+  return p;
+}
+
+function saveDraft(draft, dirs) {
+  const { dataDir } = resolveDirs(dirs);
+  const p = path.join(dataDir, draftFileName(draft?.meta?.case_id || "UNKNOWN_CASE"));
+  writeJSON(p, draft);
+  return p;
+}
+
+// Returns the stored approval for the case, creating the template when missing.
+// A stored approval is checked like a saved one, since it may have been edited on disk.
+function ensureApproval(draft, { caseId, dirs } = {}) {
+  const { approvalsDir } = resolveDirs(dirs);
+  const cid = checkCaseId(caseId || caseIdOfDraft(draft));
+  const p = path.join(approvalsDir, `approval_${cid}.json`);
+
+  if (fs.existsSync(p)) {
+    const approval = loadJSONFile(p, "APPROVAL_NOT_FOUND", "Approval");
+    const errors = validateApproval(approval, cid);
+    if (errors.length) throw new PipelineError("INVALID_APPROVAL", `Approval failed validation: ${path.basename(p)}`, errors);
+    return { approval, path: p, created: false };
+  }
+
+  const approval = createApproval(draft, { caseId: cid });
+  writeJSON(p, approval);
+  return { approval, path: p, created: true };
+}
+
+function savePayload(payload, dirs) {
+  const { dataDir } = resolveDirs(dirs);
+  const p = path.join(dataDir, payloadFileName(payload.case_id));
+  writeJSON(p, payload);
+  return p;
+}
+
+function loadPayload(caseId, dirs) {
+  const { dataDir } = resolveDirs(dirs);
+  return loadJSONFile(path.join(dataDir, payloadFileName(caseId)), "PAYLOAD_NOT_FOUND", "Payload");
+}
+
+/**
+ * approval -> payload_<case_id>.json -> PDFs for one draft, under the case lock.
+ * Returns the exact output folder that was produced.
+ */
+async function finalizeCase(draft, { caseId, dirs } = {}) {
+  const cid = checkCaseId(caseId || caseIdOfDraft(draft));
+  return withCaseLock(cid, async () => {
+    const { approval } = ensureApproval(draft, { caseId: cid, dirs });
+    const payload = buildPayload(draft, approval, { caseId: cid });
+    const payloadPath = savePayload(payload, dirs);
+    const report = await renderReports(payload, dirs);
+    return { caseId: cid, payload, payloadPath, ...report };
+  });
+}
+
+/**
+ * Full case run: responses -> score -> draft -> approval template -> payload -> PDFs.
+ *
+ * Drafts whose handoff does not allow automatic payload generation (REVIEW and
+ * DEBRIEF recommendations) stop after the approval template until an expert
+ * has recorded a decision (approval.audit.decision_at); the result then has
+ * `awaitingReview: true` and no output folder.
+ *
+ * Every stage is timed and logged. On failure the thrown PipelineError carries
+ * `stage`, `stages` and `log` so callers can say exactly what broke.
+ */
+async function runCase(responsesPath, { dirs } = {}) {
+  const stages = [];
+  const log = [];
+  const ctx = {};
+
+  async function stage(name, fn) {
+    const t0 = Date.now();
+    const seconds = () => Number(((Date.now() - t0) / 1000).toFixed(2));
+    log.push(`▶ ${name}`);
+    try {
+      const msg = await fn();
+      if (msg) log.push(msg);
+      stages.push({ stage: name, ok: true, seconds: seconds() });
+    } catch (e) {
+      log.push(`✖ ${name} failed: ${e.message}`);
+      stages.push({ stage: name, ok: false, seconds: seconds() });
+      const err = new PipelineError(e.code || "STAGE_FAILED", `Stage "${name}" failed: ${e.message}`, e.details);
+      err.stage = name;
+      err.stages = stages;
+      err.log = log.join("\n");
+      throw err;
+    }
+  }
+
+  await stage("responses", () => {
+    ctx.responses = loadResponses(responsesPath);
+    ctx.caseId = caseIdOfResponses(ctx.responses);
+    if (!ctx.caseId) throw new PipelineError("MISSING_CASE_ID", "Responses have no case_id");
+    checkCaseId(ctx.caseId);
+    return `case_id: ${ctx.caseId}`;
+  });
+
+  // The responses stage is the only read of the file; everything after it
+  // writes per-case artifacts and runs under the case lock.
+  return withCaseLock(ctx.caseId, () => runLockedStages(ctx, stage, { stages, log, dirs }));
+}
+
+async function runLockedStages(ctx, stage, { stages, log, dirs }) {
+  await stage("score", () => {
+    const p = saveScore(ctx.responses, scoreResponses(ctx.responses, { dirs }), dirs);
+    return `✔ Saved: ${p}`;
+  });
+
+  await stage("draft", () => {
+    ctx.draft = buildDraft(ctx.responses, { dirs });
+    ctx.draftPath = saveDraft(ctx.draft, dirs);
+    return `✔ Draft created: ${ctx.draftPath}`;
+  });
+
+  await stage("approval_template", () => {
+    const res = ensureApproval(ctx.draft, { caseId: ctx.caseId, dirs });
+    ctx.approval = res.approval;
+    return res.created ? `✔ Created approval template: ${res.path}` : `✔ Using approval: ${res.path}`;
+  });
+
+  const handoff = ctx.draft.handoff || {};
+  if (handoff.auto_generate_payload_allowed === false && !ctx.approval.audit?.decision_at) {
+    log.push(`⏸ Awaiting expert review (${handoff.recommended_expert_action}): ${handoff.recommended_reason}`);
+    return {
+      caseId: ctx.caseId,
+      draftFile: path.basename(ctx.draftPath),
+      outFolder: null,
+      awaitingReview: true,
+      stages,
+      log: log.join("\n")
+    };
+  }
+
+  await stage("payload", () => {
+    ctx.payload = buildPayload(ctx.draft, ctx.approval, { caseId: ctx.caseId });
+    return `✔ Payload saved: ${savePayload(ctx.payload, dirs)}`;
+  });
+
+  await stage("pdf", async () => {
+    ctx.report = await renderReports(ctx.payload, dirs);
+    return `OUT_FOLDER: ${ctx.report.outPath}`;
+  });
+
+  return {
+    caseId: ctx.caseId,
+    draftFile: path.basename(ctx.draftPath),
+    outFolder: ctx.report.outFolder,
+    awaitingReview: false,
+    stages,
+    log: log.join("\n")
+  };
+}
+
+module.exports = {
+  PipelineError,
+  caseIdOfResponses,
+  caseIdOfDraft,
+  draftFileName,
+  payloadFileName,
+  loadObservers,
+  saveObserver,
+  createObserverInvites,
+  submitObserver,
+  scoreResponses,
+  buildDraft,
+  createApproval,
+  validateApproval,
+  buildPayload,
+  renderReports,
+  renderProgressReport,
+  renderCohortReport,
+  loadResponses,
+  loadDraft,
+  saveScore,
+  saveDraft,
+  ensureApproval,
+  savePayload,
+  loadPayload,
+  finalizeCase,
+  runCase
+};
@@ -0,0 +1,53 @@
+/**
+ * LRID scoring provenance.
+ *
+ * Every score and draft is stamped with the engine version and a SHA-256 of
+ * the exact instrument / scoring / consistency files it was computed with, and
+ * of the question map and intake config that normalization decodes answers
+ * with, so historic cases can be matched to the rules that produced them.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const SCORING_ENGINE = "lrid-scoring-engine";
+const SCORING_ENGINE_VERSION = "1.1.0";
+
+// Relative to the repository root.
+const CONFIG_FILES = {
+  instrument: "schemas/instrument.v1.json",
+  scoring: "schemas/scoring.v1.json",
+  consistency: "schemas/consistency.v1.json",
+  questionMap: "schemas/question_map.v1.json",
+  intakeConfig: "config/questions.lrid.v1.json"
+};
+
+function sha256(text) {
+  return "sha256:" + crypto.createHash("sha256").update(text).digest("hex");
+}
+
+/**
+ * Reads and parses the configs once, hashing the bytes that were parsed.
+ * Returns { instrument, scoring, consistency, questionMap, intakeConfig, provenance }.
+ */
+function loadConfigs(rootDir = __dirname) {
+  const out = {};
+  const config_hashes = {};
+  for (const [key, file] of Object.entries(CONFIG_FILES)) {
+    const text = fs.readFileSync(path.join(rootDir, file), "utf8");
+    out[key] = JSON.parse(text);
+    config_hashes[key.replace(/[A-Z]/g, (c) => `_${c.toLowerCase()}`)] = sha256(text);
+  }
+
+  out.provenance = {
+    engine: SCORING_ENGINE,
+    engine_version: SCORING_ENGINE_VERSION,
+    config_hashes,
+    // One value to compare quickly: hash over the file hashes.
+    config_hash: sha256(Object.values(config_hashes).join("\n"))
+  };
+  return out;
+}
+
+module.exports = { SCORING_ENGINE, SCORING_ENGINE_VERSION, loadConfigs };
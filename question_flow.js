@@ -0,0 +1,155 @@
+/**
+ * LRID question flow: display and branching conditions.
+ *
+ * Shared by the server (sessions.js, scoring_engine.js) and the intake form,
+ * which loads this file as /question_flow.js (window.LRIDFlow).
+ *
+ * A question may carry
+ *
+ *   show_if    condition; when false the question is skipped
+ *   branch     [{ if: condition, skip_to: "<later question id>" }]; evaluated
+ *              once the question is answered, the first match skips every
+ *              question up to (not including) skip_to
+ *
+ * Conditions only refer to earlier questions:
+ *
+ *   { question: "DI-13", in: [0] }        answer is one of the values (intake:
+ *                                         option index; canonical: letter)
+ *   { question: "DI-13", equals: 0 }      answer is exactly the value
+ *   { question: "DI-02", lte: 2 }         numeric answer <= / >= (also gte)
+ *   { question: "DI-13", answered: true }
+ *   { all: [...] }  { any: [...] }  { not: {...} }
+ *
+ * Any other operator is a config error: checkFlow reports it and
+ * evaluateCondition treats it as false rather than guessing.
+ *
+ * Answers to skipped questions never count, so a follow-up of a skipped
+ * question is skipped as well.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.LRIDFlow = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  function isAnswered(v) {
+    return v !== null && v !== undefined && String(v).trim() !== "";
+  }
+
+  const LEAF_OPERATORS = ["in", "equals", "lte", "gte", "answered"];
+  const OPERATORS = [...LEAF_OPERATORS, "all", "any", "not"];
+
+  function sameValue(a, b) {
+    return typeof b === "number" ? Number(a) === b : String(a) === String(b);
+  }
+
+  /** valueOf(questionId) returns the answer or null. */
+  function evaluateCondition(cond, valueOf) {
+    if (!cond) return true;
+    if (Array.isArray(cond.all)) return cond.all.every((c) => evaluateCondition(c, valueOf));
+    if (Array.isArray(cond.any)) return cond.any.some((c) => evaluateCondition(c, valueOf));
+    if (cond.not) return !evaluateCondition(cond.not, valueOf);
+
+    if (conditionProblems(cond).length) return false;
+    const v = valueOf(cond.question);
+    if (cond.answered !== undefined) return isAnswered(v) === Boolean(cond.answered);
+    if (!isAnswered(v)) return false;
+    if (Array.isArray(cond.in)) return cond.in.some((x) => sameValue(v, x));
+    if (cond.equals !== undefined) return sameValue(v, cond.equals);
+    const n = Number(v);
+    if (cond.lte !== undefined) return Number.isFinite(n) && n <= Number(cond.lte);
+    return Number.isFinite(n) && n >= Number(cond.gte);
+  }
+
+  /** Problems with the operators of one condition tree (empty when well-formed). */
+  function conditionProblems(cond) {
+    if (!cond) return [];
+    if (typeof cond !== "object" || Array.isArray(cond)) return ["condition must be an object"];
+    if (Array.isArray(cond.all)) return cond.all.flatMap(conditionProblems);
+    if (Array.isArray(cond.any)) return cond.any.flatMap(conditionProblems);
+    if (cond.not) return conditionProblems(cond.not);
+    const unknown = Object.keys(cond).filter((k) => k !== "question" && !LEAF_OPERATORS.includes(k));
+    if (unknown.length) return [`unknown operator ${unknown.join(", ")} (allowed: ${OPERATORS.join(", ")})`];
+    const ops = Object.keys(cond).filter((k) => LEAF_OPERATORS.includes(k));
+    if (ops.length !== 1) return [`condition on ${cond.question || "?"} needs exactly one operator (${LEAF_OPERATORS.join(", ")})`];
+    if (!cond.question) return [`${ops[0]} condition has no question`];
+    if (ops[0] === "in" && !Array.isArray(cond.in)) return [`in condition on ${cond.question} needs a list`];
+    return [];
+  }
+
+  /** Question ids a condition refers to. */
+  function conditionRefs(cond) {
+    if (!cond) return [];
+    if (Array.isArray(cond.all)) return cond.all.flatMap(conditionRefs);
+    if (Array.isArray(cond.any)) return cond.any.flatMap(conditionRefs);
+    if (cond.not) return conditionRefs(cond.not);
+    return cond.question ? [cond.question] : [];
+  }
+
+  /**
+   * Walks questions in order. Returns [{ id, status: "shown"|"skipped", reason }].
+   * opts.idOf(q) gives the question id (default q.id).
+   */
+  function resolveFlow(questions, valueOf, opts) {
+    const idOf = (opts && opts.idOf) || ((q) => q.id);
+    const shown = new Set();
+    const visibleValue = (id) => (shown.has(id) ? valueOf(id) : null);
+    const out = [];
+    let skipTo = null;
+    let skipFrom = null;
+
+    for (const q of questions) {
+      const id = idOf(q);
+      if (skipTo && id === skipTo) skipTo = null;
+      if (skipTo) {
+        out.push({ id, status: "skipped", reason: `branch from ${skipFrom}` });
+        continue;
+      }
+      if (!evaluateCondition(q.show_if, visibleValue)) {
+        out.push({ id, status: "skipped", reason: "show_if not met" });
+        continue;
+      }
+      shown.add(id);
+      out.push({ id, status: "shown" });
+
+      if (isAnswered(valueOf(id))) {
+        const hit = (q.branch || []).find((b) => evaluateCondition(b.if, visibleValue));
+        if (hit) {
+          skipTo = hit.skip_to;
+          skipFrom = id;
+        }
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Config problems: malformed conditions, conditions or branches that refer to
+   * unknown or later questions, and skip_to targets that are not after the question.
+   */
+  function checkFlow(questions, opts) {
+    const idOf = (opts && opts.idOf) || ((q) => q.id);
+    const position = new Map(questions.map((q, i) => [idOf(q), i]));
+    const problems = [];
+    questions.forEach((q, i) => {
+      const id = idOf(q);
+      // show_if needs earlier answers; a branch may also look at the question's own answer.
+      const refs = [
+        ...conditionRefs(q.show_if).map((ref) => [ref, i - 1]),
+        ...(q.branch || []).flatMap((b) => conditionRefs(b.if)).map((ref) => [ref, i])
+      ];
+      const conditions = [q.show_if, ...(q.branch || []).map((b) => b.if)];
+      for (const p of conditions.flatMap(conditionProblems)) problems.push(`${id}: ${p}`);
+      for (const [ref, last] of refs) {
+        if (!position.has(ref)) problems.push(`${id}: condition refers to unknown question ${ref}`);
+        else if (position.get(ref) > last) problems.push(`${id}: condition refers to ${ref}, which is not asked before it`);
+      }
+      for (const b of q.branch || []) {
+        if (!position.has(b.skip_to)) problems.push(`${id}: skip_to unknown question ${b.skip_to}`);
+        else if (position.get(b.skip_to) <= i) problems.push(`${id}: skip_to ${b.skip_to} is not after the question`);
+      }
+    });
+    return problems;
+  }
+
+  return { OPERATORS, evaluateCondition, conditionProblems, conditionRefs, resolveFlow, checkFlow };
+});
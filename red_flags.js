@@ -0,0 +1,224 @@
+/**
+ * LRID red-flag engine.
+ *
+ * Scans open-text answers against instrument.red_flag_rules:
+ *
+ *   trigger.open_text_question_ids   which answers to scan
+ *   trigger.keywords_any             EN keywords / phrases
+ *   trigger.keywords_any_pl          PL keywords / phrases (optional); only applied
+ *                                    to Polish answers: responses.meta.language "pl",
+ *                                    or Polish letters / function words in the text.
+ *                                    Stems like "omin*" or "termin*" would otherwise
+ *                                    match English words ("ominous", "terminal")
+ *   severity_if_triggered            LOW | MEDIUM | HIGH
+ *
+ * Matching is word based and case/diacritic insensitive ("wyjątek" == "wyjatek").
+ * A keyword word matches its EN inflections (skip -> skips, skipped, skipping);
+ * a trailing "*" matches any ending, which is how PL word forms are configured
+ * ("pomin*" -> pominąć, pominę, pominięcie). Phrases match consecutive words.
+ * A match preceded by a negation cue within `negation_window` words
+ * ("I would never bypass", "nigdy nie pominę") does not count. The look-back
+ * stops at clause punctuation (, ; : . ! ? dashes) and skips words that are
+ * part of another keyword match ("no time, must decide" keeps "must decide").
+ *
+ * High stakes is ON when a rule of a high-stakes severity reaches
+ * high_stakes_min_status (PRESENT by default; LIKELY lets one match suffice).
+ *
+ * Settings (instrument.red_flag_settings, all optional):
+ *   negation_window (3), present_min_matches (2), snippet_chars (40),
+ *   high_stakes_severities (["HIGH"]), high_stakes_min_status ("PRESENT")
+ */
+
+const NEGATIONS = [
+  "not", "never", "no", "dont", "doesnt", "didnt", "wouldnt", "wont", "cant", "cannot",
+  "shouldnt", "mustnt", "refuse*", "avoid*", "nie", "nigdy", "zadn*", "bez", "unikam*", "odmawiam*"
+];
+
+const EN_SUFFIXES = ["s", "es", "ed", "d", "ing", "er", "ers"];
+
+// Function words that do not occur in English text.
+const PL_WORDS = ["nie", "sie", "ze", "jest", "czy", "ale", "bo", "jak", "mnie", "oraz", "gdy", "tylko", "juz", "bym", "byl", "moze", "tego", "jesli"];
+const PL_LETTERS = /[ąćęłńóśźż]/i;
+
+const CLAUSE_BREAK = /[,;:.!?()\n–—]/;
+const STATUS_RANK = { LIKELY: 1, PRESENT: 2 };
+
+function fold(word) {
+  return String(word)
+    .toLowerCase()
+    .replace(/ł/g, "l")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/['’]/g, "");
+}
+
+function tokenize(text) {
+  const tokens = [];
+  const re = /[\p{L}\p{N}]+(?:['’][\p{L}]+)*/gu;
+  let m;
+  let prevEnd = 0;
+  while ((m = re.exec(text))) {
+    const clauseStart = CLAUSE_BREAK.test(text.slice(prevEnd, m.index));
+    tokens.push({ norm: fold(m[0]), start: m.index, end: m.index + m[0].length, clauseStart });
+    prevEnd = m.index + m[0].length;
+  }
+  return tokens;
+}
+
+function wordMatches(pattern, word) {
+  if (pattern.endsWith("*")) return word.startsWith(pattern.slice(0, -1));
+  if (word === pattern) return true;
+  if (!word.startsWith(pattern.slice(0, -1))) return false;
+
+  const forms = EN_SUFFIXES.map((s) => pattern + s);
+  const last = pattern[pattern.length - 1];
+  if (/[bcdfgklmnprstvz]/.test(last)) forms.push(pattern + last + "ed", pattern + last + "ing");
+  if (last === "e") forms.push(pattern.slice(0, -1) + "ing");
+  if (last === "y") forms.push(pattern.slice(0, -1) + "ies", pattern.slice(0, -1) + "ied");
+  return forms.includes(word);
+}
+
+function compileKeyword(keyword) {
+  // Same word split as tokenize(), but a trailing "*" survives.
+  const words = String(keyword).split(/[^\p{L}\p{N}*'’]+/u).filter(Boolean).map(fold);
+  return { keyword, words };
+}
+
+function findMatches(tokens, compiled) {
+  const out = [];
+  const n = compiled.words.length;
+  if (!n) return out;
+  for (let i = 0; i + n <= tokens.length; i++) {
+    let ok = true;
+    for (let k = 0; k < n && ok; k++) ok = wordMatches(compiled.words[k], tokens[i + k].norm);
+    if (ok) out.push({ keyword: compiled.keyword, first: i, last: i + n - 1 });
+  }
+  return out;
+}
+
+function isPolish(text, tokens, language) {
+  if (String(language || "").toLowerCase().startsWith("pl")) return true;
+  if (PL_LETTERS.test(text)) return true;
+  return tokens.filter((t) => PL_WORDS.includes(t.norm)).length >= 2;
+}
+
+/** Looks back up to `window` words within the clause; `covered` holds token indexes of keyword matches. */
+function isNegated(tokens, first, window, covered) {
+  if (tokens[first].clauseStart) return false;
+  for (let i = first - 1; i >= Math.max(0, first - window); i--) {
+    const word = tokens[i].norm;
+    if (!covered.has(i) && NEGATIONS.some((neg) => (neg.endsWith("*") ? word.startsWith(neg.slice(0, -1)) : word === neg))) return true;
+    if (tokens[i].clauseStart) break;
+  }
+  return false;
+}
+
+/** One snippet per cluster of nearby matches, cut at word boundaries. */
+function snippets(text, ranges, chars) {
+  const sorted = [...ranges].sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const r of sorted) {
+    const prev = merged[merged.length - 1];
+    if (prev && r.start - prev.end <= chars * 2) prev.end = Math.max(prev.end, r.end);
+    else merged.push({ ...r });
+  }
+
+  return merged.map(({ start, end }) => {
+    let from = Math.max(0, start - chars);
+    let to = Math.min(text.length, end + chars);
+    const sp = text.indexOf(" ", from);
+    if (from > 0 && sp >= 0 && sp < start) from = sp + 1;
+    const ep = text.lastIndexOf(" ", to);
+    if (to < text.length && ep > end) to = ep;
+    const body = text.slice(from, to).replace(/\s+/g, " ").trim();
+    return `${from > 0 ? "..." : ""}${body}${to < text.length ? "..." : ""}`;
+  });
+}
+
+/**
+ * Evaluates every rule against canonical answers; `language` is the
+ * responses' meta.language.
+ * Returns { high_stakes: { status, triggers }, items, warnings }.
+ * Only rules with at least one counted match appear in `items`.
+ */
+function evaluateRedFlags(rules, answers, settings = {}, { language } = {}) {
+  const window = Number(settings.negation_window ?? 3);
+  const presentMin = Number(settings.present_min_matches ?? 2);
+  const snippetChars = Number(settings.snippet_chars ?? 40);
+  const highStakes = settings.high_stakes_severities || ["HIGH"];
+  const highStakesRank = STATUS_RANK[settings.high_stakes_min_status] ?? STATUS_RANK.PRESENT;
+
+  const byId = {};
+  for (const a of answers || []) byId[a.question_id] = a;
+
+  const items = [];
+  const warnings = [];
+
+  for (const rule of rules || []) {
+    const trigger = rule.trigger || {};
+    const keywordsEn = (trigger.keywords_any || []).map(compileKeyword);
+    const keywordsPl = (trigger.keywords_any_pl || []).map(compileKeyword);
+
+    const questionIds = [];
+    const found = [];
+    const negated = [];
+    const matched = new Set();
+
+    for (const qid of trigger.open_text_question_ids || []) {
+      const a = byId[qid];
+      if (!a) continue;
+      if (a.type !== "open_text") {
+        warnings.push(`${rule.rf_id}: ${qid} is not an open-text answer`);
+        continue;
+      }
+      const text = String(a.response || "");
+      const tokens = tokenize(text);
+      const keywords = isPolish(text, tokens, language) ? [...keywordsEn, ...keywordsPl] : keywordsEn;
+      const hits = [];
+      const negatedHits = [];
+
+      const matches = keywords.flatMap((kw) => findMatches(tokens, kw));
+      const covered = new Set(matches.flatMap((m) => Array.from({ length: m.last - m.first + 1 }, (_, k) => m.first + k)));
+      for (const m of matches) {
+        const range = { start: tokens[m.first].start, end: tokens[m.last].end };
+        if (isNegated(tokens, m.first, window, covered)) {
+          negatedHits.push(range);
+          continue;
+        }
+        matched.add(m.keyword);
+        hits.push(range);
+      }
+
+      if (hits.length) {
+        questionIds.push(qid);
+        found.push(...snippets(text, hits, snippetChars));
+      }
+      if (negatedHits.length) negated.push(...snippets(text, negatedHits, snippetChars));
+    }
+
+    if (!matched.size) continue;
+
+    const severity = rule.severity_if_triggered || "MEDIUM";
+    const item = {
+      rf_id: rule.rf_id,
+      title: rule.title || "",
+      status: matched.size >= presentMin ? "PRESENT" : "LIKELY",
+      severity,
+      evidence: { question_ids: questionIds, snippets: found, matched_keywords: [...matched] },
+      system_rationale: `Open-text answer matched: ${[...matched].join(", ")}.`
+    };
+    if (negated.length) item.evidence.negated_snippets = negated;
+    items.push(item);
+  }
+
+  const triggers = items
+    .filter((i) => highStakes.includes(i.severity) && STATUS_RANK[i.status] >= highStakesRank)
+    .map((i) => i.rf_id);
+  return {
+    high_stakes: { status: triggers.length ? "ON" : "OFF", triggers },
+    items,
+    warnings
+  };
+}
+
+module.exports = { evaluateRedFlags, tokenize, wordMatches };
@@ -0,0 +1,221 @@
+/**
+ * LRID re-score.
+ *
+ * Re-runs stored cases (DATA_DIR/responses_<case_id>.json) against the current
+ * instrument / scoring / consistency configs and reports what would change
+ * compared with the stored draft (or score file when there is no draft):
+ * dimension scores, aggregate indices, bands and confidence, plus the old and
+ * new provenance stamps. Cases are compared with the norm table version their
+ * stored result recorded, not the newest one on disk, so a new norm build does
+ * not show up as score changes. Nothing is overwritten unless --apply is given.
+ *
+ * Usage:
+ *   node rescore.js <case_id> [...]       dry run for selected cases
+ *   node rescore.js --all                 dry run for every case
+ *   node rescore.js --all --apply         also replace score_ and draft_ files
+ *   [--out <dir>]                         report folder (default: OUT_DIR)
+ * Writes rescore_<stamp>.json.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const pipeline = require("./pipeline");
+
+// Score changes smaller than this are rounding noise.
+const EPSILON = 0.005;
+
+function readJson(p) {
+  return JSON.parse(fs.readFileSync(p, "utf8"));
+}
+
+function fileSafe(caseId) {
+  return String(caseId).replace(/[^a-zA-Z0-9_.-]/g, "_");
+}
+
+function listCaseIds(dataDir) {
+  if (!fs.existsSync(dataDir)) return [];
+  return fs
+    .readdirSync(dataDir)
+    .filter((f) => f.startsWith("responses_") && f.endsWith(".json"))
+    .map((f) => f.slice("responses_".length, -".json".length))
+    .sort();
+}
+
+/** Comparable view of a draft: { source, dimensions, dimension_bands, indices, index_bands, confidence, provenance }. */
+function snapshotOfDraft(draft) {
+  const s = draft.draft_scoring || {};
+  return {
+    source: "draft",
+    dimensions: s.dimension_scores || {},
+    dimension_bands: s.dimension_bands || {},
+    indices: s.aggregate_scores || {},
+    index_bands: s.aggregate_bands || {},
+    confidence: { score: draft.confidence?.score ?? null, level: draft.confidence?.level ?? null },
+    provenance: draft.meta?.provenance || null
+  };
+}
+
+/** Same view of a score_<case_id>.json (runScoring output). */
+function snapshotOfScore(score) {
+  const s = score.scoring || {};
+  const label = (b) => b?.label ?? null;
+  const mapValues = (obj, fn) => Object.fromEntries(Object.entries(obj || {}).map(([k, v]) => [k, fn(v)]));
+  const conf = score.consistency?.confidence || {};
+  const level = typeof conf.level === "string" ? conf.level.charAt(0).toUpperCase() + conf.level.slice(1).toLowerCase() : null;
+  return {
+    source: "score",
+    dimensions: mapValues(s.dimension_scores, (v) => (typeof v === "number" ? Number(v.toFixed(2)) : v)),
+    dimension_bands: mapValues(s.bands?.dimensions, label),
+    indices: s.aggregate_scores || {},
+    index_bands: mapValues(s.bands?.indices, label),
+    confidence: { score: conf.score ?? null, level },
+    provenance: score.provenance || null
+  };
+}
+
+function diffScores(before, after) {
+  const out = [];
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    const a = before[key] ?? null;
+    const b = after[key] ?? null;
+    const changed = typeof a === "number" && typeof b === "number" ? Math.abs(a - b) >= EPSILON : a !== b;
+    if (changed) out.push({ key, before: a, after: b, delta: typeof a === "number" && typeof b === "number" ? Number((b - a).toFixed(2)) : null });
+  }
+  return out;
+}
+
+function diffLabels(before, after) {
+  const out = [];
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    const a = before[key] ?? null;
+    const b = after[key] ?? null;
+    if (a !== b) out.push({ key, before: a, after: b });
+  }
+  return out;
+}
+
+/** Field-by-field changes between two snapshots. */
+function diffSnapshots(before, after) {
+  const changes = {
+    dimensions: diffScores(before.dimensions, after.dimensions),
+    dimension_bands: diffLabels(before.dimension_bands, after.dimension_bands),
+    indices: diffScores(before.indices, after.indices),
+    index_bands: diffLabels(before.index_bands, after.index_bands),
+    confidence: diffScores({ score: before.confidence.score }, { score: after.confidence.score }).concat(
+      diffLabels({ level: before.confidence.level }, { level: after.confidence.level })
+    )
+  };
+  const changed = Object.values(changes).some((list) => list.length > 0);
+  return { changed, changes };
+}
+
+/**
+ * Re-scores one case. Returns the report entry plus the new score/draft so the
+ * caller can decide whether to store them.
+ */
+function rescoreCase(caseId, { dirs } = {}) {
+  const { dataDir } = dirs;
+  const responses = pipeline.loadResponses(path.join(dataDir, `responses_${fileSafe(caseId)}.json`));
+
+  const draftPath = path.join(dataDir, pipeline.draftFileName(caseId));
+  const scorePath = path.join(dataDir, `score_${fileSafe(caseId)}.json`);
+  let before = null;
+  if (fs.existsSync(draftPath)) before = snapshotOfDraft(readJson(draftPath));
+  else if (fs.existsSync(scorePath)) before = snapshotOfScore(readJson(scorePath));
+
+  const normVersion = before?.provenance?.norm_version || undefined;
+  const score = pipeline.scoreResponses(responses, { dirs, normVersion });
+  const draft = pipeline.buildDraft(responses, { dirs, normVersion });
+
+  const after = snapshotOfDraft(draft);
+  const entry = {
+    case_id: caseId,
+    compared_with: before ? before.source : null,
+    provenance: { before: before?.provenance || null, after: after.provenance },
+    // null when the stored result predates provenance stamping.
+    config_changed: before?.provenance ? before.provenance.config_hash !== after.provenance.config_hash : null
+  };
+
+  if (!before) {
+    entry.status = "NEW";
+    entry.after = after;
+  } else {
+    const { changed, changes } = diffSnapshots(before, after);
+    entry.status = changed ? "CHANGED" : "UNCHANGED";
+    entry.changes = changes;
+  }
+  // An approved payload was built from the stored draft; flag it for review.
+  entry.has_payload = fs.existsSync(path.join(dataDir, pipeline.payloadFileName(caseId)));
+  return { entry, responses, score, draft };
+}
+
+function argValue(args, name) {
+  const i = args.indexOf(name);
+  return i >= 0 ? args[i + 1] : undefined;
+}
+
+function printEntry(e) {
+  const tag = { CHANGED: "~", UNCHANGED: "=", NEW: "+", ERROR: "✖" }[e.status];
+  console.log(`${tag} ${e.case_id} ${e.status}${e.config_changed ? " (config changed)" : ""}${e.config_changed === null && e.compared_with ? " (unstamped)" : ""}${e.has_payload ? " [has payload]" : ""}`);
+  if (e.status === "ERROR") console.log(`   ${e.error}`);
+  for (const [field, list] of Object.entries(e.changes || {})) {
+    for (const c of list) {
+      const delta = c.delta !== undefined && c.delta !== null ? ` (${c.delta > 0 ? "+" : ""}${c.delta})` : "";
+      console.log(`   ${field}.${c.key}: ${c.before ?? "—"} -> ${c.after ?? "—"}${delta}`);
+    }
+  }
+}
+
+function main() {
+  const storage = require("./storage");
+  const args = process.argv.slice(2);
+  const outArg = argValue(args, "--out");
+  const outDir = outArg ? path.resolve(outArg) : storage.OUT_DIR;
+  const apply = args.includes("--apply");
+  const dirs = { dataDir: storage.DATA_DIR, approvalsDir: storage.APPROVALS_DIR, outDir: storage.OUT_DIR, normsDir: storage.NORMS_DIR };
+
+  const selected = args.filter((a, i) => !a.startsWith("--") && args[i - 1] !== "--out");
+  const caseIds = args.includes("--all") ? listCaseIds(dirs.dataDir) : selected;
+  if (!caseIds.length) {
+    console.error("Usage: node rescore.js <case_id> [...] | --all [--apply] [--out <dir>]");
+    process.exit(1);
+  }
+
+  const cases = [];
+  for (const caseId of caseIds) {
+    try {
+      const { entry, responses, score, draft } = rescoreCase(caseId, { dirs });
+      if (apply) {
+        pipeline.saveScore(responses, score, dirs);
+        pipeline.saveDraft(draft, dirs);
+        entry.applied = true;
+      }
+      cases.push(entry);
+    } catch (e) {
+      cases.push({ case_id: caseId, status: "ERROR", error: `${e.code || "ERROR"}: ${e.message}` });
+    }
+  }
+
+  const count = (s) => cases.filter((c) => c.status === s).length;
+  const report = {
+    generated_at: new Date().toISOString(),
+    mode: apply ? "apply" : "dry_run",
+    summary: { cases: cases.length, changed: count("CHANGED"), unchanged: count("UNCHANGED"), new: count("NEW"), errors: count("ERROR") },
+    cases
+  };
+
+  storage.ensureDir(outDir);
+  const stamp = report.generated_at.replace(/[-:]/g, "").slice(0, 15);
+  const reportPath = path.join(outDir, `rescore_${stamp}.json`);
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2), "utf8");
+
+  for (const e of cases) printEntry(e);
+  const s = report.summary;
+  console.log(`✔ Re-score (${report.mode}): ${s.cases} cases, ${s.changed} changed, ${s.unchanged} unchanged, ${s.new} new, ${s.errors} errors`);
+  console.log("Report:", reportPath);
+  if (!apply && s.changed + s.new > 0) console.log("Run again with --apply to replace the stored score and draft files.");
+}
+
+if (require.main === module) main();
+
+module.exports = { rescoreCase, diffSnapshots, snapshotOfDraft, snapshotOfScore, listCaseIds };
@@ -0,0 +1,146 @@
+/**
+ * LRID response-quality analysis.
+ *
+ * Looks at how a questionnaire was filled in rather than what was answered:
+ *
+ *  - speeding:        whole assessment shorter than instrument.min_expected_seconds
+ *  - fast items:      per-item time_ms below a reading-time estimate derived from
+ *                     the question and option text length
+ *  - straight-lining: long runs of identical item scores over all scored items
+ *                     in question order, within one scale family (1-5 for
+ *                     likert_5 and scored multiple choice, likert_7 apart); a
+ *                     run breaks where the family changes. Raw letters are not
+ *                     compared, since "A" means something different on every
+ *                     item, and items whose options all score alike are skipped
+ *  - low variance:    item scores with (near-)zero standard deviation
+ *
+ * Thresholds live in instrument.response_quality (all optional):
+ *   words_per_minute (300), min_item_ms (1500), fast_item_ratio (0.5),
+ *   fast_items_flag_share (0.25), straight_line_min_run (6),
+ *   low_variance_max_sd (0.5), min_items_for_patterns (8)
+ */
+
+function words(text) {
+  return String(text || "").split(/\s+/).filter(Boolean).length;
+}
+
+/** Minimum plausible time to read a question and its options, in ms. */
+function readingTimeMs(question, settings) {
+  const wpm = Number(settings.words_per_minute ?? 300);
+  const n = words(question.text?.en) + (question.options || []).reduce((sum, o) => sum + words(o.label_en), 0);
+  return Math.max(Number(settings.min_item_ms ?? 1500), Math.round((n / wpm) * 60000));
+}
+
+function sd(nums) {
+  if (nums.length < 2) return null;
+  const m = nums.reduce((a, b) => a + b, 0) / nums.length;
+  return Math.sqrt(nums.reduce((a, b) => a + (b - m) ** 2, 0) / nums.length);
+}
+
+function longestRun(seq) {
+  let best = { length: 0, value: null, question_ids: [] };
+  let cur = { length: 0, value: undefined, question_ids: [] };
+  for (const { question_id, value, scale } of seq) {
+    if (cur.length && String(value) === String(cur.value) && scale === cur.scale) {
+      cur.length++;
+      cur.question_ids.push(question_id);
+    } else {
+      cur = { length: 1, value, scale, question_ids: [question_id] };
+    }
+    if (cur.length > best.length) best = { length: cur.length, value: cur.value, question_ids: [...cur.question_ids] };
+  }
+  return best;
+}
+
+function scaleFamily(type) {
+  return type === "likert_7" ? "likert_7" : "five_point";
+}
+
+/** Multiple-choice items whose options all carry the same score. */
+function uninformativeItems(scoring) {
+  const maps = scoring?.multiple_choice_scores || {};
+  return new Set(Object.keys(maps).filter(id => new Set(Object.values(maps[id])).size <= 1));
+}
+
+/**
+ * responses: canonical responses; itemScores: { question_id: score|null };
+ * scoring: scoring.v1.json (for multiple_choice_scores).
+ * Returns { timing, patterns, flags, notes }.
+ */
+function analyzeResponseQuality(responses, instrument, itemScores = {}, { scoring } = {}) {
+  const settings = instrument.response_quality || {};
+  const uninformative = uninformativeItems(scoring);
+  const bank = instrument.question_bank || [];
+  const byId = {};
+  for (const a of responses.answers || []) byId[a.question_id] = a;
+
+  // Whole-assessment speeding
+  const duration = responses.timing?.duration_seconds ?? null;
+  const minSeconds = Number(instrument.min_expected_seconds || 0);
+  const tooFast = typeof duration === "number" && duration < minSeconds;
+
+  // Per-item reading time
+  const ratio = Number(settings.fast_item_ratio ?? 0.5);
+  const timed = bank.filter(q => typeof byId[q.question_id]?.time_ms === "number");
+  const fast_items = [];
+  for (const q of timed) {
+    const expected = readingTimeMs(q, settings);
+    const t = byId[q.question_id].time_ms;
+    if (t < expected * ratio) fast_items.push({ question_id: q.question_id, time_ms: t, expected_min_ms: expected });
+  }
+  const fastShare = timed.length ? fast_items.length / timed.length : 0;
+  const flagFastItems = timed.length > 0 && fastShare >= Number(settings.fast_items_flag_share ?? 0.25);
+
+  // Patterns over closed items, in instrument order
+  const closed = bank
+    .filter(q => q.type !== "open_text" && byId[q.question_id])
+    .map(q => ({ question_id: q.question_id, value: byId[q.question_id].response }));
+  const minItems = Number(settings.min_items_for_patterns ?? 8);
+  const scored = bank
+    .filter(q => q.type !== "open_text" && byId[q.question_id] && typeof itemScores[q.question_id] === "number")
+    .filter(q => !uninformative.has(q.question_id))
+    .map(q => ({ question_id: q.question_id, value: itemScores[q.question_id], scale: scaleFamily(q.type) }));
+  const run = longestRun(scored);
+  const scores = closed.map(x => itemScores[x.question_id]).filter(n => typeof n === "number");
+  const scoreSd = sd(scores);
+
+  const enough = closed.length >= minItems;
+  const flagStraight = enough && run.length >= Number(settings.straight_line_min_run ?? 6);
+  const flagLowVar = enough && scoreSd !== null && scoreSd <= Number(settings.low_variance_max_sd ?? 0.5);
+
+  const timingNotes = [];
+  if (tooFast) timingNotes.push(`Completed in ${duration}s (expected at least ${minSeconds}s)`);
+  if (flagFastItems) timingNotes.push(`${fast_items.length} of ${timed.length} timed items answered faster than reading time (${fast_items.map(f => f.question_id).join(", ")})`);
+  const patternNotes = [];
+  if (flagStraight) patternNotes.push(`${run.length} identical item scores in a row ("${run.value}": ${run.question_ids.join(", ")})`);
+  if (flagLowVar) patternNotes.push(`Item scores barely vary (SD ${scoreSd.toFixed(2)})`);
+
+  return {
+    timing: {
+      duration_seconds: duration,
+      min_expected_seconds: minSeconds,
+      flag_too_fast: tooFast,
+      items_timed: timed.length,
+      fast_items,
+      flag_fast_items: flagFastItems
+    },
+    patterns: {
+      items_checked: closed.length,
+      scored_items_checked: scored.length,
+      longest_identical_run: run,
+      score_sd: scoreSd === null ? null : Number(scoreSd.toFixed(2)),
+      flag_straight_lining: flagStraight,
+      flag_low_variance: flagLowVar,
+      notes: patternNotes.join(" ")
+    },
+    flags: {
+      too_fast: tooFast,
+      fast_items: flagFastItems,
+      straight_lining: flagStraight,
+      low_variance: flagLowVar
+    },
+    notes: [...timingNotes, ...patternNotes]
+  };
+}
+
+module.exports = { analyzeResponseQuality, readingTimeMs };
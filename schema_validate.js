@@ -0,0 +1,93 @@
+/**
+ * Minimal JSON Schema (draft-07 subset) validator.
+ *
+ * Supports: type (incl. type arrays and "null"), required, properties,
+ * additionalProperties (false or a schema), items, enum, minimum, maximum, minLength, maxLength.
+ * Returns field-level errors: [{ field: "decision.status", message: "..." }].
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+function typeOf(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (typeof v === "number") return Number.isInteger(v) ? "integer" : "number";
+  return typeof v;
+}
+
+function typeMatches(v, expected) {
+  const actual = typeOf(v);
+  if (expected === "number") return actual === "number" || actual === "integer";
+  return actual === expected;
+}
+
+function joinField(base, key) {
+  if (typeof key === "number") return `${base}[${key}]`;
+  return base ? `${base}.${key}` : key;
+}
+
+function validateNode(schema, value, field, errors) {
+  if (!schema || typeof schema !== "object") return;
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => typeMatches(value, t))) {
+      errors.push({ field: field || "(root)", message: `must be ${types.join(" or ")}` });
+      return;
+    }
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    errors.push({ field: field || "(root)", message: `must be one of: ${schema.enum.join(", ")}` });
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ field, message: `must have at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ field, message: `must have at most ${schema.maxLength} characters` });
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => validateNode(schema.items, item, joinField(field, i), errors));
+  }
+
+  if (typeOf(value) === "object") {
+    const props = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ field: joinField(field, key), message: "is required" });
+    }
+    for (const [key, v] of Object.entries(value)) {
+      if (props[key]) validateNode(props[key], v, joinField(field, key), errors);
+      else if (schema.additionalProperties === false) {
+        errors.push({ field: joinField(field, key), message: "is not allowed" });
+      } else if (typeOf(schema.additionalProperties) === "object") {
+        validateNode(schema.additionalProperties, v, joinField(field, key), errors);
+      }
+    }
+  }
+}
+
+function validate(schema, value) {
+  const errors = [];
+  validateNode(schema, value, "", errors);
+  return errors;
+}
+
+function loadSchema(name) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, "schemas", name), "utf8"));
+}
+
+module.exports = { validate, loadSchema };
@@ -1,5 +1,19 @@
 const fs = require("fs");
 const path = require("path");
+const { normalizeResponses } = require("./normalize_responses");
+const { parseFormula, evaluate, dimensionsOf } = require("./index_formula");
+const { evaluateRedFlags } = require("./red_flags");
+const { evaluateConsistency } = require("./consistency");
+const { analyzeResponseQuality } = require("./response_quality");
+const { computeConfidence } = require("./confidence");
+const { loadNormTable, applyNorms } = require("./norms");
+const { classify, riskMax } = require("./bands");
+const { loadConfigs } = require("./provenance");
+const { migrateResponses } = require("./migrations");
+const { summarizeRaters } = require("./multirater");
+const { resolveFlow } = require("./question_flow");
+
+const DEFAULT_DIMENSIONS = ["DI", "RP", "MA", "AC", "PR", "ED"];
 
 function readJson(p) {
   return JSON.parse(fs.readFileSync(p, "utf8"));
@@ -17,37 +31,54 @@ function scoreLikert5(val, reverse = false) {
   return reverse ? (6 - n) : n;
 }
 
-function evaluatePredicate(answer, pred) {
-  // pred supports equals, in, gte_likert
-  if (!answer) return false;
-  const r = answer.response;
-
-  if (pred.equals !== undefined) return String(r) === String(pred.equals);
-  if (pred.in !== undefined) return Array.isArray(pred.in) && pred.in.map(String).includes(String(r));
-
-  if (pred.gte_likert !== undefined) {
-    const n = Number(r);
-    return Number.isFinite(n) && n >= Number(pred.gte_likert);
+function sensitivityOf(tree, dims, scores, weights, value) {
+  const eps = 0.01;
+  const out = {};
+  for (const d of dims) {
+    if (value === null || scores[d] === null) {
+      out[d] = 0;
+      continue;
+    }
+    const bumped = evaluate(tree, { ...scores, [d]: scores[d] + eps }, weights);
+    out[d] = Number(((bumped - value) / eps).toFixed(4));
   }
-
-  return false;
+  return out;
 }
 
-function runScoring({ responsesPath }) {
-  const root = __dirname;
-
-  const instrument = readJson(path.join(root, "schemas", "instrument.v1.json"));
-  const scoring = readJson(path.join(root, "schemas", "scoring.v1.json"));
-  const cc = readJson(path.join(root, "schemas", "consistency.v1.json"));
-
-  const responses = readJson(responsesPath);
-  const answers = Array.isArray(responses.answers) ? responses.answers : [];
-
-  // Map answers by question_id
-  const byId = {};
-  for (const a of answers) byId[a.question_id] = a;
+/**
+ * Aggregate indices from scoring.aggregate_indices.<KEY>.formula.
+ * Returns { aggregate_scores (lowercase keys, 2 dp), aggregate_indices }.
+ */
+function computeIndices(scoring, dimension_scores) {
+  const dimension_weights = scoring.dimension_weights || {};
+  const dims = Object.keys(dimension_weights).length ? Object.keys(dimension_weights) : DEFAULT_DIMENSIONS;
+  const aggregate_scores = {};
+  const aggregate_indices = {};
+  for (const [key, def] of Object.entries(scoring.aggregate_indices || {})) {
+    let tree;
+    try {
+      tree = parseFormula(def.formula, dims);
+    } catch (e) {
+      throw new Error(`Invalid formula for aggregate index ${key}: ${e.message}`);
+    }
+    const used = dimensionsOf(tree);
+    const value = evaluate(tree, dimension_scores, dimension_weights);
+    aggregate_scores[key.toLowerCase()] = value === null ? null : Number(value.toFixed(2));
+    aggregate_indices[key] = {
+      label: def.label || key,
+      formula: def.formula,
+      score: aggregate_scores[key.toLowerCase()],
+      dimensions_used: used.filter(d => dimension_scores[d] !== null),
+      dimensions_excluded: used.filter(d => dimension_scores[d] === null),
+      // d(index)/d(dimension): how much the index moves per point of each dimension
+      sensitivity: sensitivityOf(tree, used, dimension_scores, dimension_weights, value)
+    };
+  }
+  return { aggregate_scores, aggregate_indices };
+}
 
-  // Score each question
+/** Scores every answered instrument question: [{ question_id, dimension, type, response, score, scoring_rule }]. */
+function scoreItems(instrument, scoring, byId) {
   const scored_items = [];
   const reverseSet = new Set(scoring.reverse_scored_question_ids || []);
   const mcScores = scoring.multiple_choice_scores || {};
@@ -57,14 +88,19 @@ function runScoring({ responsesPath }) {
     if (!a) continue;
 
     let s = null;
+    let rule;
 
     if (q.type === "likert_5") {
-      s = scoreLikert5(a.response, reverseSet.has(q.question_id));
+      const reverse = reverseSet.has(q.question_id);
+      s = scoreLikert5(a.response, reverse);
+      rule = { method: "likert_5", reverse_scored: reverse, formula: reverse ? "6 - response" : "response" };
     } else if (q.type === "multiple_choice") {
       const map = mcScores[q.question_id];
       if (map && map[String(a.response)] !== undefined) s = Number(map[String(a.response)]);
+      rule = { method: "multiple_choice_map", option_map: map || null };
     } else if (q.type === "open_text") {
       s = null; // handled narratively / red flags; not scored by default
+      rule = { method: "not_scored" };
     }
 
     scored_items.push({
@@ -72,72 +108,231 @@ function runScoring({ responsesPath }) {
       dimension: q.dimension,
       type: q.type,
       response: a.response,
-      score: s
+      score: s,
+      scoring_rule: rule
     });
   }
+  return scored_items;
+}
+
+/**
+ * Observer (360) submissions -> [{ rater_id, group, items, unmapped }].
+ * Observers answer in the intake format with `rater: { rater_id, group }`.
+ */
+function scoreObservers(observers, { instrument, scoring, questionMap, intakeConfig }) {
+  return (observers || []).map((obs, i) => {
+    const normalized = normalizeResponses(obs, { instrument, questionMap, intakeConfig });
+    if (normalized.errors.length) {
+      return { rater_id: obs?.rater?.rater_id || `#${i + 1}`, group: obs?.rater?.group || null, items: [], error: normalized.errors.map(e => `${e.field} ${e.message}`).join("; ") };
+    }
+    const byId = {};
+    for (const a of normalized.responses.answers) byId[a.question_id] = a;
+    return {
+      rater_id: obs.rater?.rater_id || `#${i + 1}`,
+      group: obs.rater?.group || null,
+      items: scoreItems(instrument, scoring, byId),
+      unmapped: normalized.report.unmapped
+    };
+  });
+}
+
+function resolveNorms(option, config) {
+  if (option === false) return null;
+  const sel = { ...(config || {}), ...(option || {}) };
+  if (!sel.version) return null;
+  const dir = sel.dir || require("./storage").NORMS_DIR;
+  return { table: loadNormTable(dir, sel.version), version: sel.version, group: sel.group || "all" };
+}
+
+// Accepts either a parsed responses object or a path to one.
+// `norms` selects the norm table: { version | "latest", group, dir }, or false
+// to skip; defaults to scoring.v1.json "norms".
+// `observers` are 360 observer submissions for the same subject (optional).
+function runScoring({ responsesPath, responses: responsesObj, norms: normsOption, observers }) {
+  const root = __dirname;
+
+  const configs = loadConfigs(root);
+  const { instrument, scoring, questionMap, intakeConfig, provenance } = configs;
+  const cc = configs.consistency;
+
+  // Every intake shape is mapped onto instrument IDs / types / letters first.
+  const normalized = normalizeResponses(responsesObj || readJson(responsesPath), { instrument, questionMap, intakeConfig });
+  if (normalized.errors.length) {
+    const detail = normalized.errors.map(e => `${e.field} ${e.message}`).join("; ");
+    throw new Error(`Responses could not be normalized: ${detail}`);
+  }
+  // Cases recorded on another instrument version are migrated onto the one
+  // being scored, so v1 and v2 cases share dimensions and scales.
+  let responses = normalized.responses;
+  if (responses.meta.instrument_version !== instrument.instrument_version) {
+    responses = migrateResponses(responses, instrument.instrument_version);
+  }
+  const answers = responses.answers;
+
+  // Map answers by question_id
+  const byId = {};
+  for (const a of answers) byId[a.question_id] = a;
+
+  const scored_items = scoreItems(instrument, scoring, byId);
 
-  // Dimension scores = mean of scored items in that dimension
-  const dims = ["DI", "RP", "MA", "AC", "PR", "ED"];
+  // Dimension scores = mean of scored items in that dimension; dimensions with
+  // fewer than min_items_required scored items are insufficient (null score).
+  const dimension_weights = scoring.dimension_weights || {};
+  const dims = Object.keys(dimension_weights).length ? Object.keys(dimension_weights) : DEFAULT_DIMENSIONS;
+  const minItems = Number(scoring.dimension_aggregation?.min_items_required ?? 1);
   const dimension_scores = {};
-  const dim_items = {};
+  const dimension_status = {};
+  const insufficient_dimensions = [];
 
   for (const d of dims) {
     const items = scored_items.filter(x => x.dimension === d && typeof x.score === "number");
-    dim_items[d] = items;
-    dimension_scores[d] = mean(items.map(x => x.score));
+    const sufficient = items.length >= minItems;
+    dimension_scores[d] = sufficient ? mean(items.map(x => x.score)) : null;
+    dimension_status[d] = { items_scored: items.length, min_items_required: minItems, sufficient };
+    if (!sufficient) {
+      const reason = `${items.length} scored item(s), at least ${minItems} required`;
+      dimension_status[d].reason = reason;
+      insufficient_dimensions.push({ dimension: d, reason });
+    }
   }
 
-  // Aggregate indices
-  const OI = mean([dimension_scores.DI, dimension_scores.RP, dimension_scores.AC]);
-  const HSRI = mean([dimension_scores.DI, dimension_scores.MA, dimension_scores.PR, dimension_scores.ED]);
-
-  // Consistency checks
-  const hits = [];
-  for (const rule of (cc.consistency_checks || [])) {
-    const logic = rule.logic || {};
-    if (logic.type !== "contradiction_pair") continue;
-
-    const ifOk = (logic.if || []).every(p => evaluatePredicate(byId[p.question_id], p));
-    const andOk = (logic.and || []).every(p => evaluatePredicate(byId[p.question_id], p));
-
-    if (ifOk && andOk) {
-      hits.push({
-        cc_id: rule.cc_id,
-        title: rule.title,
-        severity: rule.severity,
-        message: logic.message
-      });
-    }
+  const { aggregate_scores, aggregate_indices } = computeIndices(scoring, dimension_scores);
+
+  // Consistency checks (every rule is reported in `checks`, hits also in `hits`)
+  const itemScores = {};
+  for (const x of scored_items) itemScores[x.question_id] = x.score;
+  const { checks, hits } = evaluateConsistency(cc.consistency_checks, {
+    answers: byId,
+    scores: itemScores,
+    scaleMin: Number(scoring.scale?.likert_5_min ?? 1),
+    scaleMax: Number(scoring.scale?.likert_5_max ?? 5)
+  });
+
+  // Red flags (open-text keyword rules from the instrument)
+  const red_flags = evaluateRedFlags(instrument.red_flag_rules, answers, instrument.red_flag_settings, {
+    language: responses.meta?.language
+  });
+
+  // Response quality (speeding, fast items, straight-lining, low variance)
+  const quality = analyzeResponseQuality(responses, instrument, itemScores, { scoring });
+
+  // Norm comparison (z-scores, percentile ranks)
+  const normSel = resolveNorms(normsOption, scoring.norms);
+  const norms = normSel
+    ? applyNorms(normSel.table, { version: normSel.version, group: normSel.group, respondent: responses.respondent, dimension_scores, aggregate_scores })
+    : { status: "DISABLED" };
+
+  // Bands (scoring.v1.json "bands"; norm-group overrides when norms were applied)
+  const bandCfg = scoring.bands || {};
+  const normGroup = norms.status === "APPLIED" ? norms.group : null;
+  const bands = { norm_group: normGroup, dimensions: {}, indices: {}, risk_zone_max: {} };
+  for (const d of dims) {
+    // Classify the 2-dp score that drafts and reports display.
+    const shown = dimension_scores[d] === null ? null : Number(dimension_scores[d].toFixed(2));
+    bands.dimensions[d] = classify(bandCfg, shown, { kind: "dimension", key: d, normGroup });
+    bands.risk_zone_max[d] = riskMax(bandCfg, { kind: "dimension", key: d, normGroup });
+  }
+  for (const key of Object.keys(scoring.aggregate_indices || {})) {
+    bands.indices[key.toLowerCase()] = classify(bandCfg, aggregate_scores[key.toLowerCase()], { kind: "index", key, normGroup });
   }
 
-  // Confidence score
-  const base = Number(cc.confidence_adjustments?.base_confidence ?? 0.85);
-  const penalty = cc.confidence_adjustments?.per_cc_hit_penalty || { LOW: 0.03, MEDIUM: 0.06, HIGH: 0.10 };
-  const floor = Number(cc.confidence_adjustments?.floor ?? 0.55);
+  // Multi-rater (360): rater-group means and self-other gaps
+  const multi_rater = summarizeRaters(scored_items, scoreObservers(observers, configs), scoring.multi_rater, dims);
 
-  let conf = base;
-  for (const h of hits) conf -= Number(penalty[h.severity] ?? 0.06);
-  conf = Math.max(floor, Number(conf.toFixed(2)));
+  // Completeness and open-text adequacy. Questions skipped by display/branching
+  // conditions are not expected. The instrument's conditions decide, evaluated
+  // on the answers; a recorded question_flow that says otherwise is reported,
+  // never trusted.
+  const hasResponse = (a) => a && a.response !== "" && a.response !== null && a.response !== undefined;
+  const recorded = {};
+  for (const f of responses.question_flow || []) recorded[f.question_id] = f.status;
+  const flow = resolveFlow(instrument.question_bank || [], id => byId[id]?.response ?? null, { idOf: q => q.question_id });
+  const skipped = new Set(flow.filter(f => f.status === "skipped").map(f => f.id));
+  const flow_disagreements = flow.filter(f => recorded[f.id] && recorded[f.id] !== f.status).map(f => f.id);
+  const required = (instrument.question_bank || []).filter(q => q.required !== false && !skipped.has(q.question_id));
+  const missing_question_ids = required.filter(q => !hasResponse(byId[q.question_id])).map(q => q.question_id);
+  const completeness = {
+    expected_questions: required.length,
+    answered_questions: required.length - missing_question_ids.length,
+    missing_question_ids,
+    skipped_question_ids: (instrument.question_bank || []).filter(q => skipped.has(q.question_id)).map(q => q.question_id),
+    flow_disagreements
+  };
+  const short_open_text = (instrument.question_bank || [])
+    .filter(q => q.type === "open_text" && q.min_chars && hasResponse(byId[q.question_id]))
+    .map(q => ({ question_id: q.question_id, length: String(byId[q.question_id].response).trim().length, min_chars: q.min_chars }))
+    .filter(x => x.length < x.min_chars);
 
-  const level = conf >= 0.8 ? "HIGH" : (conf >= 0.65 ? "MEDIUM" : "LOW");
+  // Confidence (multi-factor, weights in consistency.v1.json confidence_adjustments)
+  const confidence = computeConfidence(
+    { hits, completeness, quality, openText: short_open_text, redFlags: red_flags.items },
+    cc.confidence_adjustments
+  );
 
   return {
+    provenance: { ...provenance, norm_version: norms.norm_version ?? null, scored_at: new Date().toISOString() },
+    normalization: {
+      source_format: normalized.report.source_format,
+      mapped: normalized.report.mapped,
+      unmapped: normalized.report.unmapped,
+      warnings: normalized.report.warnings
+    },
     scoring: {
       dimension_scores,
-      aggregate_scores: {
-        oi: OI ? Number(OI.toFixed(2)) : null,
-        hsri: HSRI ? Number(HSRI.toFixed(2)) : null
-      },
-      scored_items
+      dimension_status,
+      insufficient_dimensions,
+      aggregate_scores,
+      aggregate_indices,
+      scored_items,
+      norms,
+      bands
     },
+    responses,
+    completeness,
+    short_open_text,
+    red_flags,
+    quality,
+    multi_rater,
     consistency: {
       hits,
-      confidence: {
-        score: conf,
-        level
-      }
+      checks,
+      confidence
     }
   };
 }
 
-module.exports = { runScoring };
+function diffScoreMaps(a, b) {
+  const out = {};
+  for (const k of new Set([...Object.keys(a || {}), ...Object.keys(b || {})])) {
+    const x = typeof a?.[k] === "number" ? Number(a[k].toFixed(2)) : null;
+    const y = typeof b?.[k] === "number" ? Number(b[k].toFixed(2)) : null;
+    out[k] = { a: x, b: y, delta: x !== null && y !== null ? Number((y - x).toFixed(2)) : null };
+  }
+  return out;
+}
+
+/**
+ * Scores two cases (possibly on different instrument versions) on the current
+ * instrument and returns their dimension and index scores side by side.
+ */
+function compareCases(responsesA, responsesB) {
+  const summary = (r) => {
+    const meta = r.responses.meta;
+    return {
+      case_id: meta.case_id,
+      recorded_version: meta.migrations?.[0]?.from_version || meta.instrument_version,
+      migrations: meta.migrations || []
+    };
+  };
+  const a = runScoring({ responses: responsesA, norms: false });
+  const b = runScoring({ responses: responsesB, norms: false });
+  return {
+    instrument_version: a.responses.meta.instrument_version,
+    a: summary(a),
+    b: summary(b),
+    dimensions: diffScoreMaps(a.scoring.dimension_scores, b.scoring.dimension_scores),
+    indices: diffScoreMaps(a.scoring.aggregate_scores, b.scoring.aggregate_scores)
+  };
+}
+
+module.exports = { runScoring, compareCases, computeIndices };
@@ -1,7 +1,12 @@
 const express = require("express");
 const fs = require("fs");
 const path = require("path");
-const { execSync } = require("child_process");
+const storage = require("./storage");
+const sessions = require("./sessions");
+const pipeline = require("./pipeline");
+const whatif = require("./whatif");
+const subjects = require("./subjects");
+const cohorts = require("./cohorts");
 
 const app = express();
 app.use(express.json({ limit: "10mb" }));
@@ -18,14 +23,10 @@ app.use((req, res, next) => {
 const HOST = "0.0.0.0";
 const PORT = Number(process.env.PORT || 3000);
 
-const STORAGE_ROOT =
-  process.env.STORAGE_ROOT ||
-  process.env.RAILWAY_VOLUME_MOUNT_PATH ||
-  (fs.existsSync("/data") ? "/data" : __dirname);
+// Same folders as the CLI commands (storage.js resolves them for both).
+const { STORAGE_ROOT, DATA_DIR, APPROVALS_DIR, OUT_DIR, SESSIONS_DIR, NORMS_DIR } = storage;
 
-const DATA_DIR = process.env.DATA_DIR || path.join(STORAGE_ROOT, "data");
-const APPROVALS_DIR = process.env.APPROVALS_DIR || path.join(STORAGE_ROOT, "approvals");
-const OUT_DIR = process.env.OUT_DIR || path.join(STORAGE_ROOT, "out");
+const PIPELINE_DIRS = { dataDir: DATA_DIR, approvalsDir: APPROVALS_DIR, outDir: OUT_DIR, normsDir: NORMS_DIR };
 
 const WEB_DIR = path.join(__dirname, "web");
 const CONFIG_DIR = path.join(__dirname, "config");
@@ -40,20 +41,6 @@ function writeJSON(p, data) {
   ensureDir(path.dirname(p));
   fs.writeFileSync(p, JSON.stringify(data, null, 2), "utf8");
 }
-function safeExec(cmd) {
-  try {
-    return execSync(cmd, {
-      cwd: __dirname,
-      stdio: "pipe",
-      env: { ...process.env, STORAGE_ROOT, DATA_DIR, APPROVALS_DIR, OUT_DIR }
-    }).toString("utf8");
-  } catch (e) {
-    const out =
-      (e.stdout ? e.stdout.toString("utf8") : "") +
-      (e.stderr ? e.stderr.toString("utf8") : "");
-    throw new Error(out || e.message);
-  }
-}
 function isSafeFilename(name) {
   return (
     typeof name === "string" &&
@@ -68,9 +55,12 @@ function listFilesSorted(dir, prefix) {
   return fs
     .readdirSync(dir)
     .filter((f) => (prefix ? f.startsWith(prefix) : true))
-    .map((f) => ({ file: f, mtime: fs.statSync(path.join(dir, f)).mtime.getTime() }))
-    .sort((a, b) => b.mtime - a.mtime)
-    .map((x) => x.file);
+    .map((f) => {
+      const st = fs.statSync(path.join(dir, f));
+      return { name: f, mtime: st.mtime.toISOString(), size: st.size, t: st.mtime.getTime() };
+    })
+    .sort((a, b) => b.t - a.t)
+    .map(({ t, ...info }) => info);
 }
 function listFoldersSorted(dir, prefix) {
   if (!fs.existsSync(dir)) return [];
@@ -84,14 +74,27 @@ function listFoldersSorted(dir, prefix) {
     .sort((a, b) => b.mtime - a.mtime)
     .map((x) => x.folder);
 }
-function caseIdFromDraftFilename(draftFile) {
-  if (!draftFile.startsWith("draft_") || !draftFile.endsWith(".json")) return null;
-  return draftFile.replace(/^draft_/, "").replace(/\.json$/, "");
+function caseIdFromApprovalFilename(approvalFile) {
+  const m = String(approvalFile).match(/^approval_(.+)\.json$/);
+  return m ? m[1] : null;
+}
+function reportLinks(outFolder) {
+  const links = {
+    executive: `/out/${outFolder}/executive.pdf`,
+    hr: `/out/${outFolder}/hr.pdf`,
+    academic: `/out/${outFolder}/academic.pdf`
+  };
+  // Only rendered once the subject has been retested.
+  if (fs.existsSync(path.join(OUT_DIR, outFolder, "progress.pdf"))) links.progress = `/out/${outFolder}/progress.pdf`;
+  return links;
 }
 
-ensureDir(DATA_DIR);
-ensureDir(APPROVALS_DIR);
-ensureDir(OUT_DIR);
+// Links a new case to its subject: the explicit subject_id, else by respondent email.
+function linkSubject(caseId, submission) {
+  const email = submission?.respondent?.email;
+  if (!submission?.subject_id && !email) return null;
+  return subjects.linkCase(DATA_DIR, caseId, { subjectId: submission.subject_id, email }).subject_id;
+}
 
 app.use(express.static(WEB_DIR));
 app.use("/config", express.static(CONFIG_DIR));
@@ -105,7 +108,7 @@ app.get("/api/health", (req, res) => {
     time: new Date().toISOString(),
     envPort: process.env.PORT || null,
     listenPort: PORT,
-    paths: { STORAGE_ROOT, DATA_DIR, APPROVALS_DIR, OUT_DIR }
+    paths: { STORAGE_ROOT, DATA_DIR, APPROVALS_DIR, OUT_DIR, SESSIONS_DIR, NORMS_DIR }
   });
 });
 
@@ -114,6 +117,7 @@ app.get("/api/list", (req, res) => {
     const responses = listFilesSorted(DATA_DIR, "responses_");
     const drafts = listFilesSorted(DATA_DIR, "draft_");
     const approvals = listFilesSorted(APPROVALS_DIR, "approval_");
+    const payloads = listFilesSorted(DATA_DIR, "payload_");
     const outFolders = listFoldersSorted(OUT_DIR, "case_");
     res.json({
       ok: true,
@@ -121,8 +125,8 @@ app.get("/api/list", (req, res) => {
         responses,
         drafts,
         approvals,
-        outFolders,
-        hasPayload: fs.existsSync(path.join(DATA_DIR, "payload.json"))
+        payloads,
+        outFolders
       }
     });
   } catch (e) {
@@ -136,20 +140,201 @@ app.post("/api/intake/submit", (req, res) => {
     if (!submission || typeof submission !== "object") {
       return res.status(400).json({ ok: false, error: "Missing submission body" });
     }
-    if (!submission.case_id || typeof submission.case_id !== "string") {
-      return res.status(400).json({ ok: false, error: "Missing case_id" });
+    if (!sessions.isValidCaseId(submission.case_id)) {
+      return res.status(400).json({ ok: false, error: "Missing or invalid case_id (expected LRID-YYYYMMDD-NNNN)" });
+    }
+    if (submission.subject_id && !subjects.hasSubject(subjects.loadRegistry(DATA_DIR), submission.subject_id)) {
+      return res.status(400).json({ ok: false, error: "Unknown subject_id" });
     }
 
     const outFile = `responses_${submission.case_id}.json`;
     const outPath = path.join(DATA_DIR, outFile);
     writeJSON(outPath, submission);
 
-    return res.json({ ok: true, savedTo: outPath });
+    if (typeof submission.cohort === "string" && submission.cohort.trim()) {
+      cohorts.tagCase(DATA_DIR, submission.case_id, submission.cohort);
+    }
+
+    return res.json({ ok: true, savedTo: outPath, subject_id: linkSubject(submission.case_id, submission) });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// 360 observer answers for a subject's case. Each observer needs a single-use
+// invite token issued from the review panel. Raters stay anonymous: the server
+// assigns the rater id, takes the group from the invite and stores no name or email.
+app.post("/api/observer/invite", (req, res) => {
+  try {
+    const { case_id, group } = req.body || {};
+    const count = Number(req.body?.count ?? 1);
+    if (!case_id || typeof case_id !== "string" || !isSafeFilename(`invites_${case_id}.json`)) {
+      return res.status(400).json({ ok: false, error: "Missing or invalid case_id" });
+    }
+    if (!fs.existsSync(path.join(DATA_DIR, `responses_${case_id}.json`))) {
+      return res.status(404).json({ ok: false, error: "Case not found" });
+    }
+    const groups = readJSON(path.join(__dirname, "schemas", "scoring.v1.json")).multi_rater?.rater_groups || {};
+    if (typeof group !== "string" || !Object.hasOwn(groups, group)) {
+      return res.status(400).json({ ok: false, error: `Invalid rater group (use ${Object.keys(groups).join(", ")})` });
+    }
+    if (!Number.isInteger(count) || count < 1 || count > 50) {
+      return res.status(400).json({ ok: false, error: "count must be an integer from 1 to 50" });
+    }
+
+    const tokens = pipeline.createObserverInvites(case_id, group, count, PIPELINE_DIRS);
+    const link = (t) => `/?observer=${encodeURIComponent(case_id)}&group=${encodeURIComponent(group)}&token=${encodeURIComponent(t)}`;
+    return res.json({ ok: true, case_id, group, links: tokens.map(link) });
   } catch (e) {
     return res.status(500).json({ ok: false, error: e.message });
   }
 });
 
+app.post("/api/observer/submit", (req, res) => {
+  try {
+    const submission = req.body;
+    if (!submission || typeof submission !== "object") {
+      return res.status(400).json({ ok: false, error: "Missing submission body" });
+    }
+    const caseId = submission.case_id;
+    if (!caseId || typeof caseId !== "string" || !isSafeFilename(`observer_${caseId}.json`)) {
+      return res.status(400).json({ ok: false, error: "Missing or invalid case_id" });
+    }
+    if (!fs.existsSync(path.join(DATA_DIR, `responses_${caseId}.json`))) {
+      return res.status(404).json({ ok: false, error: "Case not found" });
+    }
+
+    const savedTo = pipeline.submitObserver(submission, submission.invite_token, PIPELINE_DIRS);
+    return res.json({ ok: true, file: path.basename(savedTo) });
+  } catch (e) {
+    const status = { INVITE_REQUIRED: 401, INVITE_INVALID: 403, INVITE_USED: 409, INVALID_OBSERVER: 400 }[e.code] || 500;
+    return res.status(status).json({ ok: false, error: e.message, code: e.code || null });
+  }
+});
+
+app.post("/api/session/start", (req, res) => {
+  try {
+    const body = req.body || {};
+    const session = sessions.createSession(SESSIONS_DIR, {
+      source: typeof body.source === "string" ? body.source : null,
+      productId: typeof body.productId === "string" ? body.productId : null,
+      email: typeof body.email === "string" ? body.email : null
+    });
+    res.json({ ok: true, sessionId: session.sessionId, url: `/q/${session.sessionId}` });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.get("/api/session/:id/next", (req, res) => {
+  try {
+    if (!sessions.isValidSessionId(req.params.id)) {
+      return res.status(400).json({ ok: false, error: "Invalid session id" });
+    }
+    const session = sessions.loadSession(SESSIONS_DIR, req.params.id);
+    if (!session) return res.status(404).json({ ok: false, error: "Session not found" });
+
+    res.json({ ok: true, ...sessions.nextQuestion(session) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.post("/api/session/:id/answer", (req, res) => {
+  try {
+    if (!sessions.isValidSessionId(req.params.id)) {
+      return res.status(400).json({ ok: false, error: "Invalid session id" });
+    }
+    const session = sessions.loadSession(SESSIONS_DIR, req.params.id);
+    if (!session) return res.status(404).json({ ok: false, error: "Session not found" });
+
+    try {
+      sessions.recordAnswer(session, req.body || {});
+    } catch (e) {
+      return res.status(400).json({ ok: false, error: e.message });
+    }
+    sessions.saveSession(SESSIONS_DIR, session);
+
+    res.json({ ok: true, progress: session.progress });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.post("/api/session/:id/complete", async (req, res) => {
+  try {
+    if (!sessions.isValidSessionId(req.params.id)) {
+      return res.status(400).json({ ok: false, error: "Invalid session id" });
+    }
+    const session = sessions.loadSession(SESSIONS_DIR, req.params.id);
+    if (!session) return res.status(404).json({ ok: false, error: "Session not found" });
+    if (!sessions.nextQuestion(session).done) {
+      return res.status(400).json({ ok: false, error: "Session has unanswered questions" });
+    }
+
+    if (!session.caseId) {
+      session.caseId = sessions.makeCaseId();
+      session.completedAt = new Date().toISOString();
+      sessions.saveSession(SESSIONS_DIR, session);
+    }
+
+    const responsesFile = `responses_${session.caseId}.json`;
+    const responsesPath = path.join(DATA_DIR, responsesFile);
+    const responses = sessions.sessionToResponses(session, session.caseId);
+    writeJSON(responsesPath, responses);
+    linkSubject(session.caseId, responses);
+
+    const result = await pipeline.runCase(responsesPath, { dirs: PIPELINE_DIRS });
+
+    res.json({
+      ok: true,
+      caseId: session.caseId,
+      responsesFile,
+      draftFile: result.draftFile,
+      outFolder: result.outFolder,
+      links: reportLinks(result.outFolder)
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message, stage: e.stage || null });
+  }
+});
+
+app.post("/api/run-full-pipeline", async (req, res) => {
+  const t0 = Date.now();
+  const elapsed = () => Number(((Date.now() - t0) / 1000).toFixed(2));
+  try {
+    const { responses_file } = req.body || {};
+    if (!responses_file || !isSafeFilename(responses_file) || !responses_file.startsWith("responses_")) {
+      return res.status(400).json({ ok: false, error: "Invalid responses_file" });
+    }
+
+    const result = await pipeline.runCase(path.join(DATA_DIR, responses_file), { dirs: PIPELINE_DIRS });
+
+    res.json({
+      ok: true,
+      case_id: result.caseId,
+      draft_file: result.draftFile,
+      out_dir: result.outFolder,
+      links: result.outFolder ? reportLinks(result.outFolder) : {},
+      awaiting_review: result.awaitingReview,
+      stages: result.stages,
+      elapsed_seconds: elapsed(),
+      console_output: result.log
+    });
+  } catch (e) {
+    const status = { RESPONSES_NOT_FOUND: 404, MISSING_CASE_ID: 422, INVALID_CASE_ID: 422, INVALID_RESPONSES: 422, INVALID_APPROVAL: 422 }[e.code] || 500;
+    res.status(status).json({
+      ok: false,
+      error: e.message,
+      code: e.code || null,
+      failed_stage: e.stage || null,
+      stages: e.stages || [],
+      elapsed_seconds: elapsed(),
+      console_output: e.log || ""
+    });
+  }
+});
+
 app.get("/api/draft/read", (req, res) => {
   try {
     const file = req.query.file;
@@ -173,17 +358,57 @@ app.post("/api/approval/template", (req, res) => {
     const draftPath = path.join(DATA_DIR, draft_file);
     if (!fs.existsSync(draftPath)) return res.status(404).json({ ok: false, error: "Draft not found" });
 
-    const output = safeExec(`node approve_case.js "${draftPath}" --auto`);
-    const caseId = caseIdFromDraftFilename(draft_file);
-    const approvalFile = caseId ? `approval_${caseId}.json` : "approval_UNKNOWN_CASE.json";
+    const draft = pipeline.loadDraft(draftPath);
+    const caseId = pipeline.caseIdOfDraft(draft, draftPath);
+    const result = pipeline.ensureApproval(draft, { caseId, dirs: PIPELINE_DIRS });
+    const approvalFile = path.basename(result.path);
+    const output = result.created
+      ? `✔ Created approval template: ${result.path}`
+      : `✔ Approval already exists: ${result.path}`;
 
-    res.json({ ok: true, output, approvalFile });
+    res.json({ ok: true, output, approvalFile, created: result.created });
+  } catch (e) {
+    const status = e.code === "INVALID_APPROVAL" || e.code === "INVALID_CASE_ID" ? 422 : 500;
+    res.status(status).json({ ok: false, error: e.message, code: e.code || null, errors: e.details || undefined });
+  }
+});
+
+app.get("/api/approval/get", (req, res) => {
+  try {
+    const file = req.query.file;
+    if (!file || !isSafeFilename(file) || !caseIdFromApprovalFilename(file)) {
+      return res.status(400).json({ ok: false, error: "Invalid file" });
+    }
+    const p = path.join(APPROVALS_DIR, file);
+    if (!fs.existsSync(p)) return res.status(404).json({ ok: false, error: "Approval not found" });
+    res.json({ ok: true, file, approval: readJSON(p) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.post("/api/approval/save", (req, res) => {
+  try {
+    const { file, approval } = req.body || {};
+    const caseId = file && isSafeFilename(file) ? caseIdFromApprovalFilename(file) : null;
+    if (!caseId) {
+      return res.status(400).json({ ok: false, error: "Invalid file" });
+    }
+
+    const errors = pipeline.validateApproval(approval, caseId);
+    if (errors.length) {
+      return res.status(400).json({ ok: false, error: "Approval failed validation", errors });
+    }
+
+    const p = path.join(APPROVALS_DIR, file);
+    writeJSON(p, approval);
+    res.json({ ok: true, file, savedTo: p });
   } catch (e) {
     res.status(500).json({ ok: false, error: e.message });
   }
 });
 
-app.post("/api/approval/finalize", (req, res) => {
+app.post("/api/approval/finalize", async (req, res) => {
   try {
     const { draft_file } = req.body;
     if (!draft_file || !isSafeFilename(draft_file)) {
@@ -192,36 +417,162 @@ app.post("/api/approval/finalize", (req, res) => {
     const draftPath = path.join(DATA_DIR, draft_file);
     if (!fs.existsSync(draftPath)) return res.status(404).json({ ok: false, error: "Draft not found" });
 
-    const approvalOutput = safeExec(`node approve_case.js "${draftPath}"`);
-    const payloadPath = path.join(DATA_DIR, "payload.json");
-    if (!fs.existsSync(payloadPath)) {
-      throw new Error(`payload.json not found at ${payloadPath}`);
-    }
+    const draft = pipeline.loadDraft(draftPath);
+    const caseId = pipeline.caseIdOfDraft(draft, draftPath);
 
-    const pdfOutput = safeExec("node index.js");
-    const outFolders = listFoldersSorted(OUT_DIR, "case_");
-    const latestOut = outFolders[0] || null;
+    let result;
+    try {
+      result = await pipeline.finalizeCase(draft, { caseId, dirs: PIPELINE_DIRS });
+    } catch (e) {
+      if (e.code === "DEBRIEF_NO_PAYLOAD") {
+        return res.status(409).json({ ok: false, error: e.message, code: e.code });
+      }
+      if (e.code === "INVALID_ADJUSTMENT") {
+        return res.status(400).json({ ok: false, error: e.message, code: e.code });
+      }
+      if (e.code === "INVALID_APPROVAL" || e.code === "INVALID_CASE_ID") {
+        return res.status(422).json({ ok: false, error: e.message, code: e.code, errors: e.details });
+      }
+      throw e;
+    }
 
     res.json({
       ok: true,
-      approvalOutput,
-      pdfOutput,
-      latestOut,
-      links: latestOut
-        ? {
-            executive: `/out/${latestOut}/executive.pdf`,
-            hr: `/out/${latestOut}/hr.pdf`,
-            academic: `/out/${latestOut}/academic.pdf`
-          }
-        : null
+      case_id: caseId,
+      payload_file: path.basename(result.payloadPath),
+      out_dir: result.outFolder,
+      latestOut: result.outFolder,
+      links: reportLinks(result.outFolder)
     });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message, code: e.code || null });
+  }
+});
+
+// What-if: re-score a stored case in memory with hypothetical answers.
+app.post("/api/whatif", (req, res) => {
+  try {
+    const { case_id, changes } = req.body || {};
+    if (!case_id || !isSafeFilename(`responses_${case_id}.json`)) {
+      return res.status(400).json({ ok: false, error: "Invalid case_id" });
+    }
+    res.json({ ok: true, ...whatif.simulateCase(case_id, changes || {}, { dirs: PIPELINE_DIRS }) });
+  } catch (e) {
+    const status = { RESPONSES_NOT_FOUND: 404, INVALID_CHANGES: 400, INVALID_RESPONSES: 422 }[e.code] || 500;
+    res.status(status).json({ ok: false, error: e.message, code: e.code || null, errors: e.details || undefined });
+  }
+});
+
+// Subjects: pseudonymous IDs linking retests of the same person.
+app.get("/api/subjects", (req, res) => {
+  try {
+    res.json({ ok: true, subjects: subjects.listSubjects(DATA_DIR) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.post("/api/subjects/link", (req, res) => {
+  try {
+    const { case_id, subject_id, email } = req.body || {};
+    if (!case_id || !isSafeFilename(`responses_${case_id}.json`) || !fs.existsSync(path.join(DATA_DIR, `responses_${case_id}.json`))) {
+      return res.status(404).json({ ok: false, error: "Case not found" });
+    }
+    try {
+      res.json({ ok: true, case_id, ...subjects.linkCase(DATA_DIR, case_id, { subjectId: subject_id, email }) });
+    } catch (e) {
+      res.status(400).json({ ok: false, error: e.message });
+    }
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.get("/api/subjects/:id/trend", (req, res) => {
+  try {
+    const trend = subjects.subjectTrend(req.params.id, { dataDir: DATA_DIR, normsDir: NORMS_DIR });
+    if (!trend) return res.status(404).json({ ok: false, error: "Subject not found" });
+    res.json({ ok: true, trend });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.post("/api/subjects/:id/progress-report", async (req, res) => {
+  try {
+    const result = await pipeline.renderProgressReport(req.params.id, PIPELINE_DIRS);
+    res.json({ ok: true, subject_id: req.params.id, outFolder: result.outFolder, links: { progress: `/out/${result.outFolder}/progress.pdf` } });
+  } catch (e) {
+    const status = e.code === "SUBJECT_NOT_FOUND" ? 404 : e.code === "NO_SCORED_CASES" ? 409 : 500;
+    res.status(status).json({ ok: false, error: e.message, code: e.code || null });
+  }
+});
+
+// Cohorts: aggregates per organization or cohort tag; small groups are never reported.
+app.get("/api/cohorts", (req, res) => {
+  try {
+    res.json({ ok: true, ...cohorts.listCohorts({ dataDir: DATA_DIR }) });
   } catch (e) {
     res.status(500).json({ ok: false, error: e.message });
   }
 });
 
+app.post("/api/cohorts/tag", (req, res) => {
+  try {
+    const { case_id, cohort } = req.body || {};
+    if (!case_id || !isSafeFilename(`responses_${case_id}.json`) || !fs.existsSync(path.join(DATA_DIR, `responses_${case_id}.json`))) {
+      return res.status(404).json({ ok: false, error: "Case not found" });
+    }
+    if (typeof cohort !== "string" || !cohort.trim()) {
+      return res.status(400).json({ ok: false, error: "Missing cohort" });
+    }
+    res.json({ ok: true, case_id, ...cohorts.tagCase(DATA_DIR, case_id, cohort) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Preview only: nothing is recorded until the report is released as a PDF.
+app.get("/api/cohorts/:by/:key", (req, res) => {
+  try {
+    if (!cohorts.GROUP_BY.includes(req.params.by)) {
+      return res.status(400).json({ ok: false, error: `Group by must be one of ${cohorts.GROUP_BY.join(", ")}` });
+    }
+    const report = cohorts.cohortReport(req.params.by, req.params.key, { dataDir: DATA_DIR });
+    if (!report) return res.status(404).json({ ok: false, error: "Group not found" });
+    res.json({ ok: true, report });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.post("/api/cohorts/:by/:key/report", async (req, res) => {
+  try {
+    const result = await pipeline.renderCohortReport(req.params.by, req.params.key, PIPELINE_DIRS);
+    res.json({ ok: true, outFolder: result.outFolder, links: { cohort: `/out/${result.outFolder}/cohort.pdf` } });
+  } catch (e) {
+    const status = { INVALID_GROUP: 400, COHORT_NOT_FOUND: 404, COHORT_TOO_SMALL: 409 }[e.code] || 500;
+    res.status(status).json({ ok: false, error: e.message, code: e.code || null });
+  }
+});
+
 app.get("/", (req, res) => res.sendFile(path.join(WEB_DIR, "index.html")));
+// Display/branching conditions, shared by the intake form and the session API.
+app.get("/question_flow.js", (req, res) => res.sendFile(path.join(__dirname, "question_flow.js")));
 app.get("/review", (req, res) => res.sendFile(path.join(WEB_DIR, "review.html")));
+app.get("/q/:sessionId", (req, res) => res.sendFile(path.join(WEB_DIR, "questionnaire.html")));
+app.get("/start", (req, res) => {
+  try {
+    const session = sessions.createSession(SESSIONS_DIR, {
+      source: typeof req.query.source === "string" ? req.query.source : null,
+      productId: typeof req.query.productId === "string" ? req.query.productId : null,
+      email: typeof req.query.email === "string" ? req.query.email : null
+    });
+    res.redirect(`/q/${session.sessionId}`);
+  } catch (e) {
+    res.status(500).send(e.message);
+  }
+});
 
 app.listen(PORT, HOST, () => {
   console.log("✔ LRID™ Server running");
@@ -230,10 +581,12 @@ app.listen(PORT, HOST, () => {
   console.log(`- ENV PORT:     ${process.env.PORT || "(not set)"}`);
   console.log(`- Intake:       /`);
   console.log(`- Review Panel: /review`);
+  console.log(`- Questionnaire:/start`);
   console.log(`- Health:       /api/health`);
   console.log(`- Ping:         /_ping`);
   console.log(`- STORAGE_ROOT: ${STORAGE_ROOT}`);
   console.log(`- DATA_DIR:     ${DATA_DIR}`);
   console.log(`- APPROVALS_DIR:${APPROVALS_DIR}`);
   console.log(`- OUT_DIR:      ${OUT_DIR}`);
+  console.log(`- SESSIONS_DIR: ${SESSIONS_DIR}`);
 });
@@ -0,0 +1,295 @@
+/**
+ * LRID one-question-at-a-time sessions.
+ *
+ * A session is stored as <SESSIONS_DIR>/sess_<id>.json and holds the
+ * respondent's progress through config/questions.lrid.v1.json. On completion
+ * it is converted into the same responses_<case_id>.json shape the intake
+ * form submits, so the rest of the pipeline does not care where answers came from.
+ *
+ * Questions whose display or branching conditions (question_flow.js) are not
+ * met are skipped; the export records every question as shown or skipped.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { resolveFlow } = require("./question_flow");
+
+const QUESTIONS_PATH = path.join(__dirname, "config", "questions.lrid.v1.json");
+
+const SCALE_LABELS = {
+  1: "Very low",
+  2: "Low",
+  3: "Moderate",
+  4: "High",
+  5: "Very high"
+};
+
+function readJSON(p) {
+  return JSON.parse(fs.readFileSync(p, "utf8"));
+}
+function writeJSON(p, data) {
+  if (!fs.existsSync(path.dirname(p))) fs.mkdirSync(path.dirname(p), { recursive: true });
+  fs.writeFileSync(p, JSON.stringify(data, null, 2), "utf8");
+}
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function isValidSessionId(id) {
+  return typeof id === "string" && /^sess_[a-f0-9]{16,64}$/.test(id);
+}
+
+/** Case ids as issued by makeCaseId: LRID-YYYYMMDD-NNNN. */
+function isValidCaseId(id) {
+  return typeof id === "string" && /^LRID-\d{8}-\d{4}$/.test(id);
+}
+
+function sessionPath(dir, sessionId) {
+  if (!isValidSessionId(sessionId)) throw new Error("Invalid session id");
+  return path.join(dir, `${sessionId}.json`);
+}
+
+function loadQuestionConfig() {
+  return readJSON(QUESTIONS_PATH);
+}
+
+function flattenQuestions(config) {
+  const all = [];
+  (config.dimensions || []).forEach((dim) => {
+    (dim.questions || []).forEach((q) => {
+      all.push({ ...q, dimension_id: dim.id, dimension_name: dim.name });
+    });
+  });
+  return all;
+}
+
+// Scale questions are rendered by the questionnaire as options, so we expand them here.
+function optionsFor(q) {
+  if (q.type === "scale") {
+    const min = q.scale?.min ?? 1;
+    const max = q.scale?.max ?? 5;
+    const out = [];
+    for (let v = min; v <= max; v++) {
+      out.push({ label: SCALE_LABELS[v] ? `${v} — ${SCALE_LABELS[v]}` : String(v), score: v });
+    }
+    return out;
+  }
+  return Array.isArray(q.options) ? q.options : [];
+}
+
+function toClientQuestion(q) {
+  const out = {
+    id: q.id,
+    type: q.type,
+    text: q.text || "",
+    dimensionId: q.dimension_id,
+    dimensionName: q.dimension_name,
+    time_limit_seconds: q.time_limit_seconds || null
+  };
+  if (q.type === "open_text") {
+    out.min_chars = typeof q.min_chars === "number" ? q.min_chars : 15;
+  } else {
+    out.options = optionsFor(q);
+  }
+  return out;
+}
+
+// The answer as the intake form records it: option index, scale value or text.
+function answerValue(q, r) {
+  if (!q || !r) return null;
+  if (q.type === "open_text") return r.text ?? null;
+  if (q.type === "scale") return r.valueScore ?? null;
+  if (typeof r.optionIndex === "number") return r.optionIndex;
+  // Sessions written before optionIndex was stored only carry the label.
+  const idx = optionsFor(q).findIndex((o) => o.label === r.optionLabel);
+  return idx >= 0 ? idx : null;
+}
+
+// Shown/skipped status of every question given the answers so far.
+function flowOf(session, questions) {
+  const byId = {};
+  for (const r of session.responses || []) byId[r.questionId] = r;
+  const qById = {};
+  for (const q of questions) qById[q.id] = q;
+  return resolveFlow(questions, (id) => answerValue(qById[id], byId[id]));
+}
+
+// Index of the question to ask: the first shown question from currentIndex on.
+function currentIndexOf(session, questions, flow) {
+  let idx = session.progress?.currentIndex || 0;
+  while (idx < questions.length && flow[idx].status === "skipped") idx++;
+  return idx;
+}
+
+function shownCount(flow, upTo = flow.length) {
+  return flow.slice(0, upTo).filter((f) => f.status === "shown").length;
+}
+
+function createSession(dir, { source, productId, email } = {}) {
+  const questions = flattenQuestions(loadQuestionConfig());
+  const ts = nowIso();
+  const session = {
+    sessionId: `sess_${crypto.randomBytes(16).toString("hex")}`,
+    source: source || "direct",
+    productId: productId || null,
+    email: email || null,
+    startedAt: ts,
+    completedAt: null,
+    lastUpdatedAt: ts,
+    progress: {
+      currentIndex: 0,
+      totalQuestions: shownCount(resolveFlow(questions, () => null))
+    },
+    responses: []
+  };
+  writeJSON(sessionPath(dir, session.sessionId), session);
+  return session;
+}
+
+function loadSession(dir, sessionId) {
+  const p = sessionPath(dir, sessionId);
+  if (!fs.existsSync(p)) return null;
+  return readJSON(p);
+}
+
+function saveSession(dir, session) {
+  session.lastUpdatedAt = nowIso();
+  writeJSON(sessionPath(dir, session.sessionId), session);
+  return session;
+}
+
+// Returns { done: true } or { done: false, question, progress } for the session's current index.
+// Totals count shown questions only, so they grow when a follow-up is triggered.
+function nextQuestion(session) {
+  const questions = flattenQuestions(loadQuestionConfig());
+  const flow = flowOf(session, questions);
+  const idx = currentIndexOf(session, questions, flow);
+  const total = shownCount(flow);
+
+  if (idx >= questions.length) {
+    return { done: true, progress: { index: total, total } };
+  }
+
+  return {
+    done: false,
+    question: toClientQuestion(questions[idx]),
+    progress: { index: shownCount(flow, idx) + 1, total }
+  };
+}
+
+/**
+ * Records the answer for the current question and advances progress.
+ * Throws when the answer does not belong to the question being asked.
+ */
+function recordAnswer(session, { questionId, score, label, text, timeMs }) {
+  if (session.completedAt) throw new Error("Session already completed");
+
+  const questions = flattenQuestions(loadQuestionConfig());
+  const idx = currentIndexOf(session, questions, flowOf(session, questions));
+  const q = questions[idx];
+  if (!q) throw new Error("No more questions in this session");
+  if (questionId !== q.id) {
+    throw new Error(`Expected answer for ${q.id}, got ${questionId || "(none)"}`);
+  }
+
+  const entry = {
+    questionId: q.id,
+    timeMs: Number.isFinite(Number(timeMs)) ? Math.max(0, Math.round(Number(timeMs))) : null,
+    answeredAt: nowIso()
+  };
+
+  if (q.type === "open_text") {
+    const t = typeof text === "string" ? text.trim() : "";
+    const min = typeof q.min_chars === "number" ? q.min_chars : 15;
+    if (t.length < min) throw new Error(`Answer must have at least ${min} characters`);
+    entry.text = t;
+  } else {
+    const opts = optionsFor(q);
+    let optionIndex = opts.findIndex((o) => o.label === label);
+    if (optionIndex < 0) optionIndex = opts.findIndex((o) => Number(o.score) === Number(score));
+    if (optionIndex < 0) throw new Error(`Unknown option for ${q.id}`);
+    entry.valueScore = Number(opts[optionIndex].score);
+    entry.optionLabel = opts[optionIndex].label;
+    entry.optionIndex = optionIndex;
+  }
+
+  session.responses = (session.responses || []).filter((r) => r.questionId !== q.id);
+  session.responses.push(entry);
+  session.progress = {
+    currentIndex: idx + 1,
+    totalQuestions: shownCount(flowOf(session, questions))
+  };
+  return session;
+}
+
+function makeCaseId(date) {
+  const d = date || new Date();
+  const y = d.getFullYear();
+  const m = String(d.getMonth() + 1).padStart(2, "0");
+  const day = String(d.getDate()).padStart(2, "0");
+  const rand = String(crypto.randomInt(0, 10000)).padStart(4, "0");
+  return `LRID-${y}${m}${day}-${rand}`;
+}
+
+/**
+ * Converts a completed session into the intake responses shape
+ * (answers[].question_id / type / value, with value = option index for choices).
+ * Skipped questions have no answer and are listed in question_flow.
+ */
+function sessionToResponses(session, caseId) {
+  const config = loadQuestionConfig();
+  const questions = flattenQuestions(config);
+  const byId = {};
+  for (const r of session.responses || []) byId[r.questionId] = r;
+  const flow = flowOf(session, questions);
+  const shown = new Set(flow.filter((f) => f.status === "shown").map((f) => f.id));
+
+  const answers = questions.filter((q) => shown.has(q.id)).map((q) => {
+    const r = byId[q.id];
+    const v = answerValue(q, r);
+    const value = v === null ? "" : String(v);
+    return {
+      question_id: q.id,
+      dimension_id: q.dimension_id,
+      dimension_name: q.dimension_name,
+      type: q.type,
+      value,
+      time_ms: r ? r.timeMs : null
+    };
+  });
+
+  return {
+    case_id: caseId,
+    tool: config.meta?.tool || "LRID™",
+    version: config.meta?.version || "1.0",
+    timestamps: {
+      started_at: session.startedAt,
+      submitted_at: session.completedAt || nowIso()
+    },
+    respondent: {
+      name: session.respondent?.name || "",
+      email: session.respondent?.email || session.email || "",
+      organization: session.respondent?.organization || ""
+    },
+    answers,
+    question_flow: flow.map((f) => ({ question_id: f.id, status: f.status, ...(f.reason ? { reason: f.reason } : {}) })),
+    raw: {
+      session_id: session.sessionId,
+      source: session.source || "direct",
+      product_id: session.productId || null
+    }
+  };
+}
+
+module.exports = {
+  isValidSessionId,
+  isValidCaseId,
+  createSession,
+  loadSession,
+  saveSession,
+  nextQuestion,
+  recordAnswer,
+  makeCaseId,
+  sessionToResponses
+};
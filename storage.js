@@ -5,14 +5,25 @@ function ensureDir(p) {
   if (!fs.existsSync(p)) fs.mkdirSync(p, { recursive: true });
 }
 
-// Railway Volume root (recommended: /data)
-const STORAGE_ROOT = process.env.LRID_STORAGE || path.join(__dirname, ".localdata");
+// Storage root shared by server.js and every CLI command:
+// STORAGE_ROOT, then the Railway volume (recommended: /data), then the repo folder.
+function resolveStorageRoot(env = process.env) {
+  return (
+    env.STORAGE_ROOT ||
+    env.LRID_STORAGE ||
+    env.RAILWAY_VOLUME_MOUNT_PATH ||
+    (fs.existsSync("/data") ? "/data" : __dirname)
+  );
+}
+
+const STORAGE_ROOT = resolveStorageRoot();
 
 // Our app folders inside the storage root
-const DATA_DIR = path.join(STORAGE_ROOT, "data");
-const APPROVALS_DIR = path.join(STORAGE_ROOT, "approvals");
-const OUT_DIR = path.join(STORAGE_ROOT, "out");
-const SESSIONS_DIR = path.join(STORAGE_ROOT, "sessions");
+const DATA_DIR = process.env.DATA_DIR || path.join(STORAGE_ROOT, "data");
+const APPROVALS_DIR = process.env.APPROVALS_DIR || path.join(STORAGE_ROOT, "approvals");
+const OUT_DIR = process.env.OUT_DIR || path.join(STORAGE_ROOT, "out");
+const SESSIONS_DIR = process.env.SESSIONS_DIR || path.join(STORAGE_ROOT, "sessions");
+const NORMS_DIR = process.env.NORMS_DIR || path.join(STORAGE_ROOT, "norms");
 
 // Ensure they exist
 ensureDir(STORAGE_ROOT);
@@ -20,12 +31,15 @@ ensureDir(DATA_DIR);
 ensureDir(APPROVALS_DIR);
 ensureDir(OUT_DIR);
 ensureDir(SESSIONS_DIR);
+ensureDir(NORMS_DIR);
 
 module.exports = {
+  resolveStorageRoot,
   STORAGE_ROOT,
   DATA_DIR,
   APPROVALS_DIR,
   OUT_DIR,
   SESSIONS_DIR,
+  NORMS_DIR,
   ensureDir,
 };
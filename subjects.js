@@ -0,0 +1,296 @@
+/**
+ * LRID subject registry and retest trends.
+ *
+ * DATA_DIR/subject_registry.json links cases to a pseudonymous subject ID
+ * (SUBJ-<hex>). Respondent emails are never stored in the registry, only a
+ * salted SHA-256 of the normalised address (LRID_SUBJECT_SALT) so a retest
+ * submitted with the same email lands on the same subject.
+ *
+ * Trends read each linked case's final scores: the approved payload
+ * (final_scoring, expert adjustments included), else the draft, else the
+ * score file. Changes between assessments carry a reliable-change index
+ * (Jacobson & Truax):
+ *
+ *   RCI = (x2 - x1) / S_diff,   S_diff = sqrt(2) * SD * sqrt(1 - r)
+ *
+ * SD comes from the norm table the latest assessment was scored against (the
+ * newest table when none is recorded), otherwise from scoring.v1.json
+ * "reliable_change"; r (reliability) always from that config.
+ * Only |RCI| >= z_critical is reported as IMPROVED / DECLINED.
+ *
+ * Usage:
+ *   node subjects.js link <case_id> [--subject <subject_id>] [--email <email>]
+ *   node subjects.js trend <subject_id>
+ *   node subjects.js list
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { normalizeResponses } = require("./normalize_responses");
+const { loadNormTable } = require("./norms");
+
+const REGISTRY_FILE = "subject_registry.json";
+
+function readJson(p) {
+  return JSON.parse(fs.readFileSync(p, "utf8"));
+}
+
+function readJsonIf(p) {
+  try {
+    return fs.existsSync(p) ? readJson(p) : null;
+  } catch {
+    return null;
+  }
+}
+
+function writeJson(p, data) {
+  const tmp = `${p}.${process.pid}.${Date.now()}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2), "utf8");
+  fs.renameSync(tmp, p);
+}
+
+function fileSafe(s) {
+  return String(s).replace(/[^a-zA-Z0-9_.-]/g, "_");
+}
+
+function round(n, dp = 2) {
+  return typeof n === "number" && Number.isFinite(n) ? Number(n.toFixed(dp)) : null;
+}
+
+function emailKey(email) {
+  const normalized = String(email || "").trim().toLowerCase();
+  if (!normalized) return null;
+  return crypto.createHash("sha256").update(`${process.env.LRID_SUBJECT_SALT || ""}:${normalized}`).digest("hex");
+}
+
+function loadRegistry(dataDir) {
+  return readJsonIf(path.join(dataDir, REGISTRY_FILE)) || { subjects: {}, email_index: {} };
+}
+
+function saveRegistry(dataDir, registry) {
+  writeJson(path.join(dataDir, REGISTRY_FILE), registry);
+}
+
+function hasSubject(registry, subjectId) {
+  return typeof subjectId === "string" && Object.hasOwn(registry.subjects, subjectId);
+}
+
+function subjectOfCase(registry, caseId) {
+  return Object.values(registry.subjects).find((s) => s.cases.some((c) => c.case_id === caseId)) || null;
+}
+
+/**
+ * Links a case to a subject: the given subject_id, else the subject known for
+ * the email, else a new subject. A case belongs to at most one subject.
+ * Returns { subject_id, created, already_linked }.
+ */
+function linkCase(dataDir, caseId, { subjectId, email } = {}) {
+  const registry = loadRegistry(dataDir);
+  const existing = subjectOfCase(registry, caseId);
+  if (existing && (!subjectId || subjectId === existing.subject_id)) {
+    return { subject_id: existing.subject_id, created: false, already_linked: true };
+  }
+  if (existing) throw new Error(`Case ${caseId} is already linked to ${existing.subject_id}`);
+  if (subjectId && !hasSubject(registry, subjectId)) throw new Error(`Unknown subject ${subjectId}`);
+
+  const key = emailKey(email);
+  let id = subjectId || (key && Object.hasOwn(registry.email_index, key) ? registry.email_index[key] : null);
+  const created = !id;
+  if (created) {
+    id = `SUBJ-${crypto.randomBytes(6).toString("hex")}`;
+    registry.subjects[id] = { subject_id: id, created_at: new Date().toISOString(), cases: [] };
+  }
+  if (key && !Object.hasOwn(registry.email_index, key)) registry.email_index[key] = id;
+
+  registry.subjects[id].cases.push({ case_id: caseId, linked_at: new Date().toISOString() });
+  saveRegistry(dataDir, registry);
+  return { subject_id: id, created, already_linked: false };
+}
+
+/** The scores a case was finally reported with, or null when it was never scored. */
+function caseScores(dataDir, caseId) {
+  const safe = fileSafe(caseId);
+  const payload = readJsonIf(path.join(dataDir, `payload_${safe}.json`));
+  const draft = readJsonIf(path.join(dataDir, `draft_${safe}.json`));
+  const score = readJsonIf(path.join(dataDir, `score_${safe}.json`));
+
+  let source = null;
+  let s = null;
+  let provenance = null;
+  if (payload?.final_scoring || payload?.draft?.draft_scoring) {
+    source = "payload";
+    s = payload.final_scoring || payload.draft.draft_scoring;
+    provenance = payload.draft?.meta?.provenance;
+  } else if (draft?.draft_scoring) {
+    source = "draft";
+    s = draft.draft_scoring;
+    provenance = draft.meta?.provenance;
+  }
+  if (s) {
+    return {
+      source,
+      norm_version: provenance?.norm_version ?? null,
+      dimensions: s.dimension_scores || {},
+      dimension_bands: s.dimension_bands || {},
+      indices: s.aggregate_scores || {},
+      index_bands: s.aggregate_bands || {},
+      adjusted_dimensions: s.adjusted_dimensions || []
+    };
+  }
+  if (score?.scoring) {
+    const label = (b) => b?.label ?? null;
+    const dims = {};
+    const dimBands = {};
+    for (const [d, v] of Object.entries(score.scoring.dimension_scores || {})) {
+      dims[d] = round(v);
+      dimBands[d] = label(score.scoring.bands?.dimensions?.[d]);
+    }
+    const idxBands = {};
+    for (const k of Object.keys(score.scoring.aggregate_scores || {})) idxBands[k] = label(score.scoring.bands?.indices?.[k]);
+    return { source: "score", norm_version: score.provenance?.norm_version ?? null, dimensions: dims, dimension_bands: dimBands, indices: score.scoring.aggregate_scores || {}, index_bands: idxBands, adjusted_dimensions: [] };
+  }
+  return null;
+}
+
+function assessedAt(dataDir, caseId) {
+  const p = path.join(dataDir, `responses_${fileSafe(caseId)}.json`);
+  const raw = readJsonIf(p);
+  if (!raw) return null;
+  const res = normalizeResponses(raw);
+  return res.responses?.timing?.submitted_at || res.responses?.meta?.created_at || fs.statSync(p).mtime.toISOString();
+}
+
+/** SD and reliability per dimension / index key. */
+function rciParams(cfg, normTable) {
+  const rel = cfg.reliability || {};
+  const sd = cfg.sd || {};
+  const normGroup = normTable?.groups?.all;
+  const lookup = (key, section) => {
+    const normSd = cfg.sd_source === "norms" ? normGroup?.[section]?.[key]?.sd : null;
+    return {
+      sd: normSd || sd[key] || sd.default || null,
+      sd_source: normSd ? `norms ${normTable.norm_version}` : "config",
+      reliability: rel[key] ?? rel.default ?? null
+    };
+  };
+  return { lookup, z: Number(cfg.z_critical ?? 1.96) };
+}
+
+function reliableChange(before, after, params, z) {
+  if (typeof before !== "number" || typeof after !== "number") return { delta: null, rci: null, status: "NOT_AVAILABLE" };
+  const delta = round(after - before);
+  const { sd, reliability } = params;
+  if (!sd || reliability === null || reliability >= 1) return { delta, rci: null, status: "NOT_AVAILABLE" };
+  const sDiff = Math.sqrt(2) * sd * Math.sqrt(1 - reliability);
+  const rci = round((after - before) / sDiff);
+  const status = rci >= z ? "IMPROVED" : rci <= -z ? "DECLINED" : "NO_RELIABLE_CHANGE";
+  return { delta, rci, status, reliable_change_threshold: round(z * sDiff) };
+}
+
+function compareAssessments(from, to, rc) {
+  const section = (kind, a, b, bandsA, bandsB) => {
+    const out = {};
+    for (const key of Object.keys({ ...a, ...b })) {
+      out[key] = {
+        before: a[key] ?? null,
+        after: b[key] ?? null,
+        band_before: bandsA[key] ?? null,
+        band_after: bandsB[key] ?? null,
+        ...reliableChange(a[key], b[key], rc.lookup(key, kind), rc.z)
+      };
+    }
+    return out;
+  };
+  return {
+    from_case: from.case_id,
+    to_case: to.case_id,
+    dimensions: section("dimensions", from.dimensions, to.dimensions, from.dimension_bands, to.dimension_bands),
+    indices: section("indices", from.indices, to.indices, from.index_bands, to.index_bands)
+  };
+}
+
+/**
+ * Trend for one subject: assessments in date order, change from each
+ * assessment to the next, and baseline -> latest.
+ */
+function subjectTrend(subjectId, { dataDir, normsDir, scoring } = {}) {
+  const registry = loadRegistry(dataDir);
+  if (!hasSubject(registry, subjectId)) return null;
+  const subject = registry.subjects[subjectId];
+
+  const cfg = scoring || readJson(path.join(__dirname, "schemas", "scoring.v1.json"));
+  const rcCfg = cfg.reliable_change || {};
+
+  const assessments = [];
+  const unscored = [];
+  for (const c of subject.cases) {
+    const scores = caseScores(dataDir, c.case_id);
+    if (!scores) unscored.push(c.case_id);
+    else assessments.push({ case_id: c.case_id, assessed_at: assessedAt(dataDir, c.case_id) || c.linked_at, ...scores });
+  }
+  assessments.sort((a, b) => String(a.assessed_at).localeCompare(String(b.assessed_at)));
+
+  const normVersion = assessments.map((a) => a.norm_version).filter(Boolean).pop() || "latest";
+  const normTable = normsDir && rcCfg.sd_source === "norms" ? loadNormTable(normsDir, normVersion) : null;
+  const rc = rciParams(rcCfg, normTable);
+
+  const changes = [];
+  for (let i = 1; i < assessments.length; i++) changes.push(compareAssessments(assessments[i - 1], assessments[i], rc));
+
+  return {
+    subject_id: subjectId,
+    generated_at: new Date().toISOString(),
+    rci: { z_critical: rc.z, sd_source: normTable ? `norms ${normTable.norm_version}` : "config" },
+    assessments,
+    unscored_cases: unscored,
+    changes,
+    baseline_to_latest: assessments.length > 1 ? compareAssessments(assessments[0], assessments[assessments.length - 1], rc) : null
+  };
+}
+
+function listSubjects(dataDir) {
+  return Object.values(loadRegistry(dataDir).subjects).map((s) => ({
+    subject_id: s.subject_id,
+    created_at: s.created_at,
+    cases: s.cases.map((c) => c.case_id)
+  }));
+}
+
+function argValue(args, name) {
+  const i = args.indexOf(name);
+  return i >= 0 ? args[i + 1] : undefined;
+}
+
+function main() {
+  const storage = require("./storage");
+  const [cmd, ...args] = process.argv.slice(2);
+
+  try {
+    if (cmd === "link" && args[0]) {
+      const r = linkCase(storage.DATA_DIR, args[0], { subjectId: argValue(args, "--subject"), email: argValue(args, "--email") });
+      console.log(`✔ ${args[0]} -> ${r.subject_id}${r.created ? " (new subject)" : ""}${r.already_linked ? " (already linked)" : ""}`);
+      return;
+    }
+    if (cmd === "trend" && args[0]) {
+      const trend = subjectTrend(args[0], { dataDir: storage.DATA_DIR, normsDir: storage.NORMS_DIR });
+      if (!trend) throw new Error(`Unknown subject ${args[0]}`);
+      console.log(JSON.stringify(trend, null, 2));
+      return;
+    }
+    if (cmd === "list") {
+      for (const s of listSubjects(storage.DATA_DIR)) console.log(`${s.subject_id}\t${s.cases.join(", ")}`);
+      return;
+    }
+  } catch (e) {
+    console.error(`✖ ${e.message}`);
+    process.exit(1);
+  }
+
+  console.error("Usage: node subjects.js link <case_id> [--subject <id>] [--email <email>] | trend <subject_id> | list");
+  process.exit(1);
+}
+
+if (require.main === module) main();
+
+module.exports = { loadRegistry, hasSubject, linkCase, subjectOfCase, subjectTrend, listSubjects, caseScores };
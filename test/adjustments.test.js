@@ -0,0 +1,40 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { applyScoreAdjustments } = require("../adjustments");
+
+const draftScoring = {
+  dimension_scores: { DI: 2.5, RP: 3, MA: 3, AC: 3, PR: 3, ED: 3 },
+  dimension_bands: {},
+  aggregate_scores: {},
+  norms: { status: "DISABLED" },
+  band_details: { norm_group: null, dimensions: {}, indices: {}, risk_zone_max: {} }
+};
+
+function approval(override) {
+  return {
+    decision: { status: "ADJUST", operator_notes: "" },
+    adjustments: { dimension_scores_override: { DI: null, ...override }, justification: "Interview evidence" }
+  };
+}
+
+test("overrides replace dimension scores and keep norm group and risk zones in band details", () => {
+  const { final_scoring, score_adjustments } = applyScoreAdjustments(draftScoring, approval({ DI: 4 }));
+  assert.equal(final_scoring.dimension_scores.DI, 4);
+  assert.deepEqual(final_scoring.adjusted_dimensions, ["DI"]);
+  assert.equal(final_scoring.band_details.norm_group, null);
+  assert.equal(typeof final_scoring.band_details.risk_zone_max.DI, "number");
+  assert.equal(score_adjustments.dimensions.DI.original, 2.5);
+});
+
+test("overrides outside 1-5 are rejected instead of ignored", () => {
+  assert.throws(() => applyScoreAdjustments(draftScoring, approval({ DI: 37 })), /1 to 5: DI=37/);
+  assert.throws(() => applyScoreAdjustments(draftScoring, approval({ RP: -4 })), /RP=-4/);
+  assert.throws(() => applyScoreAdjustments(draftScoring, approval({ ED: "4" })), /ED="4"/);
+});
+
+test("null overrides and non-ADJUST decisions leave the scores alone", () => {
+  const unchanged = applyScoreAdjustments(draftScoring, approval({}));
+  assert.equal(unchanged.score_adjustments, null);
+  const approved = applyScoreAdjustments(draftScoring, { ...approval({ DI: 4 }), decision: { status: "APPROVE" } });
+  assert.equal(approved.final_scoring.dimension_scores.DI, 2.5);
+});
@@ -0,0 +1,39 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const pipeline = require("../pipeline");
+const { tmpDirs } = require("./helpers");
+
+const tmpDir = tmpDirs(test);
+const CASE = "LRID-20260101-0001";
+const draft = { meta: { case_id: CASE }, draft_scoring: { dimension_scores: { DI: 3, RP: 4 } } };
+const fields = (errors) => errors.map((e) => e.field);
+
+test("a new approval template is valid and belongs to its case", () => {
+  const approval = pipeline.createApproval(draft);
+  assert.deepEqual(pipeline.validateApproval(approval, CASE), []);
+  assert.equal(approval.decision.status, "APPROVE");
+  assert.deepEqual(approval.adjustments.dimension_scores_override, { DI: null, RP: null });
+});
+
+test("validateApproval checks the schema and the file's case id", () => {
+  const ok = pipeline.createApproval(draft);
+  assert.deepEqual(fields(pipeline.validateApproval({ ...ok, decision: { status: "MAYBE" } }, CASE)), ["decision.status"]);
+  assert.deepEqual(fields(pipeline.validateApproval({ meta: ok.meta }, CASE)), ["decision"]);
+  assert.deepEqual(fields(pipeline.validateApproval({ ...ok, extra: true }, CASE)), ["extra"]);
+  const adjust = { ...ok, adjustments: { dimension_scores_override: { DI: 5.5 }, justification: "" } };
+  assert.deepEqual(fields(pipeline.validateApproval(adjust, CASE)), ["adjustments.dimension_scores_override.DI"]);
+  assert.deepEqual(pipeline.validateApproval(ok, "LRID-20260101-0002"), [{ field: "meta.case_id", message: "must match file case id (LRID-20260101-0002)" }]);
+});
+
+test("ensureApproval creates the template once and rejects an invalid stored approval", () => {
+  const dirs = { approvalsDir: tmpDir() };
+  const first = pipeline.ensureApproval(draft, { dirs });
+  assert.equal(first.created, true);
+  assert.equal(path.basename(first.path), `approval_${CASE}.json`);
+  assert.equal(pipeline.ensureApproval(draft, { dirs }).created, false);
+
+  fs.writeFileSync(first.path, JSON.stringify({ ...first.approval, decision: { status: "YES" } }));
+  assert.throws(() => pipeline.ensureApproval(draft, { dirs }), (e) => e.code === "INVALID_APPROVAL" && e.details[0].field === "decision.status");
+});
@@ -0,0 +1,47 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { classify, riskMax, schemeNameFor } = require("../bands");
+const { bands: shipped } = require("../schemas/scoring.v1.json");
+
+const dim = (key, normGroup) => ({ kind: "dimension", key, normGroup });
+const config = {
+  default_scheme: "standard",
+  schemes: {
+    standard: { bands: [{ id: "LOW", label: "Low", max: 2, risk: true }, { id: "HIGH", label: "High", max: null }] },
+    strict: { bands: [{ id: "LOW", label: "Low", max: 3, risk: true }, { id: "HIGH", label: "High", max: null }] }
+  },
+  dimensions: { DI: "strict" },
+  indices: {},
+  norm_groups: { "industry:finance": { dimensions: { RP: "strict" } } }
+};
+
+test("shipped bands cut at 2.79 and 3.30, upper bounds inclusive", () => {
+  const label = (s) => classify(shipped, s, dim("DI")).label;
+  assert.equal(label(2.79), "Risk Zone");
+  assert.equal(label(2.8), "Mixed / Context-dependent");
+  assert.equal(label(3.3), "Mixed / Context-dependent");
+  assert.equal(label(3.31), "Functional Strength");
+  assert.deepEqual(classify(shipped, 1, { kind: "index", key: "oi" }), {
+    scheme: "lrid_standard",
+    id: "RISK_ZONE",
+    label: "Risk Zone",
+    description: "Behaviour in this area is likely to break down under pressure; a development priority.",
+    max: 2.79,
+    risk: true
+  });
+  assert.equal(classify(shipped, null, dim("DI")), null);
+});
+
+test("the scheme is chosen by norm group, then target, then default", () => {
+  assert.equal(schemeNameFor(config, dim("DI")), "strict");
+  assert.equal(schemeNameFor(config, dim("RP")), "standard");
+  assert.equal(schemeNameFor(config, dim("rp", "industry:finance")), "strict");
+  assert.equal(classify(config, 2.5, dim("RP")).id, "HIGH");
+  assert.equal(classify(config, 2.5, dim("RP", "industry:finance")).id, "LOW");
+  assert.equal(riskMax(config, dim("DI")), 3);
+  assert.equal(riskMax(config, dim("RP")), 2);
+});
+
+test("an unknown scheme name is a configuration error", () => {
+  assert.throws(() => classify({ ...config, dimensions: { DI: "missing" } }, 3, dim("DI")), /Unknown band scheme "missing" for dimension DI/);
+});
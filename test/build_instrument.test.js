@@ -0,0 +1,59 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { checkSource, checkRules, crossCheck } = require("../build_instrument");
+
+const shipped = () =>
+  structuredClone({
+    intake: require("../config/questions.lrid.v1.json"),
+    instrument: require("../schemas/instrument.v1.json"),
+    questionMap: require("../schemas/question_map.v1.json"),
+    scoring: require("../schemas/scoring.v1.json"),
+    consistency: require("../schemas/consistency.v1.json")
+  });
+
+const bank = {
+  ED_12: { question_id: "ED_12", type: "multiple_choice", options: [{ value: "A" }, { value: "B" }] },
+  MA_06: { question_id: "MA_06", type: "likert_5" }
+};
+
+test("checkRules rejects consistency rules of an unknown type", () => {
+  const consistency = {
+    consistency_checks: [
+      { cc_id: "OK", logic: { type: "mirror", question_ids: ["ED_12", "MA_06"] } },
+      { cc_id: "BAD", logic: { type: "mirorr", question_ids: ["ED_12", "MA_06"] } }
+    ]
+  };
+  assert.deepEqual(checkRules(bank, consistency, []), ["Consistency rule BAD: unknown rule type mirorr"]);
+});
+
+test("the shipped artifacts cross-check cleanly", () => {
+  assert.deepEqual(crossCheck(shipped()), []);
+});
+
+test("crossCheck reports drift between intake, question map, instrument and scoring", () => {
+  const a = shipped();
+  a.intake.dimensions[0].questions[0].options[1].score = 2;
+  delete a.questionMap.questions["DI-02"];
+  delete a.scoring.multiple_choice_scores.RP_03.B;
+  a.scoring.reverse_scored_question_ids = ["DI_01"];
+  assert.deepEqual(crossCheck(a), [
+    "Intake DI-01 option 1: score 2, scoring.v1.json has 3 for B",
+    "Intake DI-02: not in question_map",
+    "RP_03 option B has no score",
+    "DI_02: not asked by the intake (no question_map entry)",
+    "scoring.v1.json reverse-scores unknown likert question DI_01"
+  ]);
+});
+
+test("checkSource rejects malformed questions", () => {
+  const src = structuredClone(require("../schemas/question_bank.v1.json"));
+  const scoring = require("../schemas/scoring.v1.json");
+  assert.deepEqual(checkSource(src, scoring), []);
+  src.questions.push({ ...src.questions[0] });
+  src.questions[2].options = src.questions[2].options.slice(0, 1);
+  src.questions[3].dimension = "XX";
+  const errors = checkSource(src, scoring);
+  assert.ok(errors.includes("DI_01: duplicate id"));
+  assert.ok(errors.includes(`${src.questions[2].id}: multiple choice needs at least two options`));
+  assert.ok(errors.includes(`${src.questions[3].id}: unknown dimension XX`));
+});
@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { differencingConflict, cohortReport, listCohorts } = require("../cohorts");
+
+const scoring = { cohorts: { min_group_size: 3, top_hits: 5 } };
+
+const dirs = [];
+test.after(() => dirs.forEach((d) => fs.rmSync(d, { recursive: true, force: true })));
+
+function tmpDataDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "lrid-cohorts-"));
+  dirs.push(dir);
+  return dir;
+}
+
+function addCase(dataDir, caseId, org, score) {
+  const payload = {
+    case_id: caseId,
+    draft: { meta: { case_id: caseId, respondent_org: org, generated_at: "2026-01-01T00:00:00Z" } },
+    final_scoring: { dimension_scores: { DI: score }, dimension_bands: { DI: "Mixed" } }
+  };
+  fs.writeFileSync(path.join(dataDir, `payload_${caseId}.json`), JSON.stringify(payload));
+}
+
+test("differencingConflict flags releases that differ by 1..min-1 people", () => {
+  const registry = { releases: [{ group_by: "organization", key: "acme", members: ["a", "b", "c", "d"] }] };
+  assert.equal(differencingConflict(registry, ["a", "b", "c", "d"], 3), null);
+  assert.equal(differencingConflict(registry, ["a", "b", "c", "d", "e"], 3), registry.releases[0]);
+  assert.equal(differencingConflict(registry, ["a", "b", "c"], 3), registry.releases[0]);
+  assert.equal(differencingConflict(registry, ["a", "b", "c", "d", "e", "f", "g"], 3), null);
+  assert.equal(differencingConflict({ releases: [] }, ["a"], 3), null);
+});
+
+test("groups below the minimum size are suppressed without their size", () => {
+  const dataDir = tmpDataDir();
+  addCase(dataDir, "C1", "Acme", 3);
+  addCase(dataDir, "C2", "Acme", 4);
+  const report = cohortReport("organization", "acme", { dataDir, scoring });
+  assert.equal(report.status, "SUPPRESSED");
+  assert.equal(report.n, undefined);
+  assert.equal(cohortReport("organization", "unknown", { dataDir, scoring }), null);
+});
+
+test("previews record nothing; only a release protects against differencing", () => {
+  const dataDir = tmpDataDir();
+  for (let i = 1; i <= 3; i++) addCase(dataDir, `C${i}`, "Acme", i + 1);
+
+  const preview = cohortReport("organization", " ACME ", { dataDir, scoring });
+  assert.equal(preview.status, "REPORTED");
+  assert.equal(preview.released, false);
+  assert.equal(preview.dimensions.DI.mean, 3);
+  assert.equal(fs.existsSync(path.join(dataDir, "cohort_registry.json")), false);
+
+  addCase(dataDir, "C4", "Acme", 5);
+  assert.equal(cohortReport("organization", "acme", { dataDir, scoring }).status, "REPORTED");
+
+  assert.equal(cohortReport("organization", "acme", { dataDir, scoring, release: true }).released, true);
+  addCase(dataDir, "C5", "Acme", 5);
+  assert.equal(cohortReport("organization", "acme", { dataDir, scoring }).status, "SUPPRESSED");
+  assert.equal(listCohorts({ dataDir, scoring }).organizations[0].reportable, false);
+});
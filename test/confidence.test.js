@@ -0,0 +1,45 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { computeConfidence } = require("../confidence");
+const { confidence_adjustments: cfg } = require("../schemas/consistency.v1.json");
+
+const complete = { expected_questions: 20, missing_question_ids: [] };
+const contribution = (out) => Object.fromEntries(out.drivers.map((d) => [d.factor, d.contribution]));
+
+test("a clean case keeps the base confidence and reports every factor at 0", () => {
+  const out = computeConfidence({ completeness: complete }, cfg);
+  assert.equal(out.score, 0.85);
+  assert.equal(out.level, "HIGH");
+  assert.deepEqual(contribution(out), { consistency: 0, completeness: 0, response_quality: 0, open_text: 0, red_flags: 0 });
+  assert.equal(out.drivers.find((d) => d.factor === "red_flags").detail, "none");
+});
+
+test("each factor subtracts its configured weight", () => {
+  const out = computeConfidence(
+    {
+      hits: [{ cc_id: "CC_1", severity: "HIGH" }, { cc_id: "CC_2", severity: "MEDIUM" }],
+      completeness: { expected_questions: 20, missing_question_ids: ["DI_01", "RP_04"] },
+      quality: { flags: { too_fast: true, straight_lining: false } },
+      openText: [{ question_id: "AC_08" }],
+      redFlags: [{ rf_id: "RF_1", severity: "MEDIUM", status: "PRESENT" }]
+    },
+    cfg
+  );
+  assert.deepEqual(contribution(out), { consistency: -0.16, completeness: -0.02, response_quality: -0.05, open_text: -0.02, red_flags: -0.03 });
+  assert.equal(out.score, 0.57);
+  assert.equal(out.level, "LOW");
+  assert.equal(out.floored, false);
+  assert.equal(out.drivers[0].detail, "CC_1 (HIGH), CC_2 (MEDIUM)");
+});
+
+test("likely red flags count at their status factor and the score stops at the floor", () => {
+  const likely = computeConfidence({ completeness: complete, redFlags: [{ rf_id: "RF_1", severity: "MEDIUM", status: "LIKELY" }] }, cfg);
+  assert.equal(contribution(likely).red_flags, -0.01);
+  assert.equal(likely.level, "HIGH");
+
+  const hits = Array.from({ length: 5 }, (_, i) => ({ cc_id: `CC_${i}`, severity: "HIGH" }));
+  const floored = computeConfidence({ hits, completeness: complete }, cfg);
+  assert.equal(floored.score, 0.55);
+  assert.equal(floored.floored, true);
+  assert.equal(floored.level, "LOW");
+});
@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { evaluateConsistency, evalCondition } = require("../consistency");
+
+const answers = {
+  ED_12: { response: "B" },
+  ED_22: { response: "C" },
+  MA_06: { response: 4 },
+  RP_04: { response: 2 }
+};
+const scores = { ED_12: 5, ED_22: 2, MA_06: 2, RP_04: 4 };
+const ctx = { answers, scores, scaleMin: 1, scaleMax: 5 };
+const check = (cond) => evalCondition(cond, ctx, new Set());
+
+test("leaf predicates read the raw response or the item score", () => {
+  assert.equal(check({ question_id: "ED_12", equals: "B" }), true);
+  assert.equal(check({ question_id: "ED_22", in: ["A", "C"] }), true);
+  assert.equal(check({ question_id: "MA_06", gte_likert: 4 }), true);
+  assert.equal(check({ question_id: "MA_06", score_gte: 4 }), false);
+  assert.equal(check({ question_id: "RP_04", between: [1, 2] }), true);
+  assert.equal(check({ question_id: "RP_04", score_between: [1, 3] }), false);
+  assert.throws(() => check({ question_id: "RP_04", gt: 1 }), /Unknown consistency predicate/);
+});
+
+test("missing answers are unknown, and unknown survives not/all but not a decided any", () => {
+  const missing = { question_id: "PR_21", equals: "A" };
+  assert.equal(check(missing), null);
+  assert.equal(check({ not: missing }), null);
+  assert.equal(check({ all: [missing, { question_id: "ED_12", equals: "B" }] }), null);
+  assert.equal(check({ all: [missing, { question_id: "ED_12", equals: "A" }] }), false);
+  assert.equal(check({ any: [missing, { question_id: "ED_12", equals: "B" }] }), true);
+  assert.equal(check({ any: [missing, { question_id: "ED_12", equals: "A" }] }), null);
+});
+
+test("contradiction_pair and condition rules report MISMATCH, OK or NOT_EVALUATED", () => {
+  const rules = [
+    { cc_id: "P1", logic: { type: "contradiction_pair", if: [{ question_id: "ED_12", equals: "B" }], and: [{ question_id: "ED_22", in: ["A", "C"] }] } },
+    { cc_id: "P2", logic: { type: "contradiction_pair", if: [{ question_id: "ED_12", equals: "A" }], and: [{ question_id: "PR_21", equals: "A" }] } },
+    { cc_id: "C1", logic: { type: "condition", when: { not: { question_id: "PR_21", equals: "A" } } } }
+  ];
+  const { checks, hits } = evaluateConsistency(rules, { answers, scores });
+  assert.deepEqual(checks.map((c) => c.result), ["MISMATCH", "OK", "NOT_EVALUATED"]);
+  assert.deepEqual(hits.map((h) => h.cc_id), ["P1"]);
+  assert.deepEqual(hits[0].evidence.question_ids, ["ED_12", "ED_22"]);
+});
+
+test("mirror, reverse_pair and item_set compare scores, reversed raw values and spreads", () => {
+  const rules = [
+    { cc_id: "M", logic: { type: "mirror", question_ids: ["ED_12", "ED_22"], tolerance: 2 } },
+    { cc_id: "R", logic: { type: "reverse_pair", question_ids: ["MA_06", "RP_04"], max_delta: 1 } },
+    { cc_id: "S", logic: { type: "item_set", question_ids: ["ED_12", "MA_06", "PR_21"], max_spread: 2, min_answered: 2 } },
+    { cc_id: "S3", logic: { type: "item_set", question_ids: ["ED_12", "MA_06", "PR_21"] } }
+  ];
+  const { checks } = evaluateConsistency(rules, { answers, scores });
+  const byId = Object.fromEntries(checks.map((c) => [c.cc_id, c]));
+  assert.equal(byId.M.result, "MISMATCH");
+  assert.equal(byId.M.evidence.delta, 3);
+  // 4 vs reversed 2 (= 4): consistent
+  assert.equal(byId.R.result, "OK");
+  assert.equal(byId.S.result, "MISMATCH");
+  assert.equal(byId.S3.result, "NOT_EVALUATED");
+});
+
+test("an unknown rule type is a configuration error, not NOT_EVALUATED", () => {
+  const rules = [{ cc_id: "X", logic: { type: "mirorr", question_ids: ["ED_12", "ED_22"] } }];
+  assert.throws(() => evaluateConsistency(rules, { answers, scores }), /Unknown consistency rule type: mirorr/);
+});
@@ -0,0 +1,31 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { buildDraft } = require("../draft_engine");
+const pipeline = require("../pipeline");
+const { validate, loadSchema } = require("../schema_validate");
+const scoring = require("../schemas/scoring.v1.json");
+const { canonicalCase } = require("./helpers");
+
+const highest = (q) => (q.type === "likert_5" ? 5 : undefined);
+
+test("drafts validate against the draft schema", () => {
+  const draft = buildDraft(canonicalCase("LRID-20260101-0001", highest), { norms: false });
+  assert.deepEqual(validate(loadSchema("draft_assessment.schema.json"), draft), []);
+  assert.equal(draft.meta.case_id, "LRID-20260101-0001");
+  assert.equal(draft.meta.respondent_name, "Test Person");
+});
+
+test("draft dimensions are the scored dimensions from scoring.v1.json", () => {
+  const draft = buildDraft(canonicalCase("LRID-20260101-0002", highest), { norms: false });
+  const dims = Object.keys(scoring.dimension_weights);
+  assert.deepEqual(Object.keys(draft.draft_scoring.dimension_scores), dims);
+  assert.deepEqual(Object.keys(draft.draft_scoring.dimension_bands), dims);
+  assert.deepEqual(Object.keys(pipeline.createApproval(draft).adjustments.dimension_scores_override), dims);
+});
+
+test("the handoff allows automatic payloads only for APPROVE", () => {
+  const draft = buildDraft(canonicalCase("LRID-20260101-0003", (q, i) => (q.type === "likert_5" ? (i % 5) + 1 : undefined)), { norms: false });
+  assert.equal(draft.handoff.recommended_expert_action, "REVIEW");
+  assert.equal(draft.handoff.auto_generate_payload_allowed, false);
+  assert.match(draft.handoff.recommended_reason, /^Expert review required: /);
+});
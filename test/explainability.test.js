@@ -0,0 +1,49 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { explainScoring } = require("../explainability");
+const { runScoring } = require("../scoring_engine");
+const { canonicalCase } = require("./helpers");
+
+const item = (question_id, score) => ({ question_id, dimension: "DI", response: score, score, scoring_rule: { method: "likert_5", reverse_scored: false } });
+const result = {
+  scoring: {
+    scored_items: [item("DI_01", 1), item("DI_02", 1), item("DI_03", 2), item("DI_04", 5)],
+    dimension_scores: { DI: 2.25 },
+    aggregate_indices: { oi: { sensitivity: { DI: 0.5 } } },
+    bands: { dimensions: { DI: { label: "Risk Zone", risk: true } }, risk_zone_max: { DI: 2.5 } }
+  }
+};
+
+test("drivers are sorted by impact and split the dimension mean", () => {
+  const [di] = explainScoring(result).dimension_drivers;
+  assert.equal(di.score, 2.25);
+  assert.equal(di.items_scored, 4);
+  assert.deepEqual(di.drivers.map((d) => [d.question_id, d.contribution_to_dimension, d.impact]), [
+    ["DI_01", 0.25, -0.5],
+    ["DI_02", 0.25, -0.5],
+    ["DI_03", 0.5, -0.25],
+    ["DI_04", 1.25, 0.5]
+  ]);
+  assert.deepEqual(di.drivers[3].contribution_to_indices, { oi: 0.625 });
+  assert.equal(di.drivers[0].scoring.explanation, "Likert 1 scored as-is");
+});
+
+test("items below the risk threshold pull into the Risk Zone; decisive when dropping one lifts it out", () => {
+  const [di] = explainScoring(result).dimension_drivers;
+  assert.deepEqual(di.risk_pullers, ["DI_01", "DI_02", "DI_03"]);
+  const byId = Object.fromEntries(di.drivers.map((d) => [d.question_id, d]));
+  // Without DI_01: (1 + 2 + 5) / 3 = 2.67 > 2.5; without DI_03: (1 + 1 + 5) / 3 = 2.33.
+  assert.equal(byId.DI_01.decisive, true);
+  assert.equal(byId.DI_03.decisive, false);
+  assert.equal(byId.DI_04.pulls_into_risk_zone, false);
+  assert.equal("decisive" in byId.DI_04, false);
+});
+
+test("on the shipped instrument contributions add up to each dimension score", () => {
+  const scored = runScoring({ responses: canonicalCase("LRID-20260101-0001", (q, i) => (q.type === "likert_5" ? (i % 5) + 1 : undefined)), norms: false });
+  for (const d of explainScoring(scored).dimension_drivers) {
+    if (!d.items_scored) continue;
+    const sum = d.drivers.reduce((a, x) => a + x.contribution_to_dimension, 0);
+    assert.ok(Math.abs(sum - d.score) < 0.01, `${d.dimension}: ${sum} vs ${d.score}`);
+  }
+});
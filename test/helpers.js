@@ -0,0 +1,35 @@
+// Shared fixtures for the node:test files.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const instrument = require("../schemas/instrument.v1.json");
+
+/** Temporary directories removed when the test file finishes. */
+function tmpDirs(test) {
+  const made = [];
+  test.after(() => made.forEach((d) => fs.rmSync(d, { recursive: true, force: true })));
+  return (prefix = "lrid-test-") => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+    made.push(dir);
+    return dir;
+  };
+}
+
+/**
+ * Canonical responses for the shipped instrument. pick(question, index) gives
+ * the response; open-text questions get `text` unless pick returns one.
+ */
+function canonicalCase(caseId, pick, { text = "I would ask for more data before deciding." } = {}) {
+  const answers = instrument.question_bank.map((q, i) => {
+    const picked = pick(q, i);
+    const response = picked !== undefined ? picked : q.type === "open_text" ? text : q.type === "multiple_choice" ? q.options[0].value : 3;
+    return { question_id: q.question_id, dimension: q.dimension, type: q.type, response };
+  });
+  return {
+    meta: { case_id: caseId, instrument_id: instrument.instrument_id, instrument_version: instrument.instrument_version, language: "en" },
+    respondent: { subject_name: "Test Person", email: "test@example.com", organization: "Acme" },
+    answers
+  };
+}
+
+module.exports = { tmpDirs, canonicalCase };
@@ -0,0 +1,54 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseFormula, evaluate, dimensionsOf } = require("../index_formula");
+
+const DIMS = ["DI", "RP", "MA", "AC", "PR", "ED"];
+
+test("parses nested calls, dimensions and negative numbers", () => {
+  const tree = parseFormula("clamp(max(DI, ED), -1, 5)", DIMS);
+  assert.equal(tree.fn, "clamp");
+  assert.deepEqual(tree.args[1], { kind: "num", value: -1 });
+  assert.deepEqual(dimensionsOf(tree), ["DI", "ED"]);
+});
+
+test("rejects unknown names, bad arity and malformed input at parse time", () => {
+  assert.throws(() => parseFormula("mean(DI, XX)", DIMS), /Unknown dimension "XX"/);
+  assert.throws(() => parseFormula("sum(DI)", DIMS), /Unknown function "sum"/);
+  assert.throws(() => parseFormula("clamp(DI, 1)", DIMS), /Wrong number of arguments/);
+  assert.throws(() => parseFormula("clamp(DI, RP, 5)", DIMS), /bounds must be numbers/);
+  assert.throws(() => parseFormula("weighted_mean(DI, 2)", DIMS), /dimension codes only/);
+  assert.throws(() => parseFormula("mean(DI", DIMS), /Expected "\)"/);
+  assert.throws(() => parseFormula("mean(DI) RP", DIMS), /Unexpected "RP"/);
+  assert.throws(() => parseFormula("mean(DI; RP)", DIMS), /Unexpected character/);
+});
+
+test("mean, min and max skip nulls and return null when nothing is left", () => {
+  const scores = { DI: 2, RP: null, AC: 4 };
+  assert.equal(evaluate(parseFormula("mean(DI, RP, AC)", DIMS), scores), 3);
+  assert.equal(evaluate(parseFormula("min(DI, RP, AC)", DIMS), scores), 2);
+  assert.equal(evaluate(parseFormula("max(DI, RP, AC)", DIMS), scores), 4);
+  assert.equal(evaluate(parseFormula("mean(RP, MA)", DIMS), scores), null);
+});
+
+test("weighted_mean applies dimension weights; other functions ignore them", () => {
+  const scores = { DI: 2, RP: 4 };
+  const weights = { DI: 3, RP: 1 };
+  assert.equal(evaluate(parseFormula("weighted_mean(DI, RP)", DIMS), scores, weights), 2.5);
+  assert.equal(evaluate(parseFormula("mean(DI, RP)", DIMS), scores, weights), 3);
+  // Missing weights count as 1, zero weights drop the dimension
+  assert.equal(evaluate(parseFormula("weighted_mean(DI, RP)", DIMS), scores, { DI: 0 }), 4);
+});
+
+test("clamp bounds the value and passes null through", () => {
+  assert.equal(evaluate(parseFormula("clamp(DI, 1, 3)", DIMS), { DI: 4.5 }), 3);
+  assert.equal(evaluate(parseFormula("clamp(DI, -1, 5)", DIMS), { DI: 2 }), 2);
+  assert.equal(evaluate(parseFormula("clamp(DI, 1, 5)", DIMS), { DI: null }), null);
+});
+
+test("the shipped index formulas parse against the configured dimensions", () => {
+  const scoring = require("../schemas/scoring.v1.json");
+  const dims = Object.keys(scoring.dimension_weights);
+  for (const [key, def] of Object.entries(scoring.aggregate_indices)) {
+    assert.doesNotThrow(() => parseFormula(def.formula, dims), key);
+  }
+});
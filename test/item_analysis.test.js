@@ -0,0 +1,42 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { cronbachAlpha, analyzeItems } = require("../item_analysis");
+const instrument = require("../schemas/instrument.v1.json");
+const scoring = require("../schemas/scoring.v1.json");
+
+test("cronbachAlpha over complete cases", () => {
+  // Two identical items: item variances 1 + 1, total variance 4.
+  assert.equal(cronbachAlpha([[1, 1], [2, 2], [3, 3]]), 1);
+  // Item variances 1 + 1, total variance 1.
+  assert.equal(cronbachAlpha([[1, 3], [2, 1], [3, 2]]), -2);
+  assert.equal(cronbachAlpha([[1], [2]]), null);
+  assert.equal(cronbachAlpha([[1, 2]]), null);
+  assert.equal(cronbachAlpha([[2, 2], [2, 2]]), null);
+});
+
+test("items are flagged for uninformative maps, zero variance and raising alpha when deleted", () => {
+  const bank = [
+    { question_id: "X_01", dimension: "X", type: "likert_5" },
+    { question_id: "X_02", dimension: "X", type: "likert_5" },
+    { question_id: "X_03", dimension: "X", type: "multiple_choice", options: [{ value: "A" }, { value: "B" }] },
+    { question_id: "X_04", dimension: "X", type: "open_text" }
+  ];
+  const cfg = { multiple_choice_scores: { X_03: { A: 3, B: 3 } } };
+  const row = (a, b, letter) => ({ X_01: { response: a, score: a }, X_02: { response: b, score: b }, X_03: { response: letter, score: 3 } });
+  const cases = [row(1, 2, "A"), row(2, 3, "A"), row(4, 4, "B"), row(5, 5, "A")].map((items, i) => ({ case_id: `C${i}`, items }));
+
+  const { dimensions, flagged } = analyzeItems(cases, { question_bank: bank }, cfg);
+  const x = dimensions.X;
+  assert.equal(x.items_count, 3);
+  assert.equal(x.complete_cases, 4);
+  const x3 = x.items.find((i) => i.question_id === "X_03");
+  assert.deepEqual(x3.flags, ["NO_INFORMATION_MAP", "ZERO_VARIANCE", "ALPHA_IMPROVES_IF_DELETED"]);
+  assert.deepEqual(x3.options, [{ option: "A", score: 3, count: 3, share: 0.75 }, { option: "B", score: 3, count: 1, share: 0.25 }]);
+  assert.ok(x.items[0].item_total_r > 0.9);
+  assert.deepEqual(flagged, [{ question_id: "X_03", dimension: "X", flags: ["NO_INFORMATION_MAP", "ZERO_VARIANCE", "ALPHA_IMPROVES_IF_DELETED"] }]);
+});
+
+test("the shipped RP_03 map scores every option alike", () => {
+  const { flagged } = analyzeItems([], instrument, scoring);
+  assert.deepEqual(flagged, [{ question_id: "RP_03", dimension: "RP", flags: ["NO_INFORMATION_MAP"] }]);
+});
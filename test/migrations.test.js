@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { planMigration, rescaleValue, migrateResponses } = require("../migrations");
+
+const maps = [
+  {
+    file: "v1_to_v2.map.json",
+    from_version: "1.0",
+    to_version: "2.0",
+    question_id_map: { MA_02: "MA_12" },
+    dropped_question_ids: ["DI_99"],
+    scale_changes: { likert_5_to_likert_7: ["DI_02"] }
+  },
+  {
+    file: "v2_to_v3.map.json",
+    from_version: "2.0",
+    to_version: "3.0",
+    question_id_map: { MA_12: "MA_20" },
+    dropped_question_ids: [],
+    scale_changes: {}
+  }
+];
+
+test("rescaleValue keeps the scale ends and maps linearly in between", () => {
+  assert.equal(rescaleValue(1, 5, 7), 1);
+  assert.equal(rescaleValue(5, 5, 7), 7);
+  assert.equal(rescaleValue(3, 5, 7), 4);
+  assert.equal(rescaleValue(2, 5, 7), 2.5);
+  assert.equal(rescaleValue(4, 7, 5), 3);
+  assert.equal(rescaleValue("n/a", 5, 7), "n/a");
+});
+
+test("planMigration chains maps forwards and backwards", () => {
+  assert.deepEqual(planMigration("1.0", "1.0", maps), []);
+  assert.deepEqual(planMigration("1.0", "3.0", maps).map((s) => [s.from, s.to, s.direction]), [
+    ["1.0", "2.0", "forward"],
+    ["2.0", "3.0", "forward"]
+  ]);
+  const back = planMigration("3.0", "1.0", maps);
+  assert.deepEqual(back.map((s) => [s.from, s.to, s.direction]), [
+    ["3.0", "2.0", "reverse"],
+    ["2.0", "1.0", "reverse"]
+  ]);
+  assert.deepEqual(back[1].rename, { MA_12: "MA_02" });
+  assert.equal(back[1].dropped.size, 0);
+  assert.equal(planMigration("1.0", "9.0", maps), null);
+});
+
+test("migrateResponses renames, rescales and drops answers and records the path", () => {
+  const responses = {
+    meta: { case_id: "C1", instrument_version: "1.0" },
+    answers: [
+      { question_id: "DI_02", type: "likert_5", response: 3 },
+      { question_id: "MA_02", type: "multiple_choice", response: "B" },
+      { question_id: "DI_99", type: "likert_5", response: 4 }
+    ],
+    question_flow: [{ question_id: "DI_99", status: "shown" }, { question_id: "MA_02", status: "shown" }]
+  };
+  const out = migrateResponses(responses, "3.0", { maps });
+
+  assert.equal(out.meta.instrument_version, "3.0");
+  assert.deepEqual(out.answers.map((a) => [a.question_id, a.type, a.response]), [
+    ["DI_02", "likert_7", 4],
+    ["MA_20", "multiple_choice", "B"]
+  ]);
+  assert.deepEqual(out.answers[1].migrated_from, { question_id: "MA_02", response: "B", instrument_version: "1.0" });
+  assert.deepEqual(out.question_flow, [{ question_id: "MA_20", status: "shown" }]);
+
+  const record = out.meta.migrations[0];
+  assert.deepEqual(record.path, ["1.0", "2.0", "3.0"]);
+  assert.deepEqual(record.dropped.map((d) => d.question_id), ["DI_99"]);
+  assert.equal(responses.answers.length, 3, "input is not modified");
+});
+
+test("migrating back restores ids and scale", () => {
+  const v1 = { meta: { instrument_version: "1.0" }, answers: [{ question_id: "DI_02", type: "likert_5", response: 2 }] };
+  const roundTrip = migrateResponses(migrateResponses(v1, "2.0", { maps }), "1.0", { maps });
+  assert.deepEqual(roundTrip.answers.map((a) => [a.question_id, a.type, a.response]), [["DI_02", "likert_5", 2]]);
+  assert.throws(() => migrateResponses(v1, "9.0", { maps }), /No migration path/);
+});
@@ -0,0 +1,74 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { summarizeRaters } = require("../multirater");
+const { multi_rater: cfg } = require("../schemas/scoring.v1.json");
+
+const dims = ["DI", "RP"];
+const self = [
+  { question_id: "DI_01", dimension: "DI", score: 5 },
+  { question_id: "RP_01", dimension: "RP", score: 2 }
+];
+let next = 0;
+function rater(group, { DI = 3, RP = 3 } = {}) {
+  const items = [];
+  if (DI !== null) items.push({ question_id: "DI_01", dimension: "DI", score: DI });
+  if (RP !== null) items.push({ question_id: "RP_01", dimension: "RP", score: RP });
+  return { rater_id: `R${++next}`, group, items };
+}
+const times = (n, fn) => Array.from({ length: n }, fn);
+
+test("reported groups and others give self-other gaps", () => {
+  const out = summarizeRaters(self, [...times(3, () => rater("peer")), ...times(3, () => rater("direct_report", { DI: 4 }))], cfg, dims);
+  assert.equal(out.groups.peer.reported, true);
+  assert.deepEqual(out.groups.direct_report.dimensions, { DI: 4, RP: 3 });
+  assert.deepEqual(out.others.dimensions, { DI: 3.5, RP: 3 });
+  assert.deepEqual(out.gaps.DI, { self: 5, others: 3.5, gap: 1.5, flag: "BLIND_SPOT", by_group: { peer: 2, direct_report: 1 } });
+  assert.equal(out.gaps.RP.flag, "HIDDEN_STRENGTH");
+  assert.deepEqual(out.blind_spots, ["DI"]);
+});
+
+test("a suppressed pooled group withholds the other pooled groups too", () => {
+  const out = summarizeRaters(self, [...times(3, () => rater("peer")), ...times(2, () => rater("direct_report", { DI: 1 }))], cfg, dims);
+  assert.equal(out.groups.direct_report.reported, false);
+  assert.equal(out.groups.direct_report.dimensions, null);
+  // Peers alone plus the others pool would give the direct reports' mean away.
+  assert.equal(out.groups.peer.reported, false);
+  assert.equal(out.groups.peer.dimensions, null);
+  assert.equal(out.others.n, 5);
+  assert.equal(out.others.dimensions.DI, 2.2);
+  assert.deepEqual(out.gaps.DI.by_group, {});
+  assert.ok(out.notes.some((n) => /Peers: withheld/.test(n)));
+});
+
+test("a dimension too few raters of one group answered is withheld for every pooled group", () => {
+  const raters = [
+    ...times(3, () => rater("peer")),
+    rater("direct_report", { RP: 1 }),
+    ...times(2, () => rater("direct_report", { RP: null }))
+  ];
+  const out = summarizeRaters(self, raters, cfg, dims);
+  assert.equal(out.groups.direct_report.reported, true);
+  assert.deepEqual(out.groups.direct_report.dimensions, { DI: 3, RP: null });
+  assert.deepEqual(out.groups.peer.dimensions, { DI: 3, RP: null });
+  assert.ok(out.notes.some((n) => /Peers RP: withheld/.test(n)));
+});
+
+test("a single manager is never reported on their own, whatever the config says", () => {
+  const loose = { ...cfg, rater_groups: { ...cfg.rater_groups, manager: { label: "Manager", min_raters: 1, pooled: false } } };
+  for (const c of [cfg, loose]) {
+    const out = summarizeRaters(self, [...times(3, () => rater("peer")), rater("manager", { DI: 1 })], c, dims);
+    assert.equal(out.groups.manager.min_raters, 2);
+    assert.equal(out.groups.manager.reported, false);
+    assert.equal(out.groups.manager.dimensions, null);
+    assert.equal(out.others.n, 3);
+    assert.equal(out.gaps.DI.by_group.manager, undefined);
+  }
+});
+
+test("unknown groups and unreadable observer answers are ignored", () => {
+  const out = summarizeRaters(self, [{ rater_id: "X", group: "friend", items: [] }, { rater_id: "Y", error: "bad" }], cfg, dims);
+  assert.equal(out.raters_total, 0);
+  assert.equal(out.others.reported, false);
+  assert.equal(out.gaps.DI.flag, "INSUFFICIENT_RATERS");
+  assert.equal(summarizeRaters(self, [], cfg, dims).status, "NONE");
+});
@@ -0,0 +1,37 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { detectFormat, normalizeResponses } = require("../normalize_responses");
+const legacy = require("./fixtures/legacy_responses.json");
+
+test("legacy scores shared by several options are reported, not guessed", () => {
+  const { responses, report, errors } = normalizeResponses(legacy);
+  assert.deepEqual(errors, []);
+  assert.equal(report.source_format, "legacy");
+
+  const ambiguous = report.unmapped.filter((u) => u.reason === "ambiguous score");
+  assert.deepEqual(ambiguous.map((u) => u.question_id).sort(), ["MA_05", "RP_16"]);
+  const answered = new Set(responses.answers.map((a) => a.question_id));
+  assert.equal(answered.has("MA_05"), false);
+  assert.equal(answered.has("RP_16"), false);
+  assert.equal(report.warnings.some((w) => /using the first/.test(w)), false);
+});
+
+test("the format is read from the answers, not from raw metadata", () => {
+  const { canonicalCase } = require("./helpers");
+  const asIndexes = (values) => ({
+    ...legacy,
+    answers: legacy.answers.map((a) => (a.type === "single_choice" ? { ...a, value: values.shift() ?? a.value } : a))
+  });
+
+  assert.equal(legacy.raw, undefined);
+  assert.equal(detectFormat(legacy), "legacy");
+  assert.equal(detectFormat(asIndexes(["0", "2", "0", "1", "2", "0", "0", "0", "1", "2", "0", "1", "2", "0", "1", "2", "0"])), "intake");
+  assert.equal(detectFormat({ ...legacy, raw: { user_agent: "test" } }), "legacy");
+  assert.equal(detectFormat(canonicalCase("LRID-20260101-0001", () => undefined)), "canonical");
+  assert.equal(detectFormat({ answers: [{ question_id: "DI_01" }] }), null);
+
+  // DI-01 scores its options 1, 3, 4, 5: "3" is the fourth option's index and the second option's score.
+  const { report } = normalizeResponses({ ...legacy, answers: [{ ...legacy.answers[0], value: "3" }] });
+  assert.equal(report.source_format, "intake");
+  assert.ok(report.warnings.some((w) => /fit both option indexes and option scores/.test(w)));
+});
@@ -0,0 +1,74 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const norms = require("../norms");
+const pipeline = require("../pipeline");
+const { rescoreCase } = require("../rescore");
+const { tmpDirs, canonicalCase } = require("./helpers");
+
+const tmpDir = tmpDirs(test);
+
+const industries = ["finance", "finance", "finance", "tech", "tech"];
+const cases = [1, 2, 3, 4, 5].map((v, i) => ({
+  case_id: `C${i}`,
+  respondent: { industry: industries[i] },
+  dimension_scores: { DI: v },
+  aggregate_scores: { oi: v * 20 }
+}));
+
+test("describe and percentileRank interpolate on the 5-percentile grid", () => {
+  const stats = norms.describe([5, 1, 4, 2, 3]);
+  assert.equal(stats.mean, 3);
+  assert.equal(stats.sd, 1.581);
+  assert.equal(stats.percentiles.p50, 3);
+  assert.equal(norms.percentileRank(stats, 3), 50);
+  assert.equal(norms.percentileRank(stats, 2.5), 37.5);
+  assert.equal(norms.percentileRank(stats, 0.5), 0);
+  assert.equal(norms.percentileRank(stats, 6), 100);
+});
+
+test("groups below the minimum size are skipped, the all group included", () => {
+  const table = norms.buildNormTable(cases, { version: "v1", by: ["industry"], minN: 3 });
+  assert.deepEqual(Object.keys(table.groups).sort(), ["all", "industry:finance"]);
+  assert.deepEqual(table.skipped_groups, [{ group: "industry:tech", n: 2 }]);
+
+  const small = norms.buildNormTable(cases, { version: "v2", minN: 6 });
+  assert.deepEqual(small.groups, {});
+  assert.deepEqual(small.skipped_groups, [{ group: "all", n: 5 }]);
+  assert.equal(norms.applyNorms(small, { dimension_scores: { DI: 3 } }).status, "UNAVAILABLE");
+});
+
+test("applyNorms falls back to all and reports a missing pinned table", () => {
+  const table = norms.buildNormTable(cases, { version: "v1", by: ["industry"], minN: 3 });
+  const out = norms.applyNorms(table, { group: "industry", respondent: { industry: "Tech" }, dimension_scores: { DI: 4 } });
+  assert.equal(out.group, "all");
+  assert.equal(out.fallback_reason, "Norm group industry:tech not in table; using all");
+  assert.deepEqual(out.dimensions.DI, { score: 4, z: 0.63, percentile: 75 });
+
+  assert.deepEqual(norms.applyNorms(null, { version: "v9" }), { status: "UNAVAILABLE", norm_version: "v9", reason: "Norm table v9 not found" });
+});
+
+test("a rescore keeps the norm version the stored draft was scored with", () => {
+  const root = tmpDir();
+  const dirs = {};
+  for (const d of ["data", "approvals", "out", "norms"]) fs.mkdirSync((dirs[`${d}Dir`] = path.join(root, d)));
+  const writeTable = (version, shift) => {
+    const shifted = cases.map((c) => ({ ...c, dimension_scores: { DI: c.dimension_scores.DI + shift } }));
+    fs.writeFileSync(path.join(dirs.normsDir, `norms_${version}.json`), JSON.stringify(norms.buildNormTable(shifted, { version })));
+  };
+
+  writeTable("2026-01-01", 0);
+  const responses = canonicalCase("LRID-20260101-0003", () => undefined);
+  fs.writeFileSync(path.join(dirs.dataDir, "responses_LRID-20260101-0003.json"), JSON.stringify(responses));
+  const draft = pipeline.buildDraft(responses, { dirs });
+  assert.equal(draft.meta.provenance.norm_version, "2026-01-01");
+  pipeline.saveDraft(draft, dirs);
+
+  writeTable("2026-02-01", 1);
+  fs.utimesSync(path.join(dirs.normsDir, "norms_2026-02-01.json"), new Date(), new Date(Date.now() + 60000));
+  const { entry, draft: rescored } = rescoreCase("LRID-20260101-0003", { dirs });
+  assert.equal(rescored.meta.provenance.norm_version, "2026-01-01");
+  assert.equal(entry.status, "UNCHANGED");
+  assert.equal(pipeline.buildDraft(responses, { dirs }).meta.provenance.norm_version, "2026-02-01");
+});
@@ -0,0 +1,49 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const pipeline = require("../pipeline");
+const { tmpDirs, canonicalCase } = require("./helpers");
+
+const tmpDir = tmpDirs(test);
+
+function setup() {
+  const root = tmpDir();
+  const dirs = {};
+  for (const d of ["data", "approvals", "out", "norms"]) fs.mkdirSync((dirs[`${d}Dir`] = path.join(root, d)));
+  return dirs;
+}
+
+const draftOf = (caseId, dirs) => pipeline.buildDraft(canonicalCase(caseId, () => undefined), { dirs });
+
+test("payloads are built and saved per case", () => {
+  const dirs = setup();
+  const draft = draftOf("LRID-20260101-0001", dirs);
+  const payload = pipeline.buildPayload(draft, pipeline.createApproval(draft));
+  assert.equal(payload.case_id, "LRID-20260101-0001");
+  assert.equal(payload.decision_status, "APPROVE");
+  assert.equal(payload.meta.subject_name, "Test Person");
+  assert.deepEqual(payload.final_scoring.dimension_scores, draft.draft_scoring.dimension_scores);
+
+  assert.equal(pipeline.savePayload(payload, dirs), path.join(dirs.dataDir, "payload_LRID-20260101-0001.json"));
+  assert.deepEqual(pipeline.loadPayload("LRID-20260101-0001", dirs), JSON.parse(JSON.stringify(payload)));
+  assert.throws(() => pipeline.loadPayload("LRID-20260101-0002", dirs), (e) => e.code === "PAYLOAD_NOT_FOUND");
+});
+
+test("a DEBRIEF decision produces no payload", () => {
+  const dirs = setup();
+  const draft = draftOf("LRID-20260101-0001", dirs);
+  const approval = { ...pipeline.createApproval(draft), decision: { status: "DEBRIEF" } };
+  assert.throws(() => pipeline.buildPayload(draft, approval), (e) => e.code === "DEBRIEF_NO_PAYLOAD");
+});
+
+test("every render gets its own folder, even for the same case", async () => {
+  const dirs = setup();
+  const draft = draftOf("LRID-20260101-0001", dirs);
+  const payload = pipeline.buildPayload(draft, pipeline.createApproval(draft));
+  const [a, b] = await Promise.all([pipeline.renderReports(payload, dirs), pipeline.renderReports(payload, dirs)]);
+  assert.notEqual(a.outFolder, b.outFolder);
+  assert.match(a.outFolder, /^case_LRID-20260101-0001_/);
+  for (const f of Object.values(a.files)) assert.ok(fs.statSync(f).size > 0);
+  await assert.rejects(pipeline.renderReports({}, dirs), (e) => e.code === "MISSING_CASE_ID");
+});
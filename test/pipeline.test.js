@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const pipeline = require("../pipeline");
+const { tmpDirs, canonicalCase } = require("./helpers");
+
+const tmpDir = tmpDirs(test);
+
+function setup() {
+  const root = tmpDir();
+  const dirs = {};
+  for (const d of ["data", "approvals", "out", "norms"]) fs.mkdirSync((dirs[`${d}Dir`] = path.join(root, d)));
+  const write = (caseId) => {
+    const p = path.join(dirs.dataDir, `responses_${caseId}.json`);
+    fs.writeFileSync(p, JSON.stringify(canonicalCase(caseId, (q, i) => (q.type === "likert_5" ? (i % 5) + 1 : undefined))));
+    return p;
+  };
+  return { dirs, write };
+}
+
+test("runCase stops REVIEW drafts at the approval gate until an expert decides", async () => {
+  const { dirs, write } = setup();
+  const p = write("LRID-20260101-0001");
+  const gated = await pipeline.runCase(p, { dirs });
+  assert.equal(gated.awaitingReview, true);
+  assert.equal(gated.outFolder, null);
+  assert.deepEqual(gated.stages.map((s) => s.stage), ["responses", "score", "draft", "approval_template"]);
+  assert.match(gated.log, /Awaiting expert review \(REVIEW\)/);
+  assert.ok(!fs.existsSync(path.join(dirs.dataDir, "payload_LRID-20260101-0001.json")));
+
+  const approvalPath = path.join(dirs.approvalsDir, "approval_LRID-20260101-0001.json");
+  const approval = JSON.parse(fs.readFileSync(approvalPath, "utf8"));
+  approval.audit = { decision_at: "2026-01-02T00:00:00.000Z", decision_by: "operator" };
+  fs.writeFileSync(approvalPath, JSON.stringify(approval));
+
+  const result = await pipeline.runCase(p, { dirs });
+  assert.equal(result.awaitingReview, false);
+  assert.deepEqual(result.stages.map((s) => [s.stage, s.ok]), [
+    ["responses", true],
+    ["score", true],
+    ["draft", true],
+    ["approval_template", true],
+    ["payload", true],
+    ["pdf", true]
+  ]);
+  assert.ok(fs.existsSync(path.join(dirs.dataDir, "payload_LRID-20260101-0001.json")));
+  assert.ok(fs.existsSync(path.join(dirs.outDir, result.outFolder)));
+});
+
+test("a missing responses file fails in the responses stage", async () => {
+  const { dirs } = setup();
+  await assert.rejects(pipeline.runCase(path.join(dirs.dataDir, "responses_nope.json"), { dirs }), (e) => {
+    assert.equal(e.code, "RESPONSES_NOT_FOUND");
+    assert.equal(e.stage, "responses");
+    assert.deepEqual(e.stages.map((s) => [s.stage, s.ok]), [["responses", false]]);
+    return true;
+  });
+});
+
+test("case ids that would change when used in a file name are rejected", async () => {
+  const { dirs, write } = setup();
+  const p = write("ok");
+  fs.writeFileSync(p, JSON.stringify(canonicalCase("../../escape", () => undefined)));
+  await assert.rejects(pipeline.runCase(p, { dirs }), (e) => e.code === "INVALID_CASE_ID" && e.stage === "responses");
+  assert.throws(() => pipeline.ensureApproval({}, { caseId: "a/b", dirs }), (e) => e.code === "INVALID_CASE_ID");
+  assert.deepEqual(fs.readdirSync(dirs.approvalsDir), []);
+});
+
+test("concurrent runs of one case are serialised and both succeed", async () => {
+  const { dirs, write } = setup();
+  const p = write("LRID-20260101-0002");
+  const [a, b] = await Promise.all([pipeline.runCase(p, { dirs }), pipeline.runCase(p, { dirs })]);
+  assert.equal(a.stages.length, 4);
+  assert.equal(b.stages.length, 4);
+  assert.match(b.log, /Using approval/);
+});
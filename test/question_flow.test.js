@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { evaluateCondition, conditionProblems, resolveFlow, checkFlow } = require("../question_flow");
+
+const answers = { "DI-13": 0, "DI-02": 2, "AC-08": "text", "RP-04": "" };
+const valueOf = (id) => answers[id] ?? null;
+
+test("in / equals compare option indexes and letters", () => {
+  assert.equal(evaluateCondition({ question: "DI-13", in: [0, 2] }, valueOf), true);
+  assert.equal(evaluateCondition({ question: "DI-13", in: [1] }, valueOf), false);
+  assert.equal(evaluateCondition({ question: "DI-13", equals: 0 }, valueOf), true);
+  assert.equal(evaluateCondition({ question: "X", equals: "A" }, () => "A"), true);
+});
+
+test("lte / gte are numeric and false for unanswered questions", () => {
+  assert.equal(evaluateCondition({ question: "DI-02", lte: 2 }, valueOf), true);
+  assert.equal(evaluateCondition({ question: "DI-02", gte: 3 }, valueOf), false);
+  assert.equal(evaluateCondition({ question: "RP-04", lte: 5 }, valueOf), false);
+});
+
+test("answered treats blank text as unanswered", () => {
+  assert.equal(evaluateCondition({ question: "AC-08", answered: true }, valueOf), true);
+  assert.equal(evaluateCondition({ question: "RP-04", answered: false }, valueOf), true);
+});
+
+test("all / any / not combine conditions", () => {
+  const yes = { question: "DI-13", in: [0] };
+  const no = { question: "DI-02", gte: 4 };
+  assert.equal(evaluateCondition({ all: [yes, no] }, valueOf), false);
+  assert.equal(evaluateCondition({ any: [yes, no] }, valueOf), true);
+  assert.equal(evaluateCondition({ not: no }, valueOf), true);
+  assert.equal(evaluateCondition(null, valueOf), true);
+});
+
+test("unknown operators evaluate to false and are reported", () => {
+  assert.equal(evaluateCondition({ question: "DI-13", eq: 0 }, valueOf), false);
+  assert.equal(evaluateCondition({ question: "DI-02", gt: 1 }, valueOf), false);
+  assert.equal(evaluateCondition({ question: "DI-13" }, valueOf), false);
+  assert.match(conditionProblems({ any: [{ question: "DI-13", eq: 0 }] })[0], /unknown operator eq/);
+  assert.deepEqual(conditionProblems({ not: { question: "DI-13", in: [0] } }), []);
+});
+
+test("resolveFlow skips by show_if and branch, and follow-ups of skipped questions", () => {
+  const questions = [
+    { id: "Q1", branch: [{ if: { question: "Q1", equals: "skip" }, skip_to: "Q3" }] },
+    { id: "Q2" },
+    { id: "Q2-FU", show_if: { question: "Q2", answered: true } },
+    { id: "Q3" }
+  ];
+  const flow = resolveFlow(questions, (id) => ({ Q1: "skip", Q2: "stale answer" })[id] ?? null);
+  assert.deepEqual(
+    flow.map((f) => [f.id, f.status]),
+    [["Q1", "shown"], ["Q2", "skipped"], ["Q2-FU", "skipped"], ["Q3", "shown"]]
+  );
+});
+
+test("checkFlow reports bad operators, forward references and backward skips", () => {
+  const problems = checkFlow([
+    { id: "A", show_if: { question: "B", answered: true } },
+    { id: "B", show_if: { question: "A", gt: 1 }, branch: [{ if: { question: "B", in: [0] }, skip_to: "A" }] }
+  ]);
+  assert.ok(problems.some((p) => /A: condition refers to B, which is not asked before it/.test(p)));
+  assert.ok(problems.some((p) => /B: unknown operator gt/.test(p)));
+  assert.ok(problems.some((p) => /B: skip_to A is not after the question/.test(p)));
+});
@@ -0,0 +1,47 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { evaluateRedFlags, wordMatches } = require("../red_flags");
+const instrument = require("../schemas/instrument.v1.json");
+
+const rules = instrument.red_flag_rules;
+const settings = instrument.red_flag_settings;
+const text = (question_id, response) => ({ question_id, type: "open_text", response });
+const run = (answers, opts) => evaluateRedFlags(rules, answers, settings, opts);
+const item = (result, id) => result.items.find((i) => i.rf_id === id);
+
+test("Polish stems are not applied to English answers", () => {
+  // The stems themselves do match these words...
+  assert.equal(wordMatches("omin*", "ominous"), true);
+  assert.equal(wordMatches("termin*", "terminal"), true);
+  // ...so the PL list must stay off for English text.
+  const result = run([text("ED_11", "It seems ominous; the terminal results and the terminology worry me.")]);
+  assert.equal(item(result, "RF_ETH_01"), undefined);
+  assert.equal(result.high_stakes.status, "OFF");
+});
+
+test("Polish answers are matched with the PL list, by language or by detection", () => {
+  const pl = text("ED_11", "Pominę procedurę, bo termin jest nieprzekraczalny.");
+  const detected = item(run([pl]), "RF_ETH_01");
+  assert.equal(detected.status, "PRESENT");
+  assert.deepEqual(detected.evidence.matched_keywords, ["pomin*", "termin*"]);
+
+  const declared = run([text("ED_11", "pominac termin")], { language: "pl" });
+  assert.equal(item(declared, "RF_ETH_01").status, "PRESENT");
+  assert.equal(item(run([text("ED_11", "pominac termin")]), "RF_ETH_01"), undefined);
+});
+
+test("negation counts only within its clause", () => {
+  const negated = run([text("ED_11", "I would never bypass the rules.")]);
+  assert.equal(item(negated, "RF_ETH_01"), undefined);
+
+  const otherClause = run([text("ED_11", "Not ideal, but I would bypass it.")]);
+  assert.deepEqual(item(otherClause, "RF_ETH_01").evidence.matched_keywords, ["bypass"]);
+});
+
+test("RF_PWR_02 scans the DI_13_FU follow-up only", () => {
+  const pressure = "There was no time, it was a crisis and I decided myself.";
+  assert.equal(item(run([text("AC_08", pressure)]), "RF_PWR_02"), undefined);
+  const hit = item(run([text("DI_13_FU", pressure)]), "RF_PWR_02");
+  assert.equal(hit.status, "PRESENT");
+  assert.deepEqual(hit.evidence.question_ids, ["DI_13_FU"]);
+});
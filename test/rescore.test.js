@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { loadConfigs } = require("../provenance");
+const { rescoreCase, diffSnapshots } = require("../rescore");
+const pipeline = require("../pipeline");
+const { tmpDirs, canonicalCase } = require("./helpers");
+
+const tmpDir = tmpDirs(test);
+const ROOT = path.join(__dirname, "..");
+const CONFIGS = ["schemas/instrument.v1.json", "schemas/scoring.v1.json", "schemas/consistency.v1.json", "schemas/question_map.v1.json", "config/questions.lrid.v1.json"];
+
+test("provenance hashes the exact config bytes", () => {
+  const { provenance } = loadConfigs(ROOT);
+  const bytes = fs.readFileSync(path.join(ROOT, "schemas/scoring.v1.json"));
+  assert.equal(provenance.config_hashes.scoring, "sha256:" + crypto.createHash("sha256").update(bytes).digest("hex"));
+  assert.deepEqual(Object.keys(provenance.config_hashes), ["instrument", "scoring", "consistency", "question_map", "intake_config"]);
+
+  // Same JSON, different bytes: a different stamp.
+  const copy = tmpDir();
+  for (const f of CONFIGS) {
+    fs.mkdirSync(path.dirname(path.join(copy, f)), { recursive: true });
+    fs.copyFileSync(path.join(ROOT, f), path.join(copy, f));
+  }
+  assert.equal(loadConfigs(copy).provenance.config_hash, provenance.config_hash);
+  fs.appendFileSync(path.join(copy, "schemas/scoring.v1.json"), "\n");
+  const changed = loadConfigs(copy).provenance;
+  assert.notEqual(changed.config_hashes.scoring, provenance.config_hashes.scoring);
+  assert.equal(changed.config_hashes.instrument, provenance.config_hashes.instrument);
+  assert.notEqual(changed.config_hash, provenance.config_hash);
+});
+
+test("diffSnapshots ignores rounding noise and reports band and confidence changes", () => {
+  const snap = (DI, band, level) => ({ dimensions: { DI }, dimension_bands: { DI: band }, indices: {}, index_bands: {}, confidence: { score: 0.8, level } });
+  assert.equal(diffSnapshots(snap(3, "Mixed", "High"), snap(3.004, "Mixed", "High")).changed, false);
+  const { changed, changes } = diffSnapshots(snap(3, "Mixed", "High"), snap(2.5, "Risk Zone", "Medium"));
+  assert.equal(changed, true);
+  assert.deepEqual(changes.dimensions, [{ key: "DI", before: 3, after: 2.5, delta: -0.5 }]);
+  assert.deepEqual(changes.dimension_bands, [{ key: "DI", before: "Mixed", after: "Risk Zone" }]);
+  assert.deepEqual(changes.confidence, [{ key: "level", before: "High", after: "Medium" }]);
+});
+
+test("rescoreCase compares with the stored draft without writing it", () => {
+  const root = tmpDir();
+  const dirs = {};
+  for (const d of ["data", "approvals", "out", "norms"]) fs.mkdirSync((dirs[`${d}Dir`] = path.join(root, d)));
+  const caseId = "LRID-20260101-0001";
+  const responses = canonicalCase(caseId, () => undefined);
+  fs.writeFileSync(path.join(dirs.dataDir, `responses_${caseId}.json`), JSON.stringify(responses));
+
+  assert.equal(rescoreCase(caseId, { dirs }).entry.status, "NEW");
+
+  const draft = pipeline.buildDraft(responses, { dirs });
+  const draftPath = pipeline.saveDraft(draft, dirs);
+  const same = rescoreCase(caseId, { dirs }).entry;
+  assert.equal(same.status, "UNCHANGED");
+  assert.equal(same.config_changed, false);
+
+  const stale = { ...draft, meta: { ...draft.meta, provenance: undefined } };
+  stale.draft_scoring = { ...draft.draft_scoring, dimension_scores: { ...draft.draft_scoring.dimension_scores, DI: 1 } };
+  fs.writeFileSync(draftPath, JSON.stringify(stale));
+  const changed = rescoreCase(caseId, { dirs }).entry;
+  assert.equal(changed.status, "CHANGED");
+  assert.equal(changed.config_changed, null);
+  assert.equal(changed.changes.dimensions[0].key, "DI");
+  assert.equal(JSON.parse(fs.readFileSync(draftPath, "utf8")).draft_scoring.dimension_scores.DI, 1);
+});
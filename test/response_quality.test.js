@@ -0,0 +1,70 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { analyzeResponseQuality } = require("../response_quality");
+const { runScoring } = require("../scoring_engine");
+const shippedInstrument = require("../schemas/instrument.v1.json");
+const shippedScoring = require("../schemas/scoring.v1.json");
+
+const instrument = {
+  min_expected_seconds: 0,
+  response_quality: { straight_line_min_run: 4, min_items_for_patterns: 4 },
+  question_bank: [
+    ...["Q1", "Q2", "Q3", "Q4", "Q5"].map((id) => ({ question_id: id, type: "multiple_choice" })),
+    { question_id: "L1", type: "likert_5" },
+    { question_id: "L2", type: "likert_7" }
+  ]
+};
+
+function responses(values) {
+  return { answers: Object.entries(values).map(([question_id, response]) => ({ question_id, response })) };
+}
+
+test("runs compare item scores, not repeated multiple-choice letters", () => {
+  const letters = responses({ Q1: "A", Q2: "A", Q3: "A", Q4: "A", Q5: "A" });
+  const varied = analyzeResponseQuality(letters, instrument, { Q1: 1, Q2: 4, Q3: 2, Q4: 5, Q5: 3 });
+  assert.equal(varied.patterns.longest_identical_run.length, 1);
+  assert.equal(varied.flags.straight_lining, false);
+
+  const same = analyzeResponseQuality(letters, instrument, { Q1: 5, Q2: 5, Q3: 5, Q4: 5, Q5: 1 });
+  assert.deepEqual(same.patterns.longest_identical_run.question_ids, ["Q1", "Q2", "Q3", "Q4"]);
+  assert.equal(same.flags.straight_lining, true);
+});
+
+test("a run breaks where the scale family changes and skips items that always score alike", () => {
+  const answers = responses({ Q3: "A", Q4: "B", Q5: "C", L1: 4, L2: 4 });
+  const scores = { Q3: 4, Q4: 4, Q5: 4, L1: 4, L2: 4 };
+  const q = analyzeResponseQuality(answers, instrument, scores);
+  assert.deepEqual(q.patterns.longest_identical_run.question_ids, ["Q3", "Q4", "Q5", "L1"]);
+
+  const scoring = { multiple_choice_scores: { Q4: { A: 4, B: 4 } } };
+  const skipped = analyzeResponseQuality(answers, instrument, scores, { scoring });
+  assert.deepEqual(skipped.patterns.longest_identical_run.question_ids, ["Q3", "Q5", "L1"]);
+  assert.equal(skipped.flags.straight_lining, false);
+});
+
+// Canonical answers for the shipped instrument; pick(question) chooses the response.
+function shippedCase(pick) {
+  const answers = shippedInstrument.question_bank
+    .filter((q) => q.type !== "open_text")
+    .map((q) => ({ question_id: q.question_id, dimension: q.dimension, type: q.type, response: pick(q) }));
+  return { meta: { case_id: "T-QUALITY", instrument_id: "LRID", instrument_version: shippedInstrument.instrument_version }, answers };
+}
+
+test("the shipped thresholds can flag straight-lining on the shipped instrument", () => {
+  const reversed = new Set(shippedScoring.reverse_scored_question_ids);
+  const best = (q) => {
+    if (q.type !== "multiple_choice") return reversed.has(q.question_id) ? 1 : 5;
+    const m = shippedScoring.multiple_choice_scores[q.question_id];
+    return Object.keys(m).find((k) => m[k] === Math.max(...Object.values(m)));
+  };
+  const flagged = runScoring({ responses: shippedCase(best), norms: false }).quality;
+  assert.ok(flagged.patterns.longest_identical_run.length >= shippedInstrument.response_quality.straight_line_min_run);
+  assert.ok(flagged.patterns.scored_items_checked >= shippedInstrument.response_quality.min_items_for_patterns);
+  assert.equal(flagged.flags.straight_lining, true);
+
+  // Cycling through the options gives no long run of equal scores.
+  let i = 0;
+  const cycle = (q) => (q.type === "multiple_choice" ? q.options[i++ % q.options.length].value : (i++ % 5) + 1);
+  const mixed = runScoring({ responses: shippedCase(cycle), norms: false }).quality;
+  assert.equal(mixed.flags.straight_lining, false);
+});
@@ -0,0 +1,79 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const sessions = require("../sessions");
+const { normalizeResponses } = require("../normalize_responses");
+const { tmpDirs } = require("./helpers");
+
+const tmpDir = tmpDirs(test);
+const TEXT = "I would ask the client and my manager before signing anything.";
+
+// Answers the current question: the given option label, else the first option; scales 3; text TEXT.
+function answer(session, labelFor = {}) {
+  const { question: q } = sessions.nextQuestion(session);
+  if (q.type === "open_text") return sessions.recordAnswer(session, { questionId: q.id, text: TEXT });
+  const label = labelFor[q.id] ?? (q.type === "scale" ? q.options[2].label : q.options[0].label);
+  return sessions.recordAnswer(session, { questionId: q.id, label });
+}
+
+test("a new session is stored and starts at the first shown question", () => {
+  const dir = tmpDir();
+  const session = sessions.createSession(dir, { source: "test" });
+  assert.ok(sessions.isValidSessionId(session.sessionId));
+  assert.deepEqual(sessions.loadSession(dir, session.sessionId), session);
+  const next = sessions.nextQuestion(session);
+  assert.equal(next.question.id, "DI-01");
+  assert.deepEqual(next.progress, { index: 1, total: 22 });
+  assert.equal(sessions.loadSession(dir, "sess_0000000000000000"), null);
+  assert.throws(() => sessions.loadSession(dir, "../x"), /Invalid session id/);
+});
+
+test("answers must belong to the current question and match an option", () => {
+  const session = sessions.createSession(tmpDir());
+  assert.throws(() => sessions.recordAnswer(session, { questionId: "DI-02", score: 3 }), /Expected answer for DI-01, got DI-02/);
+  assert.throws(() => sessions.recordAnswer(session, { questionId: "DI-01", score: 2 }), /Unknown option for DI-01/);
+  sessions.recordAnswer(session, { questionId: "DI-01", score: 4, timeMs: 1234.4 });
+  assert.deepEqual(
+    { ...session.responses[0], answeredAt: undefined },
+    { questionId: "DI-01", timeMs: 1234, answeredAt: undefined, valueScore: 4, optionLabel: "Pause and seek an alternative legitimate source", optionIndex: 2 }
+  );
+  sessions.recordAnswer(session, { questionId: "DI-02", score: 5 });
+  assert.equal(sessions.nextQuestion(session).question.id, "DI-13");
+});
+
+test("progress counts the follow-up only once its condition is met", () => {
+  const session = sessions.createSession(tmpDir());
+  answer(session);
+  answer(session);
+  answer(session); // DI-13, first option: shows the follow-up
+  const next = sessions.nextQuestion(session);
+  assert.equal(next.question.id, "DI-13-FU");
+  assert.deepEqual(next.progress, { index: 4, total: 23 });
+  assert.throws(() => sessions.recordAnswer(session, { questionId: "DI-13-FU", text: "no" }), /at least 30 characters/);
+
+  const other = sessions.createSession(tmpDir());
+  answer(other);
+  answer(other);
+  const options = sessions.nextQuestion(other).question.options;
+  answer(other, { "DI-13": options[2].label });
+  const after = sessions.nextQuestion(other);
+  assert.equal(after.question.id, "DI-14");
+  assert.deepEqual(after.progress, { index: 4, total: 22 });
+});
+
+test("a completed session converts to intake responses that normalize cleanly", () => {
+  const session = sessions.createSession(tmpDir(), { email: "a@example.com" });
+  while (!sessions.nextQuestion(session).done) answer(session, { "DI-13": "Renegotiate the clause, even at the cost of the contract" });
+  assert.deepEqual(sessions.nextQuestion(session).progress, { index: 22, total: 22 });
+
+  const responses = sessions.sessionToResponses(session, "LRID-20260101-0001");
+  assert.ok(sessions.isValidCaseId(responses.case_id));
+  assert.deepEqual(responses.question_flow.find((f) => f.question_id === "DI-13-FU").status, "skipped");
+  assert.equal(responses.answers.length, 22);
+
+  const { report, errors } = normalizeResponses(responses);
+  assert.deepEqual(errors, []);
+  assert.equal(report.source_format, "intake");
+  assert.deepEqual(report.unmapped, []);
+});
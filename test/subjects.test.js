@@ -0,0 +1,53 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const subjects = require("../subjects");
+const { tmpDirs } = require("./helpers");
+
+const tmpDir = tmpDirs(test);
+
+// S_diff = sqrt(2) * 1 * sqrt(1 - 0.75) = 0.71, so the reliable-change threshold is 1.39.
+const scoring = { reliable_change: { sd_source: "config", sd: { default: 1 }, reliability: { default: 0.75 }, z_critical: 1.96 } };
+
+function writeDraft(dataDir, caseId, dimension_scores, aggregate_scores) {
+  const draft = { draft_scoring: { dimension_scores, dimension_bands: {}, aggregate_scores, aggregate_bands: {} } };
+  fs.writeFileSync(path.join(dataDir, `draft_${caseId}.json`), JSON.stringify(draft));
+}
+
+test("retests with the same email land on one subject", () => {
+  const dataDir = tmpDir();
+  const a = subjects.linkCase(dataDir, "LRID-20260101-0001", { email: "Ana@Example.com " });
+  const b = subjects.linkCase(dataDir, "LRID-20260301-0002", { email: "ana@example.com" });
+  assert.equal(a.created, true);
+  assert.equal(b.subject_id, a.subject_id);
+  assert.equal(subjects.linkCase(dataDir, "LRID-20260301-0002").already_linked, true);
+  assert.ok(!JSON.stringify(subjects.loadRegistry(dataDir)).includes("example.com"));
+});
+
+test("subjectTrend reports the reliable-change index per dimension and index", () => {
+  const dataDir = tmpDir();
+  const { subject_id } = subjects.linkCase(dataDir, "LRID-20260101-0001", { email: "a@example.com" });
+  subjects.linkCase(dataDir, "LRID-20260301-0002", { subjectId: subject_id });
+  writeDraft(dataDir, "LRID-20260101-0001", { DI: 3, RP: 4, MA: 3 }, { oi: 60 });
+  writeDraft(dataDir, "LRID-20260301-0002", { DI: 3.5, RP: 2, MA: 4.5 }, {});
+
+  const trend = subjects.subjectTrend(subject_id, { dataDir, scoring });
+  assert.equal(trend.assessments.length, 2);
+  const { dimensions, indices } = trend.baseline_to_latest;
+  assert.deepEqual(dimensions.DI, { before: 3, after: 3.5, band_before: null, band_after: null, delta: 0.5, rci: 0.71, status: "NO_RELIABLE_CHANGE", reliable_change_threshold: 1.39 });
+  assert.equal(dimensions.RP.rci, -2.83);
+  assert.equal(dimensions.RP.status, "DECLINED");
+  assert.equal(dimensions.MA.rci, 2.12);
+  assert.equal(dimensions.MA.status, "IMPROVED");
+  assert.equal(indices.oi.status, "NOT_AVAILABLE");
+});
+
+test("cases without scores are listed as unscored", () => {
+  const dataDir = tmpDir();
+  const { subject_id } = subjects.linkCase(dataDir, "LRID-20260101-0001", { email: "b@example.com" });
+  const trend = subjects.subjectTrend(subject_id, { dataDir, scoring });
+  assert.deepEqual(trend.unscored_cases, ["LRID-20260101-0001"]);
+  assert.equal(trend.baseline_to_latest, null);
+  assert.equal(subjects.subjectTrend("SUBJ-missing", { dataDir, scoring }), null);
+});
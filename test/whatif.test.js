@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { simulateCase, applyChanges } = require("../whatif");
+const instrument = require("../schemas/instrument.v1.json");
+const { tmpDirs, canonicalCase } = require("./helpers");
+
+const tmpDir = tmpDirs(test);
+const responses = canonicalCase("LRID-20260101-0001", () => undefined);
+
+test("applyChanges rejects unknown questions and invalid values", () => {
+  const changes = { XX_99: 3, DI_02: 6, RP_04: 2.5, DI_01: "E", AC_08: 4 };
+  assert.throws(() => applyChanges(responses, changes, instrument), (e) => {
+    assert.equal(e.code, "INVALID_CHANGES");
+    assert.deepEqual(e.details, [
+      { field: "XX_99", message: "unknown question" },
+      { field: "DI_02", message: "must be an integer 1-5" },
+      { field: "RP_04", message: "must be an integer 1-5" },
+      { field: "DI_01", message: "must be one of A, B, C, D" },
+      { field: "AC_08", message: "must be text" }
+    ]);
+    return true;
+  });
+});
+
+test("applyChanges replaces answers and null removes one", () => {
+  const out = applyChanges(responses, { DI_02: 1, ED_12: "B", PR_21: null }, instrument);
+  const byId = Object.fromEntries(out.answers.map((a) => [a.question_id, a]));
+  assert.equal(byId.DI_02.response, 1);
+  assert.equal(byId.ED_12.response, "B");
+  assert.equal(byId.PR_21, undefined);
+  assert.equal(out.answers.length, responses.answers.length - 1);
+  // The stored responses are not touched.
+  assert.equal(responses.answers.find((a) => a.question_id === "PR_21").response, "A");
+});
+
+test("simulateCase reports deltas without writing anything", () => {
+  const dataDir = tmpDir();
+  const dirs = { dataDir, normsDir: path.join(dataDir, "norms") };
+  fs.writeFileSync(path.join(dataDir, "responses_LRID-20260101-0001.json"), JSON.stringify(responses));
+
+  const out = simulateCase("LRID-20260101-0001", { DI_02: 5 }, { dirs });
+  assert.equal(out.case_id, "LRID-20260101-0001");
+  assert.ok(out.deltas.dimensions.DI.delta > 0);
+  assert.equal(out.deltas.dimensions.RP.delta, 0);
+  assert.equal(out.items.find((i) => i.question_id === "DI_02").response, 3);
+  assert.deepEqual(fs.readdirSync(dataDir), ["responses_LRID-20260101-0001.json"]);
+
+  assert.throws(() => simulateCase("LRID-20260101-0001", ["DI_02"], { dirs }), (e) => e.code === "INVALID_CHANGES");
+  assert.throws(() => simulateCase("LRID-20260101-0009", {}, { dirs }), (e) => e.code === "RESPONSES_NOT_FOUND");
+});
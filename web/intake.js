@@ -1,10 +1,34 @@
 /* LRID™ Intake – robust version with visible status + logs
    Loads:  /config/questions.lrid.v1.json
    Saves:  POST /api/intake/submit -> data/responses_<case_id>.json
+   Observer (360°) mode: /?observer=<case_id>&group=peer|direct_report|manager&token=<invite>
+           shows observer_text questions only and saves via POST /api/observer/submit;
+           the single-use invite link comes from the review panel
+   Cohort:  /?cohort=<tag> tags the submitted case for cohort reporting
+   Flow:    questions with show_if / branch conditions (/question_flow.js) are
+            hidden while their conditions are not met and are not required
 */
 
 let LRID_QUESTIONS = null;
 
+const OBSERVER = (() => {
+  const params = new URLSearchParams(window.location.search);
+  const caseId = params.get("observer");
+  return caseId ? { caseId, group: params.get("group") || "", token: params.get("token") || "" } : null;
+})();
+
+const COHORT = new URLSearchParams(window.location.search).get("cohort") || "";
+
+// In observer mode only questions with an observer phrasing are asked.
+function askedQuestions(dim) {
+  const qs = dim.questions || [];
+  return OBSERVER ? qs.filter((q) => q.observer_text) : qs;
+}
+
+function questionText(q) {
+  return OBSERVER ? q.observer_text : q.text;
+}
+
 function $(id) {
   return document.getElementById(id);
 }
@@ -74,7 +98,7 @@ function createEl(tag, attrs = {}, children = []) {
 function flattenQuestions(data) {
   const all = [];
   (data.dimensions || []).forEach((dim) => {
-    (dim.questions || []).forEach((q) => {
+    askedQuestions(dim).forEach((q) => {
       all.push({
         ...q,
         dimension_id: dim.id,
@@ -115,12 +139,24 @@ function renderApp(data) {
   const app = $("app");
   app.innerHTML = "";
 
+  const groupLabel = OBSERVER ? data.meta?.observer?.rater_groups?.[OBSERVER.group] : null;
+  if (OBSERVER && !groupLabel) {
+    setStatus(`Unknown rater group "${OBSERVER.group}". Please use the link you were sent.`, "error");
+    return;
+  }
+  if (OBSERVER && !OBSERVER.token) {
+    setStatus("This observer link has no invite token. Please use the link you were sent.", "error");
+    return;
+  }
+
   app.appendChild(
     createEl("div", { className: "card" }, [
-      createEl("h1", { text: `${data.meta?.tool || "LRID™"} – Intake` }),
+      createEl("h1", { text: `${data.meta?.tool || "LRID™"} – ${OBSERVER ? "Observer questionnaire" : "Intake"}` }),
       createEl("div", {
         className: "muted",
-        text: `${data.meta?.note || ""} Estimated time: ${data.meta?.estimated_time_minutes || 45} minutes.`
+        text: OBSERVER
+          ? `${data.meta?.observer?.note || ""} You are answering as: ${groupLabel}. Your answers are anonymous.`
+          : `${data.meta?.note || ""} Estimated time: ${data.meta?.estimated_time_minutes || 45} minutes.`
       }),
       createEl("div", {
         className: "muted",
@@ -131,7 +167,7 @@ function renderApp(data) {
 
   const form = createEl("form", { id: "lridForm" });
 
-  // respondent block
+  // respondent block (observers stay anonymous)
   const respondentCard = createEl("div", { className: "card" });
   respondentCard.appendChild(createEl("h2", { text: "Respondent details" }));
   respondentCard.appendChild(
@@ -155,16 +191,17 @@ function renderApp(data) {
         `style="width:100%;padding:8px;border:1px solid #ddd;border-radius:10px" placeholder="Company / Institution">`
     })
   );
-  form.appendChild(respondentCard);
+  if (!OBSERVER) form.appendChild(respondentCard);
 
   // questions
   (data.dimensions || []).forEach((dim) => {
+    if (!askedQuestions(dim).length) return;
     const section = createEl("section", { className: "card" });
     section.appendChild(createEl("h2", { text: dim.name }));
 
-    (dim.questions || []).forEach((q) => {
-      const block = createEl("div", { className: "question" });
-      block.appendChild(createEl("p", { text: q.text }));
+    askedQuestions(dim).forEach((q) => {
+      const block = createEl("div", { className: "question", "data-qid": q.id });
+      block.appendChild(createEl("p", { text: questionText(q) }));
 
       if (q.time_limit_seconds) {
         block.appendChild(createEl("div", { className: "muted", text: `Time guidance: ~${q.time_limit_seconds}s` }));
@@ -229,6 +266,10 @@ function renderApp(data) {
 
   const startedAt = nowIso();
 
+  const allQs = flattenQuestions(LRID_QUESTIONS);
+  form.addEventListener("change", () => applyFlow(form, allQs));
+  form.addEventListener("input", () => applyFlow(form, allQs));
+
   form.addEventListener("submit", async (e) => {
     e.preventDefault();
     console.log("[LRID] submit clicked");
@@ -237,11 +278,12 @@ function renderApp(data) {
     if (btn) btn.disabled = true;
 
     try {
-      const caseId = makeCaseId();
+      const caseId = OBSERVER ? OBSERVER.caseId : makeCaseId();
       const submittedAt = nowIso();
 
-      const allQs = flattenQuestions(LRID_QUESTIONS);
-      const answers = collectAnswers(form, allQs);
+      const flow = applyFlow(form, allQs);
+      const shown = new Set(flow.filter((f) => f.status === "shown").map((f) => f.id));
+      const answers = collectAnswers(form, allQs.filter((q) => shown.has(q.id)));
 
       const missing = answers.filter((a) => !a.value).map((a) => a.question_id);
       if (missing.length > 0) {
@@ -254,18 +296,23 @@ function renderApp(data) {
         tool: LRID_QUESTIONS.meta?.tool || "LRID™",
         version: LRID_QUESTIONS.meta?.version || "1.0",
         timestamps: { started_at: startedAt, submitted_at: submittedAt },
-        respondent: {
-          name: (form.elements["respondent_name"]?.value || "").trim(),
-          email: (form.elements["respondent_email"]?.value || "").trim(),
-          organization: (form.elements["respondent_org"]?.value || "").trim()
-        },
+        respondent: OBSERVER
+          ? {}
+          : {
+              name: (form.elements["respondent_name"]?.value || "").trim(),
+              email: (form.elements["respondent_email"]?.value || "").trim(),
+              organization: (form.elements["respondent_org"]?.value || "").trim()
+            },
         answers,
+        question_flow: flow.map((f) => ({ question_id: f.id, status: f.status, ...(f.reason ? { reason: f.reason } : {}) })),
         raw: { user_agent: navigator.userAgent }
       };
+      if (OBSERVER) payload.invite_token = OBSERVER.token;
+      else if (COHORT) payload.cohort = COHORT;
 
       setStatus("Submitting…", "info");
 
-      const res = await fetch("/api/intake/submit", {
+      const res = await fetch(OBSERVER ? "/api/observer/submit" : "/api/intake/submit", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify(payload)
@@ -276,7 +323,10 @@ function renderApp(data) {
       const out = await res.json().catch(() => ({}));
       if (!res.ok || !out.ok) throw new Error(out.error || `Submit failed (HTTP ${res.status})`);
 
-      setStatus(`Submitted successfully.\nCase ID: ${caseId}\nSaved: ${out.file}`, "success");
+      setStatus(
+        OBSERVER ? "Submitted successfully. Thank you for your feedback." : `Submitted successfully.\nCase ID: ${caseId}\nSaved: ${out.file}`,
+        "success"
+      );
       console.log("[LRID] saved:", out.file);
 
     } catch (err) {
@@ -288,24 +338,40 @@ function renderApp(data) {
   });
 
   app.appendChild(form);
+  applyFlow(form, allQs);
+}
+
+// Shows the questions whose conditions are met and hides the rest.
+function applyFlow(form, allQs) {
+  const byId = {};
+  for (const q of allQs) byId[q.id] = q;
+  const flow = window.LRIDFlow.resolveFlow(allQs, (id) => (byId[id] ? readValue(form, byId[id]) : null));
+  for (const f of flow) {
+    const block = form.querySelector(`.question[data-qid="${f.id}"]`);
+    if (block) block.style.display = f.status === "shown" ? "" : "none";
+  }
+  return flow;
+}
+
+function readValue(form, q) {
+  if (q.type === "single_choice") {
+    const chosen = form.querySelector(`input[name="${q.id}"]:checked`);
+    return chosen ? chosen.value : "";
+  }
+  if (q.type === "scale") {
+    const el = form.elements[q.id];
+    return el ? String(el.value) : "";
+  }
+  if (q.type === "open_text") {
+    const el = form.elements[q.id];
+    return el ? String(el.value).trim() : "";
+  }
+  return "";
 }
 
 function collectAnswers(form, allQs) {
   return allQs.map((q) => {
-    let value = "";
-
-    if (q.type === "single_choice") {
-      const chosen = form.querySelector(`input[name="${q.id}"]:checked`);
-      value = chosen ? chosen.value : "";
-    } else if (q.type === "scale") {
-      const el = form.elements[q.id];
-      value = el ? String(el.value) : "";
-    } else if (q.type === "open_text") {
-      const el = form.elements[q.id];
-      value = el ? String(el.value).trim() : "";
-    } else {
-      value = "";
-    }
+    const value = readValue(form, q);
 
     return {
       question_id: q.id,
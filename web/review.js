@@ -5,7 +5,8 @@ let STATE = {
   approvalFile: null,
   draftObj: null,
   approvalObj: null,
-  decisionStatus: null
+  decisionStatus: null,
+  whatif: { items: [], changes: {} }
 };
 
 function $(id) { return document.getElementById(id); }
@@ -35,10 +36,19 @@ async function apiPost(url, body) {
     body: JSON.stringify(body)
   });
   const data = await res.json().catch(() => ({}));
-  if (!res.ok || !data.ok) throw new Error(data.error || `HTTP ${res.status}`);
+  if (!res.ok || !data.ok) {
+    const err = new Error(data.error || `HTTP ${res.status}`);
+    err.fieldErrors = Array.isArray(data.errors) ? data.errors : [];
+    throw err;
+  }
   return data;
 }
 
+function formatError(e) {
+  const fields = (e.fieldErrors || []).map((x) => `- ${x.field}: ${x.message}`);
+  return fields.length ? `${e.message}\n${fields.join("\n")}` : e.message;
+}
+
 function deriveCaseIdFromDraft(draftFile) {
   return draftFile.replace(/^draft_/, "").replace(/\.json$/, "");
 }
@@ -56,6 +66,9 @@ function setButtonsEnabled(enabled) {
   $("ovExec").disabled = !enabled;
   $("ovRisk").disabled = !enabled;
   $("ovRecs").disabled = !enabled;
+  $("inviteGroup").disabled = !enabled;
+  $("inviteCount").disabled = !enabled;
+  $("btnInvite").disabled = !enabled;
 }
 
 function highlightDecision(status) {
@@ -77,6 +90,7 @@ function setSelectedDraft(draftFile) {
   $("caseIdPill").innerText = `Case: ${STATE.selectedCaseId || "—"}`;
 
   $("pdfLinks").innerHTML = "";
+  $("inviteLinks").innerHTML = "";
   setStatus("", true);
 
   if (!draftFile) {
@@ -131,6 +145,8 @@ function renderDraftSnapshot(draft) {
     $("kpiConsistency").innerText = "—";
     $("kpiRedFlags").innerText = "—";
     $("kpiWarnings").innerText = "—";
+    $("kpiScores").innerText = "—";
+    $("kpiMultiRater").innerText = "—";
     return;
   }
 
@@ -143,7 +159,12 @@ function renderDraftSnapshot(draft) {
 
   const confLevel = draft.confidence?.level || "—";
   const confScore = (typeof draft.confidence?.score === "number") ? draft.confidence.score : null;
-  $("kpiConfidence").innerText = confScore !== null ? `${confLevel} (${confScore})` : confLevel;
+  const confText = confScore !== null ? `${confLevel} (${confScore})` : confLevel;
+  const drivers = (Array.isArray(draft.confidence?.drivers) ? draft.confidence.drivers : [])
+    .filter((d) => d && typeof d.contribution === "number" && d.contribution < 0);
+  $("kpiConfidence").innerHTML = drivers.length
+    ? `${escapeHtml(confText)}<ul>${drivers.map((d) => `<li>${escapeHtml(d.factor)} ${d.contribution}: ${escapeHtml(d.detail || "")}</li>`).join("")}</ul>`
+    : escapeHtml(confText);
 
   const ccStatus = draft.consistency_checks?.status || "—";
   const ccCount = Array.isArray(draft.consistency_checks?.items) ? draft.consistency_checks.items.length : 0;
@@ -153,12 +174,62 @@ function renderDraftSnapshot(draft) {
   const rfCount = Array.isArray(draft.red_flags?.items) ? draft.red_flags.items.length : 0;
   $("kpiRedFlags").innerText = `High-stakes: ${rfHigh} | items: ${rfCount}`;
 
+  $("kpiScores").innerHTML = renderScores(draft.draft_scoring);
+  $("kpiMultiRater").innerHTML = renderMultiRater(draft.multi_rater);
+
   const warnings = Array.isArray(draft.validation?.soft_warnings) ? draft.validation.soft_warnings : [];
   $("kpiWarnings").innerHTML = warnings.length
     ? `<ul>${warnings.map((w) => `<li>${escapeHtml(w)}</li>`).join("")}</ul>`
     : "None";
 }
 
+// Band labels/descriptions are taken from the draft as-is (resolved from scoring.v1.json).
+function renderScores(scoring) {
+  if (!scoring?.dimension_scores) return "—";
+  const details = scoring.band_details || {};
+  const row = (name, score, band) => {
+    const value = typeof score === "number" ? score.toFixed(2) : "n/a";
+    const label = band ? ` — <span title="${escapeHtml(band.description || "")}">${escapeHtml(band.label)}</span>` : "";
+    return `<li>${escapeHtml(name)}: ${value}${label}</li>`;
+  };
+  const dims = Object.entries(scoring.dimension_scores).map(([d, s]) => row(d, s, details.dimensions?.[d]));
+  const idx = Object.entries(scoring.aggregate_scores || {}).map(([k, s]) => row(k.toUpperCase(), s, details.indices?.[k]));
+  return `<ul>${[...dims, ...idx].join("")}</ul>`;
+}
+
+// Self-other gaps; group means are already anonymity-filtered by the engine.
+function renderMultiRater(mr) {
+  if (!mr || mr.status !== "APPLIED") return "No observer responses.";
+  const fmt = (n) => (typeof n === "number" ? n.toFixed(2) : "n/a");
+  const groups = Object.values(mr.groups || {})
+    .filter((g) => g.n > 0)
+    .map((g) => `${escapeHtml(g.label)}: ${g.n}${g.reported ? "" : " (not shown)"}`)
+    .join(" · ");
+  const rows = Object.entries(mr.gaps || {}).map(([d, g]) => {
+    const sign = g.gap > 0 ? "+" : "";
+    const flag = g.flag === "BLIND_SPOT" || g.flag === "HIDDEN_STRENGTH" ? ` <b>${escapeHtml(g.flag.replace("_", " ").toLowerCase())}</b>` : "";
+    return `<li>${escapeHtml(d)}: self ${fmt(g.self)} · others ${fmt(g.others)} · gap ${g.gap === null ? "n/a" : sign + fmt(g.gap)}${flag}</li>`;
+  });
+  const notes = (mr.notes || []).map((n) => `<li>${escapeHtml(n)}</li>`).join("");
+  return `Raters: ${groups || "—"}<ul>${rows.join("")}</ul>${notes ? `<ul>${notes}</ul>` : ""}`;
+}
+
+// Single-use observer links; the tokens are shown once and only their hashes are kept.
+async function inviteObservers() {
+  try {
+    if (!STATE.selectedCaseId) return;
+    const out = await apiPost("/api/observer/invite", {
+      case_id: STATE.selectedCaseId,
+      group: $("inviteGroup").value,
+      count: Number($("inviteCount").value)
+    });
+    const links = out.links.map((l) => `<li><code>${escapeHtml(window.location.origin + l)}</code></li>`).join("");
+    $("inviteLinks").innerHTML = `Send one link per observer (shown only now):<ul>${links}</ul>`;
+  } catch (e) {
+    setStatus(`Invite failed:\n${e.message}`, false);
+  }
+}
+
 function escapeHtml(str) {
   return String(str)
     .replaceAll("&", "&amp;")
@@ -168,11 +239,138 @@ function escapeHtml(str) {
     .replaceAll("'", "&#039;");
 }
 
+// ---------------------------------------------------------------------------
+// What-if simulator (POST /api/whatif; nothing is stored)
+
+function whatifValueOf(item, raw) {
+  if (raw === "") return null;
+  return item.type === "likert_5" ? Number(raw) : raw;
+}
+
+function renderWhatifItems() {
+  const box = $("whatifItems");
+  const items = STATE.whatif.items;
+  if (!items.length) {
+    box.innerHTML = `<div class="muted">No scorable responses for this case.</div>`;
+    return;
+  }
+
+  box.innerHTML = "";
+  items.forEach((item) => {
+    const changed = item.question_id in STATE.whatif.changes;
+    const current = changed ? STATE.whatif.changes[item.question_id] : item.response;
+    const row = document.createElement("div");
+    row.className = "whatifItem" + (changed ? " changed" : "");
+
+    let control;
+    if (item.type === "multiple_choice") {
+      const opts = item.options.map((o) => `<option value="${escapeHtml(o.value)}"${o.value === current ? " selected" : ""}>${escapeHtml(o.value)} — ${escapeHtml(o.label)}</option>`);
+      control = `<select><option value=""${current === null ? " selected" : ""}>(no answer)</option>${opts.join("")}</select>`;
+    } else if (item.type === "likert_5") {
+      const opts = [1, 2, 3, 4, 5].map((v) => `<option value="${v}"${v === current ? " selected" : ""}>${v}</option>`);
+      control = `<select><option value=""${current === null ? " selected" : ""}>(no answer)</option>${opts.join("")}</select>`;
+    } else {
+      control = `<input type="text" value="${escapeHtml(current ?? "")}" />`;
+    }
+
+    row.innerHTML = `
+      <div class="mono">${escapeHtml(item.question_id)}</div>
+      <div class="muted" title="${escapeHtml(item.text)}">${escapeHtml(item.text.slice(0, 90))}${item.text.length > 90 ? "…" : ""}</div>
+      <div>${control}</div>
+    `;
+    row.querySelector("select, input").addEventListener("change", (ev) => {
+      const value = whatifValueOf(item, ev.target.value);
+      if (value === item.response) delete STATE.whatif.changes[item.question_id];
+      else STATE.whatif.changes[item.question_id] = value;
+      row.classList.toggle("changed", item.question_id in STATE.whatif.changes);
+    });
+    box.appendChild(row);
+  });
+}
+
+function renderWhatifDeltas(deltas) {
+  if (!deltas) {
+    $("whatifDeltas").innerText = "—";
+    return;
+  }
+  const fmt = (n) => (typeof n === "number" ? n.toFixed(2) : "n/a");
+  const row = (name, d) => {
+    const cls = d.delta > 0 ? "up" : d.delta < 0 ? "down" : "";
+    const sign = d.delta > 0 ? "+" : "";
+    const band = d.band_changed ? ` <b>${escapeHtml(d.band_before || "—")} → ${escapeHtml(d.band_after || "—")}</b>` : "";
+    return `<li>${escapeHtml(name)}: ${fmt(d.before)} → ${fmt(d.after)} <span class="delta ${cls}">(${d.delta === null ? "n/a" : sign + d.delta})</span>${band}</li>`;
+  };
+
+  const dims = Object.entries(deltas.dimensions).map(([k, d]) => row(k, d));
+  const idx = Object.entries(deltas.indices).map(([k, d]) => row(k.toUpperCase(), d));
+  const cc = deltas.consistency;
+  const ccText = [
+    cc.added.length ? `new hits: ${cc.added.join(", ")}` : "",
+    cc.removed.length ? `cleared: ${cc.removed.join(", ")}` : ""
+  ].filter(Boolean).join("; ") || "no change";
+  const c = deltas.confidence;
+
+  $("whatifDeltas").innerHTML = `
+    <ul>${dims.join("")}</ul>
+    <ul>${idx.join("")}</ul>
+    <ul>
+      <li>Consistency: ${escapeHtml(ccText)}</li>
+      <li>Confidence: ${fmt(c.before)} (${escapeHtml(c.level_before)}) → ${fmt(c.after)} (${escapeHtml(c.level_after)})</li>
+    </ul>
+  `;
+}
+
+async function runWhatif(changes) {
+  if (!STATE.selectedCaseId) return;
+  const data = await apiPost("/api/whatif", { case_id: STATE.selectedCaseId, changes });
+  STATE.whatif.items = data.items || [];
+  return data;
+}
+
+async function loadWhatif() {
+  STATE.whatif = { items: [], changes: {} };
+  renderWhatifDeltas(null);
+  $("btnWhatifRun").disabled = true;
+  $("btnWhatifReset").disabled = true;
+  try {
+    await runWhatif({});
+    $("btnWhatifRun").disabled = false;
+    $("btnWhatifReset").disabled = false;
+  } catch (e) {
+    STATE.whatif.items = [];
+  }
+  renderWhatifItems();
+}
+
+async function simulateWhatif() {
+  try {
+    $("btnWhatifRun").disabled = true;
+    const changes = { ...STATE.whatif.changes };
+    if (!Object.keys(changes).length) {
+      setStatus("What-if: change at least one answer first.", false);
+      return;
+    }
+    const data = await runWhatif(changes);
+    renderWhatifDeltas(data.deltas);
+    setStatus("", true);
+  } catch (e) {
+    setStatus(`What-if failed:\n${formatError(e)}`, false);
+  } finally {
+    $("btnWhatifRun").disabled = false;
+  }
+}
+
+function resetWhatif() {
+  STATE.whatif.changes = {};
+  renderWhatifItems();
+  renderWhatifDeltas(null);
+}
+
 async function refresh() {
   try {
     setStatus("Refreshing…", true);
     const data = await apiGet("/api/list");
-    STATE.drafts = data.data.drafts || [];
+    STATE.drafts = (data.data.drafts || []).map((d) => d.name);
     renderDraftList();
 
     if (!STATE.selectedDraftFile && STATE.drafts.length > 0) {
@@ -195,6 +393,7 @@ async function loadDraft() {
     const data = await apiGet(`/api/draft/read?file=${encodeURIComponent(STATE.selectedDraftFile)}`);
     STATE.draftObj = data.draft;
     renderDraftSnapshot(STATE.draftObj);
+    await loadWhatif();
   } catch (e) {
     STATE.draftObj = null;
     renderDraftSnapshot(null);
@@ -329,7 +528,7 @@ async function saveApproval() {
     STATE.approvalObj = obj;
     setStatus("Saved.", true);
   } catch (e) {
-    setStatus(`Save failed:\n${e.message}`, false);
+    setStatus(`Save failed:\n${formatError(e)}`, false);
   }
 }
 
@@ -353,7 +552,7 @@ async function finalizeAndGenerate() {
         <a href="${links.executive}" target="_blank">Executive PDF</a>
         <a href="${links.hr}" target="_blank">HR PDF</a>
         <a href="${links.academic}" target="_blank">Academic PDF</a>
-        <div class="muted">Folder: <span class="mono">${out.latestOutFolder || "—"}</span></div>
+        <div class="muted">Folder: <span class="mono">${out.out_dir || "—"}</span></div>
       `;
     } else {
       $("pdfLinks").innerHTML = `<div class="muted">PDFs generated, but out folder not detected.</div>`;
@@ -373,6 +572,9 @@ document.addEventListener("DOMContentLoaded", async () => {
   $("btnLoadApproval").addEventListener("click", loadApproval);
   $("btnSaveApproval").addEventListener("click", saveApproval);
   $("btnFinalize").addEventListener("click", finalizeAndGenerate);
+  $("btnWhatifRun").addEventListener("click", simulateWhatif);
+  $("btnWhatifReset").addEventListener("click", resetWhatif);
+  $("btnInvite").addEventListener("click", inviteObservers);
 
   // Decision buttons
   $("decisionRow").querySelectorAll(".radioBtn").forEach((b) => {
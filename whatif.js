@@ -0,0 +1,149 @@
+/**
+ * LRID what-if simulator.
+ *
+ * Re-scores a stored case in memory with hypothetical answers and reports how
+ * dimension scores, indices, bands, consistency hits and confidence would
+ * move. Nothing is written: the stored responses, score and draft stay as
+ * they are.
+ *
+ *   changes: { "<question_id>": <response> }   letter for multiple choice,
+ *                                              1-5 for Likert, text for open text;
+ *                                              null removes the answer
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { PipelineError, loadResponses, scoreResponses } = require("./pipeline");
+
+function fileSafe(caseId) {
+  return String(caseId).replace(/[^a-zA-Z0-9_.-]/g, "_");
+}
+
+function checkChange(q, value) {
+  if (value === null) return null;
+  if (q.type === "likert_5") {
+    return Number.isInteger(value) && value >= 1 && value <= 5 ? null : "must be an integer 1-5";
+  }
+  if (q.type === "multiple_choice") {
+    const letters = (q.options || []).map((o) => o.value);
+    return letters.includes(value) ? null : `must be one of ${letters.join(", ")}`;
+  }
+  if (q.type === "open_text") return typeof value === "string" ? null : "must be text";
+  return `type ${q.type} cannot be simulated`;
+}
+
+/** Canonical responses with the hypothetical answers applied. */
+function applyChanges(responses, changes, instrument) {
+  const bank = Object.fromEntries((instrument.question_bank || []).map((q) => [q.question_id, q]));
+  const errors = [];
+  for (const [qid, value] of Object.entries(changes)) {
+    if (!bank[qid]) errors.push({ field: qid, message: "unknown question" });
+    else {
+      const problem = checkChange(bank[qid], value);
+      if (problem) errors.push({ field: qid, message: problem });
+    }
+  }
+  if (errors.length) throw new PipelineError("INVALID_CHANGES", "Hypothetical answers failed validation", errors);
+
+  const answers = responses.answers.filter((a) => !(a.question_id in changes));
+  for (const [qid, value] of Object.entries(changes)) {
+    if (value === null) continue;
+    const q = bank[qid];
+    const before = responses.answers.find((a) => a.question_id === qid);
+    answers.push({ ...(before || { question_id: qid, dimension: q.dimension, type: q.type, prompt_ref: qid }), response: value });
+  }
+  return { ...responses, answers };
+}
+
+function diff(before, after) {
+  const delta = typeof before === "number" && typeof after === "number" ? Number((after - before).toFixed(2)) : null;
+  return { before: before ?? null, after: after ?? null, delta };
+}
+
+function withBands(scores, bands) {
+  const out = {};
+  for (const [k, v] of Object.entries(scores)) out[k] = { score: typeof v === "number" ? Number(v.toFixed(2)) : null, band: bands[k]?.label ?? null };
+  return out;
+}
+
+function compareResults(base, sim) {
+  const section = (a, b) => {
+    const out = {};
+    for (const k of Object.keys({ ...a, ...b })) {
+      out[k] = { ...diff(a[k]?.score, b[k]?.score), band_before: a[k]?.band ?? null, band_after: b[k]?.band ?? null };
+      out[k].band_changed = out[k].band_before !== out[k].band_after;
+    }
+    return out;
+  };
+  const hitIds = (r) => r.consistency.hits.map((h) => h.cc_id);
+  const beforeHits = hitIds(base);
+  const afterHits = hitIds(sim);
+  const conf = (r) => r.consistency.confidence;
+
+  return {
+    dimensions: section(
+      withBands(base.scoring.dimension_scores, base.scoring.bands.dimensions),
+      withBands(sim.scoring.dimension_scores, sim.scoring.bands.dimensions)
+    ),
+    indices: section(
+      withBands(base.scoring.aggregate_scores, base.scoring.bands.indices),
+      withBands(sim.scoring.aggregate_scores, sim.scoring.bands.indices)
+    ),
+    consistency: {
+      before: beforeHits,
+      after: afterHits,
+      added: afterHits.filter((id) => !beforeHits.includes(id)),
+      removed: beforeHits.filter((id) => !afterHits.includes(id))
+    },
+    confidence: { ...diff(conf(base).score, conf(sim).score), level_before: conf(base).level, level_after: conf(sim).level }
+  };
+}
+
+/** Items the panel can change: current answer plus allowed values per question. */
+function itemsOf(result, instrument) {
+  const byId = Object.fromEntries(result.responses.answers.map((a) => [a.question_id, a]));
+  return (instrument.question_bank || []).map((q) => ({
+    question_id: q.question_id,
+    dimension: q.dimension,
+    type: q.type,
+    text: q.text?.en || "",
+    options: q.type === "multiple_choice" ? (q.options || []).map((o) => ({ value: o.value, label: o.label_en || o.value })) : undefined,
+    response: byId[q.question_id]?.response ?? null
+  }));
+}
+
+/**
+ * Simulates one stored case (DATA_DIR/responses_<case_id>.json).
+ * Returns { case_id, changes, deltas, items }.
+ */
+function simulateCase(caseId, changes = {}, { dirs } = {}) {
+  if (!changes || typeof changes !== "object" || Array.isArray(changes)) {
+    throw new PipelineError("INVALID_CHANGES", "changes must be an object of question_id -> response");
+  }
+  const dataDir = dirs?.dataDir || require("./storage").DATA_DIR;
+  const stored = loadResponses(path.join(dataDir, `responses_${fileSafe(caseId)}.json`));
+
+  let base;
+  try {
+    base = scoreResponses(stored, { dirs });
+  } catch (e) {
+    throw new PipelineError("INVALID_RESPONSES", e.message);
+  }
+  const instrument = JSON.parse(fs.readFileSync(path.join(__dirname, "schemas", "instrument.v1.json"), "utf8"));
+  const simulated = applyChanges(base.responses, changes, instrument);
+  let sim;
+  try {
+    sim = scoreResponses(simulated, { dirs });
+  } catch (e) {
+    throw new PipelineError("INVALID_CHANGES", `Hypothetical answers could not be scored: ${e.message}`);
+  }
+
+  return {
+    case_id: base.responses.meta.case_id,
+    changes,
+    deltas: compareResults(base, sim),
+    items: itemsOf(base, instrument)
+  };
+}
+
+module.exports = { simulateCase, applyChanges };